@@ -0,0 +1,168 @@
+/**
+ * @jest-environment node
+ */
+'use strict';
+
+Object.assign(process.env, {LOG_LEVEL: 'error', JWT_SECRET: 'test', JWT_PUT_SECRET: 'test-put', JWT_REFRESH_SECRET: 'test-refresh'});
+
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const express = require('express');
+const bodyparser = require('body-parser');
+const loader = require('../api');
+const Controller = require('../controller/controller');
+const MemoryRepository = require('../integration/memoryRepository');
+const Logger = require('../util/logger');
+
+/*
+  Runs the whole API on a MemoryRepository, with no database.
+*/
+
+let server;
+let repository;
+
+/**
+ * Sends a request to the API.
+ *
+ * @param {string} method The HTTP method.
+ * @param {string} path The path.
+ * @param {object} body The JSON body, if any, or a string to send as it is.
+ * @param {string} token The access token, if any.
+ * @param {object} headers Other request headers, if any.
+ * @return {Promise<object>} {status, body}, with a JSON body parsed.
+ */
+function request(method, path, body, token, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      port: server.address().port,
+      method,
+      path,
+      headers: {'Content-Type': 'application/json', ...(token ? {Authorization: 'Bearer ' + token} : {}), ...headers},
+    }, res => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => resolve({
+        status: res.statusCode,
+        body: res.headers['content-type'] && res.headers['content-type'].startsWith('application/json') ? JSON.parse(data) : data,
+      }));
+    });
+    req.on('error', reject);
+    req.end(typeof body === 'string' ? body : body && JSON.stringify(body));
+  });
+}
+
+beforeAll(async () => {
+  repository = new MemoryRepository();
+  const app = express();
+  // As in server.js, so that the tests can send X-Forwarded-For.
+  app.set('trust proxy', 1);
+  app.use(bodyparser.json());
+  loader.loadHandlers(app, () => Controller.createController(repository));
+  loader.loadErrorHandlers(app);
+  await loader.controllerCreation;
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await loader.close();
+});
+
+it('registers, logs in, applies and lets a recruiter decide', async () => {
+  const person = {name: 'Ada', surname: 'Berg', ssn: '1990-01-01', email: 'ada@example.com', password: 'secret1', username: 'ada'};
+  expect((await request('POST', '/person', person)).status).toBe(200);
+  expect((await request('POST', '/person', {...person, username: 'ada2'})).status).toBe(409);
+
+  let res = await request('POST', '/login', {username: 'ada', password: 'secret1'});
+  expect(res.status).toBe(200);
+  const applicantToken = res.body.success.token;
+  res = await request('POST', '/application', {
+    competencies: [{competence_id: 2, years_of_experience: 3}],
+    periods: [{from_date: '2031-06-01', to_date: '2031-08-31'}],
+  }, applicantToken);
+  expect(res.status).toBe(200);
+  res = await request('POST', '/application', {
+    competencies: [{competence_id: 1, years_of_experience: 1.5}],
+    periods: [{from_date: '2031-06-01', to_date: '2031-08-31'}],
+  }, applicantToken);
+  expect(res.status).toBe(400);
+  expect(res.body.errors).toEqual([{
+    field: 'competencies[0].years_of_experience',
+    message: 'competencies[0].years_of_experience needs to be an integer.',
+  }]);
+  res = await request('POST', '/application', {competencies: [], periods: []}, applicantToken);
+  expect(res.status).toBe(400);
+  expect(res.body.errors.map(error => error.field)).toEqual(['competencies', 'periods']);
+  expect((await request('GET', '/application', undefined, applicantToken)).status).toBe(403);
+
+  await repository.savePerson({...person, email: 'rec@example.com', username: 'rec'});
+  await repository.assignRole(2, 'recruiter');
+  const recruiterToken = (await request('POST', '/login', {username: 'rec', password: 'secret1'})).body.success.token;
+  res = await request('GET', '/application?lang=en', undefined, recruiterToken);
+  expect(res.status).toBe(200);
+  expect(res.body.success.total).toBe(1);
+  expect(res.body.success.applications[0].competences[0].competence.name).toBe('lotteries');
+
+  res = await request('PUT', '/application/1', {application_status: 'accepted', version_number: 0}, recruiterToken);
+  expect(res.status).toBe(200);
+  res = await request('PUT', '/application/1', {application_status: 'rejected', version_number: 0}, recruiterToken);
+  expect(res.status).toBe(409);
+  res = await request('GET', '/application/1/history', undefined, recruiterToken);
+  expect(res.status).toBe(200);
+  expect(res.body.success.map(change => change.new_status)).toEqual(['accepted']);
+  expect((await request('GET', '/application/999/history', undefined, recruiterToken)).status).toBe(404);
+});
+
+it('issues new tokens for a refresh token only once, also to concurrent refreshes', async () => {
+  const ada = (await request('POST', '/login', {username: 'ada', password: 'secret1'})).body.success;
+  const refreshes = await Promise.all([
+    request('POST', '/login/refresh', {refreshToken: ada.refreshToken}),
+    request('POST', '/login/refresh', {refreshToken: ada.refreshToken}),
+  ]);
+  expect(refreshes.map(res => res.status).sort()).toEqual([200, 403]);
+
+  const rec = (await request('POST', '/login', {username: 'rec', password: 'secret1'})).body.success;
+  expect((await request('POST', '/login/logout', {refreshToken: rec.refreshToken}, ada.token)).status).toBe(200);
+  expect((await request('POST', '/login/refresh', {refreshToken: rec.refreshToken})).status).toBe(200);
+});
+
+it('limits password reset requests per email address only from the same IP address', async () => {
+  const forgotPassword = ip => request('POST', '/forgotpassword', {email: 'nobody@example.com'}, undefined, {'X-Forwarded-For': ip});
+  for (let i = 0; i < 3; i++) {
+    expect((await forgotPassword('10.0.0.1')).status).toBe(200);
+  }
+  expect((await forgotPassword('10.0.0.1')).status).toBe(429);
+  expect((await forgotPassword('10.0.0.2')).status).toBe(200);
+});
+
+it('accepts a password reset link once, and only the newest one', async () => {
+  await repository.savePerson({name: 'Cy', surname: 'Dahl', ssn: '1992-03-04', email: 'cy@example.com', password: 'secret1', username: 'cy'});
+  const cy = await repository.findPersonByUsername('cy');
+  // Signed like the links sent by POST /forgotpassword.
+  const resetLink = async () => jwt.sign({email: 'cy@example.com'}, process.env.JWT_PUT_SECRET,
+      {expiresIn: '30m', jwtid: (await repository.createResetToken(cy.person_id, 30)).token_id});
+  const replaced = await resetLink();
+  const newest = await resetLink();
+  expect((await request('PUT', '/person', {password: 'newsecret1'}, replaced)).status).toBe(403);
+  expect((await request('PUT', '/person', {password: 'newsecret1'}, newest)).status).toBe(200);
+  expect((await request('PUT', '/person', {password: 'newsecret2'}, newest)).status).toBe(403);
+  expect((await request('POST', '/login', {username: 'cy', password: 'newsecret1'})).status).toBe(200);
+});
+
+it('answers a body that is not valid JSON with 400, and logs it without stack trace', async () => {
+  jest.spyOn(Logger, 'info');
+  jest.spyOn(Logger, 'logError');
+  const res = await request('POST', '/login', '{"username": ');
+  expect(res.status).toBe(400);
+  expect(res.body.code).toBe('bad_request');
+  expect(Logger.info).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({path: '/login', status: 400}));
+  expect(Logger.logError).not.toHaveBeenCalled();
+  jest.restoreAllMocks();
+});
+
+it('is ready without a database', async () => {
+  const res = await request('GET', '/health/ready');
+  expect(res.status).toBe(200);
+  expect(res.body.success).toMatchObject({status: 'ready', database: 'up'});
+});
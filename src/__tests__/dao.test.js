@@ -0,0 +1,166 @@
+/**
+ * @jest-environment node
+ */
+'use strict';
+
+Object.assign(process.env, {LOG_LEVEL: 'error', DB_DIALECT: 'postgres', DB_NAME: 'test', DB_USER: 'test', DB_HOST: 'localhost'});
+
+const DAO = require('../integration/dao');
+const CompetenceProfile = require('../model/competenceProfile');
+const Application = require('../model/application');
+const ApplicationCompetence = require('../model/applicationCompetence');
+const Availability = require('../model/availability');
+const Person = require('../model/person');
+const ResetToken = require('../model/resetToken');
+const PasswordHasher = require('../util/passwordHasher');
+const {ValidationError, AuthError} = require('../util/errors');
+const {Op} = require('sequelize');
+
+/*
+  Tests the DAO without a database, with the model methods replaced by spies.
+  The queries it builds are checked as they are, and DAO.submitApplication
+  must write everything in one transaction.
+  The database is replaced by a transaction that keeps the writes made in it,
+  and stores them only if the whole transaction succeeds, like the database
+  does, so no database is needed.
+*/
+
+const APPLICATION = {
+  username: 'ada',
+  competencies: [{competence_id: 1, years_of_experience: 2}, {competence_id: 3, years_of_experience: 1}],
+  periods: [{from_date: '2031-06-01', to_date: '2031-08-31'}],
+};
+
+let dao;
+let stored;
+let failingWrite;
+
+/**
+ * @param {string} name The name of a model method.
+ * @param {any} result What the method returns.
+ * @return {function} A replacement of the method, which records the write
+ *                    in its transaction, or fails if it is failingWrite.
+ */
+function write(name, result) {
+  return async (values, options) => {
+    const transaction = options && options.transaction;
+    if (!transaction || transaction.finished) {
+      throw new Error(name + ' was called outside the transaction.');
+    }
+    if (name === failingWrite) {
+      throw new Error(name + ' failed.');
+    }
+    transaction.writes.push({name, values});
+    return result;
+  };
+}
+
+beforeEach(() => {
+  dao = new DAO();
+  stored = [];
+  failingWrite = null;
+  dao.database.transaction = async work => {
+    const transaction = {writes: [], finished: false};
+    try {
+      const result = await work(transaction);
+      stored.push(...transaction.writes);
+      return result;
+    } finally {
+      transaction.finished = true;
+    }
+  };
+  jest.spyOn(dao, 'findPersonByUsername').mockResolvedValue({person_id: 5});
+  jest.spyOn(CompetenceProfile, 'upsert').mockImplementation(write('CompetenceProfile.upsert', [{}, true]));
+  jest.spyOn(Application, 'create').mockImplementation(write('Application.create', {application_id: 7}));
+  jest.spyOn(ApplicationCompetence, 'bulkCreate').mockImplementation(write('ApplicationCompetence.bulkCreate', []));
+  jest.spyOn(Availability, 'bulkCreate').mockImplementation(write('Availability.bulkCreate', []));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+it('upserts the competence profile and stores the application in one transaction', async () => {
+  expect(await dao.submitApplication(APPLICATION)).toBe('success');
+  expect(stored).toEqual([
+    {name: 'CompetenceProfile.upsert', values: {person_id: 5, competence_id: 1, years_of_experience: 2}},
+    {name: 'CompetenceProfile.upsert', values: {person_id: 5, competence_id: 3, years_of_experience: 1}},
+    {name: 'Application.create', values: {person_id: 5, version_number: 0}},
+    {name: 'ApplicationCompetence.bulkCreate', values: [
+      {application_id: 7, competence_id: 1, years_of_experience: 2},
+      {application_id: 7, competence_id: 3, years_of_experience: 1},
+    ]},
+    {name: 'Availability.bulkCreate', values: [
+      {person_id: 5, application_id: 7, from_date: '2031-06-01', to_date: '2031-08-31'},
+    ]},
+  ]);
+});
+
+it('stores nothing if a write fails halfway through', async () => {
+  failingWrite = 'ApplicationCompetence.bulkCreate';
+  await expect(dao.submitApplication(APPLICATION)).rejects.toThrow('Failed to submit application.');
+  expect(CompetenceProfile.upsert).toHaveBeenCalledTimes(2);
+  expect(Application.create).toHaveBeenCalledTimes(1);
+  expect(Availability.bulkCreate).not.toHaveBeenCalled();
+  expect(stored).toEqual([]);
+});
+
+it('rejects a competence included twice before writing anything', async () => {
+  await expect(dao.submitApplication({
+    ...APPLICATION,
+    competencies: [{competence_id: 1, years_of_experience: 2}, {competence_id: '1', years_of_experience: 4}],
+  })).rejects.toBeInstanceOf(ValidationError);
+  expect(CompetenceProfile.upsert).not.toHaveBeenCalled();
+});
+
+it('searches for names with LIKE wildcards matching only themselves', () => {
+  expect(DAO.escapeLike('50%_off\\')).toBe('50\\%\\_off\\\\');
+  const {personWhere} = dao.createApplicationQuery({name: '%  Be_'});
+  expect(personWhere[Op.and].map(word => word[Op.or][0].name[Op.iLike])).toEqual(['%\\%%', '%Be\\_%']);
+});
+
+it('includes the whole last day of the submission date range', () => {
+  const {where} = dao.createApplicationQuery({submitted_from: '2031-03-04', submitted_to: '2031-03-04'});
+  expect(where[Op.and]).toEqual([
+    {createdAt: {[Op.gte]: '2031-03-04'}},
+    {createdAt: {[Op.lt]: new Date('2031-03-05T00:00:00Z')}},
+  ]);
+});
+
+describe('login', () => {
+  const ADA = {person_id: 5, username: 'ada', email: 'ada@example.com', role_id: 2, role: {name: 'applicant', role_permissions: []}};
+
+  it('replaces a plaintext password by a hash when the user logs in with it', async () => {
+    jest.spyOn(Person, 'findOne').mockResolvedValue({...ADA, password: 'secret1'});
+    jest.spyOn(Person, 'update').mockResolvedValue([1]);
+    expect(await dao.login({username: 'ada', password: 'secret1'})).toMatchObject({person_id: 5, username: 'ada', role: 'applicant'});
+    expect(Person.update).toHaveBeenCalledWith({password: expect.stringMatching(/^scrypt\$/)}, {where: {person_id: 5}});
+    const [{password}] = Person.update.mock.calls[0];
+    expect(await PasswordHasher.verifyPassword('secret1', password)).toBe(true);
+  });
+
+  it('keeps a hashed password, and rejects wrong passwords', async () => {
+    jest.spyOn(Person, 'findOne').mockResolvedValue({...ADA, password: await PasswordHasher.hashPassword('secret1')});
+    jest.spyOn(Person, 'update').mockResolvedValue([1]);
+    expect(await dao.login({username: 'ada', password: 'secret1'})).not.toBeNull();
+    expect(await dao.login({username: 'ada', password: 'secret2'})).toBeNull();
+    expect(Person.update).not.toHaveBeenCalled();
+  });
+});
+
+it('uses up a reset token in the transaction of the update it authorizes, and only once', async () => {
+  const usedTokens = new Set();
+  // Like the update in the database, which only changes an outstanding token.
+  jest.spyOn(ResetToken, 'update').mockImplementation(async (values, {where, transaction}) => {
+    if (where.used_at !== null || where.revoked_at !== null || usedTokens.has(where.token_id)) {
+      return [0];
+    }
+    usedTokens.add(where.token_id);
+    return write('ResetToken.update', [1])(values, {transaction});
+  });
+  jest.spyOn(Person, 'update').mockImplementation(write('Person.update', [1]));
+  expect(await dao.updatePerson(5, {password: 'newsecret1'}, 'token-1')).toBe('success');
+  await expect(dao.updatePerson(5, {password: 'newsecret2'}, 'token-1')).rejects.toBeInstanceOf(AuthError);
+  expect(stored.map(change => change.name)).toEqual(['ResetToken.update', 'Person.update']);
+  expect(ResetToken.update.mock.calls[0][1].where).toMatchObject({token_id: 'token-1', person_id: 5, expires_at: {[Op.gt]: expect.any(Date)}});
+});
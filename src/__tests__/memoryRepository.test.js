@@ -0,0 +1,236 @@
+/**
+ * @jest-environment node
+ */
+'use strict';
+
+process.env.LOG_LEVEL = 'error';
+
+const MemoryRepository = require('../integration/memoryRepository');
+const RepositoryFactory = require('../integration/repositoryFactory');
+const DAO = require('../integration/dao');
+const Controller = require('../controller/controller');
+const {ValidationError, ConflictError, NotFoundError, AuthError} = require('../util/errors');
+
+const ADA = {name: 'Ada', surname: 'Berg', ssn: '1990-01-01', email: 'ada@example.com', password: 'secret1', username: 'ada'};
+const BO = {name: 'Bo', surname: 'Ek', ssn: '1991-02-03', email: 'bo@example.com', password: 'secret2', username: 'bo'};
+
+/**
+ * @return {MemoryRepository} A repository with the default roles and
+ *                            competences, and the persons Ada and Bo.
+ */
+async function createRepository() {
+  const repository = new MemoryRepository();
+  await repository.createTables();
+  await repository.savePerson({...ADA});
+  await repository.savePerson({...BO});
+  return repository;
+}
+
+describe('RepositoryFactory', () => {
+  const repository = process.env.REPOSITORY;
+  afterEach(() => {
+    process.env.REPOSITORY = repository;
+    if (repository === undefined) {
+      delete process.env.REPOSITORY;
+    }
+  });
+
+  it('creates the repository chosen by REPOSITORY', () => {
+    process.env.REPOSITORY = 'memory';
+    expect(RepositoryFactory.createRepository()).toBeInstanceOf(MemoryRepository);
+    expect(RepositoryFactory.REPOSITORIES.sequelize).toBe(DAO);
+  });
+
+  it('rejects an unknown REPOSITORY', () => {
+    process.env.REPOSITORY = 'mongo';
+    expect(() => RepositoryFactory.createRepository()).toThrow('Unknown REPOSITORY "mongo"');
+  });
+});
+
+describe('MemoryRepository', () => {
+  it('implements every operation of the repository interface', () => {
+    const Repository = Object.getPrototypeOf(MemoryRepository.prototype).constructor;
+    Object.getOwnPropertyNames(Repository.prototype)
+        .filter(name => name !== 'constructor' && !name.startsWith('validate') && name !== 'notImplemented' && name !== 'toDomainError')
+        .forEach(name => expect(MemoryRepository.prototype[name]).not.toBe(Repository.prototype[name]));
+  });
+
+  it('adds the default roles and competences once', async () => {
+    const repository = await createRepository();
+    await repository.createTables();
+    const roles = await repository.getAllRoles();
+    expect(roles.map(role => role.name)).toEqual(['recruiter', 'applicant', 'admin']);
+    expect(roles[2].permissions).toContain('roles:assign');
+    const competences = await repository.getAllCompetences();
+    expect(competences).toHaveLength(3);
+    expect(competences[0].competence_translations).toEqual([
+      expect.objectContaining({language: 'sv', translation: 'biljettförsäljning'}),
+      expect.objectContaining({language: 'en', translation: 'ticket sales'}),
+    ]);
+  });
+
+  it('registers persons with hashed passwords and logs them in', async () => {
+    const repository = await createRepository();
+    const ada = await repository.findPersonByUsername('ada');
+    expect(ada).toMatchObject({person_id: 1, name: 'Ada', email: 'ada@example.com'});
+    expect(ada.password).not.toBe(ADA.password);
+    expect(await repository.findPersonIdByAuth({email: 'bo@example.com'})).toBe(2);
+    expect(await repository.login({username: 'ada', password: 'secret1'}))
+        .toMatchObject({person_id: 1, username: 'ada', role: 'applicant', permissions: []});
+    expect(await repository.login({username: 'ada', password: 'wrong'})).toBeNull();
+    expect(await repository.login({username: 'nobody', password: 'secret1'})).toBeNull();
+  });
+
+  it('throws the errors of the database for invalid or conflicting persons', async () => {
+    const repository = await createRepository();
+    await expect(repository.savePerson({...BO, username: 'bo2'})).rejects.toBeInstanceOf(ConflictError);
+    await expect(repository.savePerson({...BO, email: 'no email'})).rejects.toBeInstanceOf(ValidationError);
+    await expect(repository.savePerson({...BO, email: 'no email'})).rejects.toThrow(/^email needs to be a valid email address\.$/);
+    await expect(repository.submitApplication({username: 'bo', competencies: [{competence_id: 1, years_of_experience: 1.5}], periods: []}))
+        .rejects.toThrow(/^years_of_experience needs to be a number\.$/);
+    await expect(repository.updatePerson(2, {email: ADA.email})).rejects.toBeInstanceOf(ConflictError);
+    await expect(repository.findPersonIdByAuth({username: 'nobody'})).rejects.toBeInstanceOf(NotFoundError);
+  });
+
+  it('uses up a reset token when it authorizes a change', async () => {
+    const repository = await createRepository();
+    const old = await repository.createResetToken(2, 10);
+    const resetToken = await repository.createResetToken(2, 10);
+    expect(await repository.isResetTokenOutstanding(old.token_id)).toBe(false);
+    expect(await repository.findOutstandingResetTokens(2)).toEqual([resetToken]);
+    await repository.updatePerson(2, {password: 'newsecret'}, resetToken.token_id);
+    expect(await repository.login({username: 'bo', password: 'newsecret'})).not.toBeNull();
+    await expect(repository.updatePerson(2, {name: 'Bob'}, resetToken.token_id)).rejects.toBeInstanceOf(AuthError);
+    expect((await repository.findPersonById(2)).name).toBe('Bo');
+  });
+
+  it('assigns roles and changes their permissions', async () => {
+    const repository = await createRepository();
+    const role = await repository.setRolePermissions('auditor', ['applications:read', 'applications:read']);
+    expect(role).toMatchObject({name: 'auditor', permissions: ['applications:read']});
+    expect(await repository.assignRole(1, 'auditor')).toMatchObject({username: 'ada', role: 'auditor'});
+    expect(await repository.assignRole(9, 'auditor')).toBeNull();
+    await expect(repository.assignRole(1, 'nope')).rejects.toBeInstanceOf(NotFoundError);
+    await expect(repository.setRolePermissions('auditor', ['everything'])).rejects.toBeInstanceOf(ValidationError);
+  });
+
+  it('filters, sorts and pages applications', async () => {
+    const repository = await createRepository();
+    await repository.submitApplication({
+      username: 'bo',
+      competencies: [{competence_id: 1, years_of_experience: 2}, {competence_id: 3, years_of_experience: 1}],
+      periods: [{from_date: '2031-01-01', to_date: '2031-02-01'}],
+    });
+    await repository.submitApplication({
+      username: 'ada',
+      competencies: [{competence_id: 2, years_of_experience: 4}],
+      periods: [{from_date: '2032-01-01', to_date: '2032-02-01'}],
+    });
+    await repository.submitApplication({
+      username: 'bo',
+      competencies: [{competence_id: 1, years_of_experience: 5}],
+      periods: [{from_date: '2033-01-01', to_date: '2033-02-01'}],
+    });
+    const ids = async filter => (await repository.findAllApplications(filter)).applications.map(a => a.application_id);
+
+    const page = await repository.findAllApplications({limit: 2});
+    expect(page).toMatchObject({total: 3, limit: 2, offset: 0});
+    expect(page.applications[0]).toMatchObject({application_id: 1, version_number: 0, person: {name: 'Bo', surname: 'Ek'}});
+    expect(page.applications[0].competences.map(c => c.competence_id)).toEqual([1, 3]);
+    expect(await ids({sort: 'name', order: 'desc'})).toEqual([3, 1, 2]);
+    expect(await ids({name: 'BERG'})).toEqual([2]);
+    expect(await ids({name: '%'})).toEqual([]);
+    expect(await ids({competence_id: '3'})).toEqual([1]);
+    expect(await ids({available_from: '2032-01-15', available_to: '2033-01-01'})).toEqual([2, 3]);
+    expect(await ids({status: 'unhandled', offset: 1})).toEqual([2, 3]);
+    const idsAfter = async (filter, afterId, limit) =>
+      (await repository.findApplicationsAfter(filter, afterId, limit)).map(a => a.application_id);
+    expect(await idsAfter({sort: 'name', order: 'desc'}, 0, 2)).toEqual([1, 2]);
+    expect(await idsAfter({name: 'ek'}, 1, 100)).toEqual([3]);
+    await expect(repository.findApplicationsAfter({}, -1, 10)).rejects.toBeInstanceOf(ValidationError);
+    await expect(repository.findAllApplications({limit: 0})).rejects.toBeInstanceOf(ValidationError);
+    repository.tables.application[1].createdAt = new Date('2031-03-04T18:30:00Z');
+    expect(await ids({submitted_from: '2031-03-04', submitted_to: '2031-03-04'})).toEqual([2]);
+    expect(await ids({submitted_to: '2031-03-03'})).toEqual([1, 3]);
+
+    const profiles = await repository.findCompetenceProfilesByPersonId(2);
+    expect(profiles.map(p => [p.competence_id, p.years_of_experience])).toEqual([[1, 5], [3, 1]]);
+    expect((await repository.findApplicationsByPersonId(2)).map(a => a.application_id)).toEqual([3, 1]);
+  });
+
+  it('rejects applications with unknown competences without storing anything', async () => {
+    const repository = await createRepository();
+    await expect(repository.submitApplication({
+      username: 'ada',
+      competencies: [{competence_id: 1, years_of_experience: 1}, {competence_id: 99, years_of_experience: 1}],
+      periods: [],
+    })).rejects.toThrow('A referenced entity does not exist.');
+    expect((await repository.findAllApplications()).total).toBe(0);
+    expect(await repository.findCompetenceProfilesByPersonId(1)).toEqual([]);
+  });
+
+  it('changes application statuses with optimistic locking and keeps the history', async () => {
+    const repository = await createRepository();
+    await repository.submitApplication({username: 'bo', competencies: [], periods: []});
+    await repository.updateApplication({application_id: 1, application_status: 'accepted', version_number: 0, person_id: 1, reason: 'Good'});
+    await expect(repository.updateApplication({application_id: 1, application_status: 'rejected', version_number: 0, person_id: 1}))
+        .rejects.toBeInstanceOf(ConflictError);
+    await expect(repository.updateApplication({application_id: 7, application_status: 'rejected', version_number: 0, person_id: 1}))
+        .rejects.toBeInstanceOf(NotFoundError);
+    expect(await repository.findApplicationStatusHistory(1)).toEqual([expect.objectContaining({
+      old_status: null,
+      new_status: 'accepted',
+      reason: 'Good',
+      person: expect.objectContaining({name: 'Ada', surname: 'Berg'}),
+    })]);
+    expect((await repository.findAllApplications({status: 'accepted'})).applications[0].version_number).toBe(1);
+    expect(await repository.findApplicationStatusHistory(7)).toBeNull();
+  });
+
+  it('manages competences and their translations', async () => {
+    const repository = await createRepository();
+    const competence = await repository.createCompetence([{language: 'en', translation: 'cooking'}]);
+    const id = competence.competence_id;
+    expect(id).toBe(4);
+    await repository.setCompetenceTranslation(id, 'sv', 'matlagning');
+    expect((await repository.setCompetenceTranslations(id, [{language: 'sv', translation: 'bakning'}])).competence_translations)
+        .toEqual([expect.objectContaining({competence_id: id, language: 'sv', translation: 'bakning'})]);
+    await expect(repository.deleteCompetenceTranslation(id, 'sv')).rejects.toBeInstanceOf(ConflictError);
+    expect(await repository.deleteCompetenceTranslation(id, 'en')).toBeNull();
+    await repository.submitApplication({username: 'ada', competencies: [{competence_id: 1, years_of_experience: 1}], periods: []});
+    expect(await repository.isCompetenceInUse(1)).toBe(true);
+    await expect(repository.deleteCompetence(1)).rejects.toBeInstanceOf(ConflictError);
+    expect(await repository.deleteCompetence(id)).toBe('success');
+    expect(await repository.findCompetenceById(id)).toBeNull();
+    expect(await repository.setCompetenceTranslations(id, [{language: 'en', translation: 'x'}])).toBeNull();
+  });
+
+  it('exports every application once, also if applications change during the export', async () => {
+    const repository = await createRepository();
+    const submit = username => repository.submitApplication({username, competencies: [], periods: []});
+    await submit('bo');
+    await submit('ada');
+    await submit('bo');
+    const contr = await Controller.createController(repository);
+    const exported = [];
+    for await (const batch of contr.getApplicationBatches({sort: 'application_status'}, undefined, 2)) {
+      exported.push(...batch.map(application => application.application_id));
+      if (exported.length === 2) {
+        await repository.updateApplication({application_id: 3, application_status: 'accepted', version_number: 0, person_id: 1});
+        await submit('ada');
+      }
+    }
+    expect(exported).toEqual([1, 2, 3, 4]);
+    await contr.close();
+  });
+
+  it('can be given to a controller', async () => {
+    const repository = new MemoryRepository();
+    const contr = await Controller.createController(repository);
+    expect(contr.isDatabaseDown()).toBe(false);
+    expect(await contr.isDatabaseAvailable(10)).toBe(true);
+    const competences = await contr.getAllCompetences({languages: ['en'], includeTranslations: false});
+    expect(competences.map(c => c.name)).toEqual(['ticket sales', 'lotteries', 'roller coaster operation']);
+    await contr.close();
+  });
+});
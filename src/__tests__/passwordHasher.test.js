@@ -0,0 +1,48 @@
+/**
+ * @jest-environment node
+ */
+'use strict';
+
+const crypto = require('crypto');
+const PasswordHasher = require('../util/passwordHasher');
+
+/**
+ * @param {string} password The password.
+ * @param {number} cost The scrypt cost, N.
+ * @return {string} A hash in the format of PasswordHasher.hashPassword, made
+ *                  with other parameters than the current ones.
+ */
+function hashWithCost(password, cost) {
+  const salt = crypto.randomBytes(16);
+  const key = crypto.scryptSync(password, salt, 32, {N: cost, r: 8, p: 1});
+  return ['scrypt', cost, 8, 1, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+it('hashes passwords with a random salt', async () => {
+  const hash = await PasswordHasher.hashPassword('secret1');
+  expect(hash).toMatch(/^scrypt\$16384\$8\$1\$[A-Za-z0-9+/=]+\$[A-Za-z0-9+/=]+$/);
+  expect(hash).not.toContain('secret1');
+  expect(await PasswordHasher.hashPassword('secret1')).not.toBe(hash);
+  expect(PasswordHasher.isHashed(hash)).toBe(true);
+});
+
+it('verifies passwords against their hash', async () => {
+  const hash = await PasswordHasher.hashPassword('secret1');
+  expect(await PasswordHasher.verifyPassword('secret1', hash)).toBe(true);
+  expect(await PasswordHasher.verifyPassword('secret2', hash)).toBe(false);
+  expect(await PasswordHasher.verifyPassword('', hash)).toBe(false);
+});
+
+it('verifies hashes made with other parameters', async () => {
+  const hash = hashWithCost('secret1', 1024);
+  expect(await PasswordHasher.verifyPassword('secret1', hash)).toBe(true);
+  expect(await PasswordHasher.verifyPassword('secret2', hash)).toBe(false);
+});
+
+it('accepts legacy plaintext passwords, so that they can be upgraded', async () => {
+  expect(PasswordHasher.isHashed('secret1')).toBe(false);
+  expect(PasswordHasher.isHashed(null)).toBe(false);
+  expect(await PasswordHasher.verifyPassword('secret1', 'secret1')).toBe(true);
+  expect(await PasswordHasher.verifyPassword('secret', 'secret1')).toBe(false);
+  expect(await PasswordHasher.verifyPassword('1234', 1234)).toBe(false);
+});
@@ -0,0 +1,103 @@
+/**
+ * @jest-environment node
+ */
+'use strict';
+
+process.env.LOG_LEVEL = 'error';
+
+const RateLimiter = require('../api/rateLimiter');
+
+const MINUTE = 60 * 1000;
+
+let now;
+let limiter;
+
+/**
+ * Lets the limiter check a request, like its middleware does.
+ *
+ * @param {string} ip The IP address the request comes from.
+ * @param {string} account The account the request is for, if any.
+ * @return {object} {passed, status, retryAfter, rateLimit}: passed is true if
+ *                  the request was let through, status and retryAfter are set
+ *                  if it was rejected.
+ */
+async function send(ip, account) {
+  const req = {ip, body: {username: account}};
+  const res = {
+    headers: {},
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    status(status) {
+      this.statusCode = status;
+      return this;
+    },
+    json() {
+      return this;
+    },
+  };
+  let passed = false;
+  await limiter.checkRequest(req, res, () => passed = true, request => request.body.username);
+  return {passed, status: res.statusCode, retryAfter: res.headers['Retry-After'], rateLimit: req.rateLimit};
+}
+
+beforeEach(() => {
+  now = Date.UTC(2031, 0, 1);
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  RateLimiter.use(new RateLimiter.MemoryRateLimitStore());
+  limiter = new RateLimiter('test', {
+    ipMax: 3,
+    ipWindowMs: 10 * MINUTE,
+    maxFailures: 2,
+    failureWindowMs: 5 * MINUTE,
+    lockoutMs: 15 * MINUTE,
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+it('limits the requests from an IP address until its window has passed', async () => {
+  for (let i = 0; i < 3; i++) {
+    expect((await send('10.0.0.1')).passed).toBe(true);
+  }
+  now += 4 * MINUTE;
+  expect(await send('10.0.0.1')).toMatchObject({passed: false, status: 429, retryAfter: String(6 * 60)});
+  expect((await send('10.0.0.2')).passed).toBe(true);
+  now += 6 * MINUTE;
+  expect((await send('10.0.0.1')).passed).toBe(true);
+});
+
+it('counts concurrent requests from an IP address', async () => {
+  const results = await Promise.all([1, 2, 3, 4].map(() => send('10.0.0.1')));
+  expect(results.filter(result => result.passed)).toHaveLength(3);
+});
+
+it('locks an account out after repeated failures from an IP address, only for that IP address, until the lockout has passed', async () => {
+  await (await send('10.0.0.1', 'ada')).rateLimit.recordFailure();
+  await (await send('10.0.0.2', 'ada')).rateLimit.recordFailure();
+  await (await send('10.0.0.1', 'Ada')).rateLimit.recordFailure();
+  expect(await send('10.0.0.1', 'ada')).toMatchObject({passed: false, status: 429, retryAfter: String(15 * 60)});
+  expect((await send('10.0.0.2', 'ada')).passed).toBe(true);
+  expect((await send('10.0.0.2', 'bo')).passed).toBe(true);
+  now += 15 * MINUTE;
+  expect((await send('10.0.0.1', 'ada')).passed).toBe(true);
+});
+
+it('counts concurrent failures', async () => {
+  const requests = await Promise.all([send('10.0.0.1', 'ada'), send('10.0.0.1', 'ada')]);
+  await Promise.all(requests.map(request => request.rateLimit.recordFailure()));
+  expect((await send('10.0.0.1', 'ada')).status).toBe(429);
+});
+
+it('counts only the failures within the failure window, and forgets them after a success', async () => {
+  await (await send('10.0.0.1', 'ada')).rateLimit.recordFailure();
+  now += 5 * MINUTE;
+  await (await send('10.0.0.1', 'ada')).rateLimit.recordFailure();
+  await (await send('10.0.0.1', 'ada')).rateLimit.recordSuccess();
+  now += 5 * MINUTE;
+  await (await send('10.0.0.1', 'ada')).rateLimit.recordFailure();
+  expect((await send('10.0.0.1', 'ada')).passed).toBe(true);
+});
@@ -0,0 +1,39 @@
+/**
+ * @jest-environment node
+ */
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RotatingFileOutput = require('../util/log/rotatingFileOutput');
+
+let dir;
+let file;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'log-'));
+  file = path.join(dir, 'logs', 'app.log');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, {recursive: true, force: true});
+});
+
+it('appends entries, and rotates the file when it would grow past its size', async () => {
+  const output = new RotatingFileOutput(file, 20, 2);
+  ['entry 1', 'entry 2', 'entry 3', 'entry 4', 'entry 5'].forEach(line => output.write(line));
+  await output.close();
+  expect(fs.readFileSync(file + '.2', 'utf8')).toBe('entry 1\nentry 2\n');
+  expect(fs.readFileSync(file + '.1', 'utf8')).toBe('entry 3\nentry 4\n');
+  expect(fs.readFileSync(file, 'utf8')).toBe('entry 5\n');
+
+  const reopened = new RotatingFileOutput(file, 20, 2);
+  reopened.write('entry 6');
+  reopened.write('entry 7');
+  await reopened.close();
+  expect(fs.readFileSync(file + '.2', 'utf8')).toBe('entry 3\nentry 4\n');
+  expect(fs.readFileSync(file + '.1', 'utf8')).toBe('entry 5\nentry 6\n');
+  expect(fs.readFileSync(file, 'utf8')).toBe('entry 7\n');
+  expect(fs.existsSync(file + '.3')).toBe(false);
+});
@@ -2,8 +2,14 @@
 
 const RequestHandler = require('./requestHandler');
 const Authorizer = require('./authorization.js');
+const Language = require('./language.js');
 const Logger = require('./../util/logger.js');
-const Validators = require('../util/validators');
+const Permissions = require('../util/permissions');
+const Validation = require('./validation');
+const Schemas = require('./schemas');
+const ResponseSchemas = require('./responseSchemas');
+const ApplicationExport = require('./applicationExport');
+const {NotFoundError} = require('../util/errors');
 
 /**
  * Defines the REST API with endpoints related to persons.
@@ -30,37 +36,208 @@ class ApplicationApi extends RequestHandler {
     return '/application';
   }
 
+  /**
+   * The query parameters that filter, sort and page the application list.
+   */
+  static get APPLICATION_FILTER_PARAMS() {
+    return ['status', 'competence_id', 'available_from', 'available_to', 'submitted_from',
+      'submitted_to', 'name', 'sort', 'order', 'limit', 'offset'];
+  }
+
+  /**
+   * The schema of the query parameters that filter, sort and page the
+   * application list, and choose the language of competence names.
+   */
+  static get APPLICATION_FILTER_SCHEMA() {
+    return {
+      properties: {
+        status: {type: 'string', enum: ['accepted', 'rejected', 'unhandled']},
+        competence_id: Schemas.ID,
+        available_from: Schemas.DATE,
+        available_to: Schemas.DATE,
+        submitted_from: Schemas.DATE,
+        submitted_to: Schemas.DATE,
+        name: {type: 'string'},
+        sort: {type: 'string', enum: ['createdAt', 'name', 'surname', 'application_status']},
+        order: {type: 'string', enum: ['asc', 'desc']},
+        limit: {type: 'integer', minimum: 1, maximum: 100},
+        offset: {type: 'integer', minimum: 0},
+        lang: {type: 'string'},
+        translations: {type: 'string', enum: ['all']},
+      },
+    };
+  }
+
+  /**
+   * The schema of the query parameters of the application export, the
+   * format and the filters of the application list.
+   */
+  static get APPLICATION_EXPORT_SCHEMA() {
+    const properties = {
+      format: {type: 'string', enum: ApplicationExport.FORMATS},
+      ...ApplicationApi.APPLICATION_FILTER_SCHEMA.properties,
+    };
+    delete properties.sort;
+    delete properties.order;
+    delete properties.limit;
+    delete properties.offset;
+    delete properties.translations;
+    return {
+      properties,
+      required: ['format'],
+    };
+  }
+
+  /**
+   * Picks the application filter out of the query parameters of a request.
+   *
+   * @param {object} query The query parameters of the request.
+   * @return {object} The filter, with only the parameters that were specified.
+   */
+  static applicationFilter(query) {
+    const filter = {};
+    ApplicationApi.APPLICATION_FILTER_PARAMS.forEach(param => {
+      if (typeof query[param] === 'string' && query[param] !== '') {
+        filter[param] = query[param];
+      }
+    });
+    return filter;
+  }
+
   /**
    * Registers the request handling functions.
+   *
+   * @throws Throws an exception if the controller could not be created, in
+   *         which case no routes are registered.
    */
   async registerHandler() {
     try {
       await this.retrieveController();
 
       /**
-        * Gets all applications.
+        * Gets one page of applications, each with its person, availability
+        * periods and the competences it was submitted with.
         *
-        * @return {obj} 200: The success object.
+        * @param {obj} req.query {
+        *    "status": Only applications with this status ("accepted", "rejected" or "unhandled"),
+        *    "competence_id": Only applications submitted with this competence,
+        *    "available_from": Only applications with a period ending on or after this date,
+        *    "available_to": Only applications with a period starting on or before this date,
+        *    "submitted_from": Only applications submitted on or after this date,
+        *    "submitted_to": Only applications submitted on or before this date,
+        *    "name": Only applicants whose name or surname contains each word of this text,
+        *    "sort": "createdAt" (default), "name", "surname" or "application_status",
+        *    "order": "asc" (default) or "desc",
+        *    "limit": Applications per page, 1-100, default 25,
+        *    "offset": Number of matching applications to skip, default 0,
+        *    "lang": The language of the competence names, before those in Accept-Language,
+        *    "translations": "all" to include all translations of the competences
+        * }
+        *
+        * @return {obj} 200: The success object, {total, limit, offset, applications}.
+        *               400: If a query parameter is invalid, with the invalid parameters.
         *               404: If the applications could not be retrieved.
         */
-      this.router.get('/', Authorizer.verifyToken, Authorizer.isRecruiter,
+      this.route('get', '/', {
+        summary: 'Lists one page of applications, filtered and sorted.',
+        responses: {
+          200: {description: 'The page of applications.', schema: ResponseSchemas.APPLICATION_PAGE},
+          404: 'The applications could not be retrieved.',
+        },
+      }, Authorizer.verifyToken, Authorizer.requirePermission(Permissions.APPLICATIONS_READ),
+        Validation.validateRequest({query: ApplicationApi.APPLICATION_FILTER_SCHEMA}), Language.negotiateLanguage,
         async (req,res,next)=>{
           try {
-            const response=await this.contr.getApplications();
+            const response=await this.contr.getApplications(ApplicationApi.applicationFilter(req.query),req.language);
             if(response===null){
-              this.sendHttpResponse(res,404,'Could not get applications');
-              Logger.logError(new Error("Could not get applications"));
-              return;
+              throw new NotFoundError('Could not get applications');
             }
             this.sendHttpResponse(res,200,response);
           } catch (err) {
-            this.sendHttpResponse(res,404,'Could not get applications');
             next(err);
           }
         })
 
       /**
-        * Handles application submissions.
+        * Exports all applications matching the same filters as GET /, as a
+        * spreadsheet with one row per application and one column per
+        * competence, named in the language from "lang" or Accept-Language.
+        * All matching applications are exported, in the order they were
+        * submitted. The file is streamed as the applications are read, in
+        * batches by application id, so that applications submitted or
+        * changed during the export are neither skipped nor repeated.
+        *
+        * @param {obj} req.query {
+        *    "format": "csv" or "xlsx",
+        *    and the filters of GET /
+        * }
+        *
+        * @return {file} 200: The CSV or XLSX file, as an attachment.
+        *                400: If a query parameter is invalid, with the invalid parameters.
+        */
+      this.route('get', '/export', {
+        summary: 'Exports the applications matching the filters as CSV or XLSX.',
+        responses: {
+          200: {
+            description: 'The file, with one row per application.',
+            content: {
+              'text/csv': {schema: {type: 'string'}},
+              'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': {schema: {type: 'string', format: 'binary'}},
+            },
+          },
+        },
+      }, Authorizer.verifyToken, Authorizer.requirePermission(Permissions.APPLICATIONS_READ),
+        Validation.validateRequest({query: ApplicationApi.APPLICATION_EXPORT_SCHEMA}), Language.negotiateLanguage,
+        async (req,res,next)=>{
+          try {
+            const language={...req.language,includeTranslations:false};
+            const competences=await this.contr.getAllCompetences(language);
+            const filter=ApplicationApi.applicationFilter(req.query);
+            const batches=this.contr.getApplicationBatches(filter,language);
+            const writer=await ApplicationExport.createWriter(req.query.format,res,competences);
+            for await (const applications of batches){
+              if(res.destroyed){
+                Logger.info('Application export aborted by the client');
+                return;
+              }
+              await writer.addApplications(applications);
+            }
+            await writer.end();
+          } catch (err) {
+            next(err);
+          }
+        })
+
+      /**
+        * Gets the applications submitted by the logged in user, newest first,
+        * with their periods, competences, application_status and updatedAt,
+        * the last time the status changed. Competence names are in the
+        * language from "lang" or Accept-Language, as for GET /.
+        *
+        * @return {obj} 200: The success object with the user's applications.
+        *               404: If the applications could not be retrieved.
+        */
+      this.route('get', '/mine', {
+        summary: 'Lists the applications of the logged in user, newest first.',
+        responses: {
+          200: {description: 'The applications.', schema: {type: 'array', items: ResponseSchemas.APPLICATION}},
+          404: 'The user could not be found.',
+        },
+      }, Authorizer.verifyToken, Language.negotiateLanguage,
+        async (req,res,next)=>{
+          try {
+            const person_id=await this.contr.findPersonIdByAuth(req.body.auth);
+            const response=await this.contr.getApplicationsOfPerson(person_id,req.language);
+            this.sendHttpResponse(res,200,response);
+          } catch (err) {
+            next(err);
+          }
+        })
+
+      /**
+        * Handles application submissions. All periods and competences of
+        * one submission belong to the same application.
+        * An application needs at least one competence and one period.
         * 
         * @param {obj} req.body {
         *    "competencies":[{
@@ -74,32 +251,60 @@ class ApplicationApi extends RequestHandler {
         * }
         * 
         * @return {obj} 200: The success object.
+        *               400: If a field is missing or invalid, with the invalid fields.
         *               404: If the application could not be submitted.
         */
-      this.router.post(
-        '/', Authorizer.verifyToken,
+      this.route(
+        'post', '/', {
+          summary: 'Submits an application of the logged in user.',
+          responses: {
+            200: {description: 'The application was submitted.', schema: ResponseSchemas.SUCCESS},
+            404: 'The application could not be submitted.',
+          },
+        },
+        Authorizer.verifyToken,
+        Validation.validateRequest({
+          body: {
+            properties: {
+              competencies: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                  type: 'object',
+                  properties: {
+                    competence_id: Schemas.ID,
+                    years_of_experience: {type: 'integer', minimum: 0},
+                  },
+                  required: ['competence_id', 'years_of_experience'],
+                },
+              },
+              periods: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                  type: 'object',
+                  properties: {
+                    from_date: Schemas.DATE,
+                    to_date: Schemas.DATE,
+                  },
+                  required: ['from_date', 'to_date'],
+                  check: p => new Date(p.to_date) < new Date(p.from_date) ?
+                    {field: 'to_date', message: 'to_date can not be before from_date.'} : undefined,
+                },
+              },
+            },
+            required: ['competencies', 'periods'],
+          },
+        }),
         async (req,res,next)=>{
           try {
-            req.body.competencies.forEach(c=>{
-              Validators.isNumber(c.competence_id,"competence_id");
-              Validators.isNumber(c.years_of_experience,"years_of_experience");
-            });
-            req.body.periods.forEach(p=>{
-              Validators.isStringRepresentingDate(p.from_date,"from_date");
-              Validators.isStringRepresentingDate(p.to_date,"to_date");
-              Validators.dateIsNotPastDate(p.from_date,p.to_date,"from_date","to_date");
-            });
-
             const username=req.body.auth.username;
             const response=await this.contr.submitApplication({username,...req.body});
             if(response===null){
-              this.sendHttpResponse(res,404,'Could not submit application');
-              Logger.logError(new Error("Username: \"" + username + "\" could not submit application"));
-              return;
+              throw new NotFoundError('Could not submit application');
             }
             this.sendHttpResponse(res,200,response);
           } catch (err) {
-            this.sendHttpResponse(res,404,'Could not submit application');
             next(err);
           }
         }
@@ -111,34 +316,91 @@ class ApplicationApi extends RequestHandler {
         * @param {number} id The id of the application to update.
         * @param {obj} req.body {
         *      "application_status": The new status of the application (null, "accepted", "rejected"),
-        *      "version_number": The version number of the application
+        *      "version_number": The version number of the application,
+        *      "reason": Why the status is changed (optional), saved in the status history
         * }
         *
         * @return {obj} 200: The success object.
+        *               400: If a field is missing or invalid, with the invalid fields.
         *               404: If the application could not be updated.
         */
-       this.router.put(
-        '/:id', Authorizer.verifyToken, Authorizer.isRecruiter,
+       this.route(
+        'put', '/:id', {
+          summary: 'Accepts or rejects an application, or makes it unhandled again.',
+          responses: {
+            200: {description: 'The status was changed.', schema: ResponseSchemas.SUCCESS},
+            404: 'There is no such application.',
+            409: 'The application has been changed by someone else, version_number is outdated.',
+          },
+        },
+        Authorizer.verifyToken, Authorizer.requirePermission(Permissions.APPLICATIONS_DECIDE),
+        Validation.validateRequest({
+          params: {properties: {id: Schemas.ID}, required: ['id']},
+          body: {
+            properties: {
+              application_status: {type: 'string', enum: ['accepted', 'rejected', null], nullable: true},
+              version_number: {type: 'integer', minimum: 0},
+              reason: {type: 'string'},
+            },
+            required: ['application_status', 'version_number'],
+          },
+        }),
+        async (req,res,next)=>{
+          try {
+            const person_id=await this.contr.findPersonIdByAuth(req.body.auth);
+            const {application_status,version_number,reason}=req.body;
+            const response=await this.contr.updateApplication({
+              application_id:req.params.id,
+              application_status,
+              version_number,
+              reason,
+              person_id
+            });
+            if(response===null){
+              throw new NotFoundError('Could not update application');
+            }
+            this.sendHttpResponse(res,200,response);
+          } catch (err) {
+            next(err);
+          }
+        }
+      );
+
+      /**
+        * Gets the status history of an application, oldest first. Each entry
+        * holds the recruiter who made the change, the old and new status,
+        * when it was made and the reason, if any.
+        *
+        * @param {number} id The id of the application.
+        *
+        * @return {obj} 200: The success object with the history entries.
+        *               404: If there is no such application.
+        */
+      this.route(
+        'get', '/:id/history', {
+          summary: 'Lists the status changes of an application, oldest first.',
+          responses: {
+            200: {description: 'The status changes.', schema: {type: 'array', items: ResponseSchemas.APPLICATION_STATUS_CHANGE}},
+            404: 'There is no such application.',
+          },
+        },
+        Authorizer.verifyToken, Authorizer.requirePermission(Permissions.APPLICATIONS_READ),
+        Validation.validateRequest({params: {properties: {id: Schemas.ID}, required: ['id']}}),
         async (req,res,next)=>{
           try {
-            Validators.isPositiveInteger(req.params.id,"req.params.id");
-            Validators.applicationStatusIsValid(req.body.application_status,'application_status');
-            Validators.isNumber(req.body.version_number,"version_number");
-            const response=await this.contr.updateApplication({...req.body,availability_id:req.params.id});
+            const response=await this.contr.getApplicationHistory(req.params.id);
             if(response===null){
-              this.sendHttpResponse(res,404,'Could not update application');
-              Logger.logError(new Error("Could not update application"));
-              return;
+              throw new NotFoundError('No such application');
             }
             this.sendHttpResponse(res,200,response);
           } catch (err) {
-            this.sendHttpResponse(res,404,'Could not update application');
             next(err);
           }
         }
       );
     } catch (err) {
       Logger.logError(err);
+      throw err;
     }
   }
 }
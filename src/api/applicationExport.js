@@ -0,0 +1,217 @@
+'use strict';
+
+const ExcelJS = require('exceljs');
+
+/*
+  Writes applications as a spreadsheet to an HTTP response, one row per
+  application:
+    Application id, Name, Surname, Submitted, Status, Periods,
+    then one column per competence with the years of experience, empty
+    if the application was not submitted with that competence.
+  The rows are written as they are added, so an export of any size is
+  streamed to the client instead of being built in memory.
+*/
+
+// Characters that make a spreadsheet program read a CSV cell as a formula.
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+// The index of the Submitted column, see ApplicationExport.row.
+const SUBMITTED_COLUMN = 3;
+
+/**
+ * Waits until a response has sent the data it has buffered, or is closed.
+ * Writers call this when the response has more buffered than it should, so
+ * that an export to a slow client is not built up in memory.
+ *
+ * @param {Response} res The express Response object.
+ * @return {Promise} Resolved on drain or close.
+ */
+function drained(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/**
+ * Writes applications as CSV or XLSX.
+ */
+class ApplicationExport {
+  /**
+   * The formats that applications can be exported as.
+   */
+  static get FORMATS() {
+    return ['csv', 'xlsx'];
+  }
+
+  /**
+   * Creates a writer for the specified format, which sends the file as an
+   * attachment in the specified response.
+   *
+   * @param {string} format "csv" or "xlsx".
+   * @param {Response} res The express Response object.
+   * @param {Array} competences All competences, [{competence_id, name}], one column each.
+   * @return {object} The writer, with the header row written, with the
+   *                  methods async addApplications(applications) and async end().
+   */
+  static async createWriter(format, res, competences) {
+    const filename = 'applications-' + new Date().toISOString().slice(0, 10) + '.' + format;
+    const writer = format === 'xlsx' ? new XlsxWriter(res, filename) : new CsvWriter(res, filename);
+    await writer.addRow(ApplicationExport.header(competences));
+    return {
+      addApplications: async applications => {
+        for (const application of applications) {
+          await writer.addRow(ApplicationExport.row(application, competences));
+        }
+      },
+      end: () => writer.end(),
+    };
+  }
+
+  /**
+   * @param {Array} competences All competences.
+   * @return {Array} The column headers.
+   */
+  static header(competences) {
+    return ['Application id', 'Name', 'Surname', 'Submitted', 'Status', 'Periods',
+      ...competences.map(competence => (competence.name || 'Competence ' + competence.competence_id) + ' (years)')];
+  }
+
+  /**
+   * @param {ApplicationDTO} application The application, with localized competences.
+   * @param {Array} competences All competences.
+   * @return {Array} The cells of the application's row.
+   */
+  static row(application, competences) {
+    const years = new Map((application.competences || []).map(applicationCompetence =>
+      [applicationCompetence.competence_id, Number(applicationCompetence.years_of_experience)]));
+    const periods = (application.availabilities || []).map(availability =>
+      ApplicationExport.formatDate(availability.from_date) + ' – ' + ApplicationExport.formatDate(availability.to_date));
+    return [
+      application.application_id,
+      application.person ? application.person.name : null,
+      application.person ? application.person.surname : null,
+      new Date(application.createdAt),
+      application.application_status || 'unhandled',
+      periods.join('; '),
+      ...competences.map(competence => years.has(competence.competence_id) ? years.get(competence.competence_id) : null),
+    ];
+  }
+
+  /**
+   * @param {any} date A date.
+   * @return {string} The date as yyyy-mm-dd.
+   */
+  static formatDate(date) {
+    return new Date(date).toISOString().slice(0, 10);
+  }
+}
+
+/**
+ * Writes rows as CSV, RFC 4180, with a byte order mark so that spreadsheet
+ * programs read the file as UTF-8.
+ */
+class CsvWriter {
+  /**
+   * @param {Response} res The express Response object.
+   * @param {string} filename The name of the attachment.
+   */
+  constructor(res, filename) {
+    this.res = res;
+    res.attachment(filename);
+    res.type('text/csv; charset=utf-8');
+    res.write('\uFEFF');
+  }
+
+  /**
+   * Writes a row, waiting until the client has received the earlier rows if
+   * they are not yet sent.
+   *
+   * @param {Array} values The cells.
+   */
+  async addRow(values) {
+    if (!this.res.write(values.map(value => CsvWriter.cell(value)).join(',') + '\r\n')) {
+      await drained(this.res);
+    }
+  }
+
+  /**
+   * Ends the response.
+   */
+  async end() {
+    this.res.end();
+  }
+
+  /**
+   * @param {any} value The value of a cell.
+   * @return {string} The value as a CSV field.
+   */
+  static cell(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && FORMULA_PREFIXES.includes(text.charAt(0))) {
+      text = '\'' + text;
+    }
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+  }
+}
+
+/**
+ * Writes rows to the first sheet of an XLSX workbook.
+ */
+class XlsxWriter {
+  /**
+   * @param {Response} res The express Response object.
+   * @param {string} filename The name of the attachment.
+   */
+  constructor(res, filename) {
+    this.res = res;
+    res.attachment(filename);
+    res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    this.workbook = new ExcelJS.stream.xlsx.WorkbookWriter({stream: res, useStyles: true});
+    this.sheet = this.workbook.addWorksheet('Applications', {views: [{state: 'frozen', ySplit: 1}]});
+    this.rowCount = 0;
+  }
+
+  /**
+   * Writes a row, the first one in bold as header, waiting until the client
+   * has received the earlier rows if too much is not yet sent. The workbook
+   * writes to the response through a zip stream, so whether the response
+   * needs to drain is read from the response instead of a write.
+   *
+   * @param {Array} values The cells.
+   */
+  async addRow(values) {
+    if (this.rowCount === 0) {
+      this.sheet.columns = values.map((header, index) => ({
+        width: 16,
+        style: index === SUBMITTED_COLUMN ? {numFmt: 'yyyy-mm-dd hh:mm'} : {},
+      }));
+    }
+    const row = this.sheet.addRow(values);
+    if (this.rowCount === 0) {
+      row.font = {bold: true};
+    }
+    this.rowCount++;
+    row.commit();
+    if (this.res.writableNeedDrain) {
+      await drained(this.res);
+    }
+  }
+
+  /**
+   * Finishes the workbook, which ends the response.
+   */
+  async end() {
+    this.sheet.commit();
+    await this.workbook.commit();
+  }
+}
+
+module.exports = ApplicationExport;
@@ -1,9 +1,16 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
 const Logger = require('./../util/logger.js');
+const TokenRevocationStore = require('./tokenRevocationStore');
 
 /*
   Format of token (header: key):
   Authorization: Bearer ACCESS_TOKEN
+
+  Access tokens are short-lived (JWT_EXPIRES_IN, default 15 minutes). A new
+  access token is retrieved with the refresh token (JWT_REFRESH_EXPIRES_IN,
+  default 7 days), which is rotated on every use. Both are checked against
+  the TokenRevocationStore, so that logout ends the session at once.
 */
 
 /*
@@ -28,14 +35,19 @@ function verifyToken(req, res, next){
     req.token = token;
     jwt.verify(token, process.env.JWT_SECRET, (err, authData) => {
       if(err){
-        console.log("Invalid token");
+        Logger.warn("Invalid token", {reason: err.message});
         return res.status(403).send("Invalid token!");
       }
-      else{
-        //add logging (token accepted)
+      TokenRevocationStore.isRevoked(authData).then(revoked => {
+        if(revoked){
+          Logger.warn("Revoked token used by user: \"" + authData.person.username + "\"");
+          return res.status(403).send("Invalid token!");
+        }
+        req.tokenData = authData;
         req.body.auth = authData.person;
+        Logger.addToContext({username: authData.person.username, role: authData.person.role});
         next();
-      }
+      }).catch(next);
     });
   }
   else{
@@ -46,6 +58,8 @@ function verifyToken(req, res, next){
 /**
  * Middleware to verify if there is a valid token in the header. Either a normal access token,
  * or a temporary "put" token used for updating the user's data like password or email when not logged in.
+ * A put token is a single-use password reset token, it is made available as req.resetToken so that the
+ * request handler can check that it is still outstanding.
  * @param {req} req The express Request object.
  * @param {res} res The express Response object.
  * @param {next} next The next function to execute.
@@ -61,10 +75,11 @@ function verifyUpdatePerson(req, res, next){
     jwt.verify(token, process.env.JWT_SECRET, (err, a1) => {
       if(err){
         jwt.verify(token, process.env.JWT_PUT_SECRET, (err2, a2) => {
-          if(err2){
+          if(err2 || !a2.jti){
             return res.status(403).send("Unauthorized");
           }
           else{
+            req.resetToken = a2;
             req.body.auth = a2;
             next();
           }
@@ -72,8 +87,15 @@ function verifyUpdatePerson(req, res, next){
       }
       else{
         authData = a1;
-        req.body.auth = authData.person;
-        next();
+        TokenRevocationStore.isRevoked(authData).then(revoked => {
+          if(revoked){
+            return res.status(403).send("Unauthorized");
+          }
+          req.tokenData = authData;
+          req.body.auth = authData.person;
+          Logger.addToContext({username: authData.person.username, role: authData.person.role});
+          next();
+        }).catch(next);
       }
     });
   }
@@ -83,25 +105,86 @@ function verifyUpdatePerson(req, res, next){
 }
 
 /**
- * Middleware to verify that the user is a recruiter.
- * Used before accessing pages where recruiter rights is neeeded.
- * @param {req} req The express Request object.
- * @param {res} res The express Response object.
- * @param {next} next The next function to execute.
+ * Creates a middleware that verifies that the user's role grants all the
+ * specified permissions, see util/permissions.js. Must be used after verifyToken.
+ * @param {...string} permissions The names of the required permissions.
+ * @return {function} The middleware.
  */
-function isRecruiter(req, res, next){
-  //If user is a recruiter (role_id == 1)
-  if(req.body.auth.role_id == 1){
-    next();
-  }
-  else{ //Else user does not have right to access page.
-    Logger.logMessage("Unauthorized tried to access recruiter-only content, user: \"" + req.body.auth.username + "\", with id: " + req.body.auth.role_id);
-    return res.status(403).send("Unauthorized, only recruiters can access this page");
+function requirePermission(...permissions){
+  const middleware = (req, res, next) => {
+    const granted = req.body.auth.permissions || [];
+    const missing = permissions.filter(permission => !granted.includes(permission));
+    if(missing.length === 0){
+      next();
+    }
+    else{ //Else user does not have right to access page.
+      Logger.warn("Unauthorized tried to access content requiring " + missing.join(", ") + ", user: \"" + req.body.auth.username + "\", with role: " + req.body.auth.role);
+      return res.status(403).send("Unauthorized, missing permission " + missing.join(", "));
+    }
+  };
+  // Read by openApi.js to document the required permissions.
+  middleware.permissions = permissions;
+  return middleware;
+}
+
+/**
+ * Signs a token with a unique id (jti), so that it can be revoked.
+ * @param {object} payload The data to include in the token.
+ * @param {string} secret The secret to sign the token with.
+ * @param {string} expiresIn The lifetime of the token, e.g. "15m".
+ * @return {Promise<string>} The signed token.
+ */
+function signToken(payload, secret, expiresIn){
+  return new Promise((resolve, reject) => {
+    jwt.sign(payload, secret, {expiresIn: expiresIn, jwtid: crypto.randomUUID()}, (err, token) => {
+      if(err){
+        return reject(err);
+      }
+      resolve(token);
+    });
+  });
+}
+
+/**
+ * Issues a new pair of access and refresh tokens for a logged in user.
+ * @param {object} person The user data to include in the tokens.
+ * @return {Promise<object>} The tokens, {token, refreshToken}.
+ */
+async function issueTokens(person){
+  const token = await signToken({person: person}, process.env.JWT_SECRET, process.env.JWT_EXPIRES_IN || "15m");
+  const refreshToken = await signToken({person: person}, process.env.JWT_REFRESH_SECRET, process.env.JWT_REFRESH_EXPIRES_IN || "7d");
+  return {token: token, refreshToken: refreshToken};
+}
+
+/**
+ * Verifies a refresh token and checks that it has not been revoked.
+ * @param {string} refreshToken The refresh token to verify.
+ * @return {Promise<object>} The payload of the refresh token.
+ * @throws Throws an exception if the refresh token is invalid, expired or revoked.
+ */
+async function verifyRefreshToken(refreshToken){
+  const tokenData = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+  if(await TokenRevocationStore.isRevoked(tokenData)){
+    throw new Error("Refresh token has been revoked");
   }
+  return tokenData;
+}
+
+/**
+ * Revokes a verified access or refresh token.
+ * @param {object} tokenData The payload of the token to revoke.
+ * @return {Promise<boolean>} true if the token was revoked by this call, false
+ *                            if it already was revoked.
+ */
+async function revokeToken(tokenData){
+  return TokenRevocationStore.revoke(tokenData);
 }
 
 module.exports = {
   verifyToken: verifyToken,
   verifyUpdatePerson: verifyUpdatePerson,
-  isRecruiter: isRecruiter
+  requirePermission: requirePermission,
+  issueTokens: issueTokens,
+  verifyRefreshToken: verifyRefreshToken,
+  revokeToken: revokeToken
 }
@@ -2,7 +2,13 @@
 
 const RequestHandler = require('./requestHandler');
 const Authorizer = require('./authorization.js');
+const Language = require('./language.js');
 const Logger = require('./../util/logger.js');
+const Permissions = require('../util/permissions');
+const Validation = require('./validation');
+const Schemas = require('./schemas');
+const ResponseSchemas = require('./responseSchemas');
+const {NotFoundError} = require('../util/errors');
 
 
 /**
@@ -32,37 +38,261 @@ class CompetenceAPI extends RequestHandler {
 
   /**
    * Registers the request handling functions.
+   *
+   * @throws Throws an exception if the controller could not be created, in
+   *         which case no routes are registered.
    */
   async registerHandler() {
     try {
       await this.retrieveController();
 
        /**
-        * Returns a list of competences.
+        * Returns a list of competences, each with its name in the language
+        * from the "lang" query parameter, the Accept-Language header or the
+        * fallback languages (LANGUAGE_FALLBACK), in that order.
         *
+        * @param {obj} req.query {
+        *    "lang": The language of the names, optional,
+        *    "translations": "all" to also include all translations, optional
+        * }
         * @return {obj} 200: The searched competence list.
         *               404: If the list could not be retrieved.
         */
-      this.router.get(
-          '/list', Authorizer.verifyToken,
+      this.route(
+          'get', '/list', {
+            summary: 'Lists all competences, named in the negotiated language.',
+            responses: {
+              200: {description: 'The competences.', schema: {type: 'array', items: ResponseSchemas.COMPETENCE}},
+              404: 'There are no competences.',
+            },
+          },
+          Authorizer.verifyToken, Language.negotiateLanguage,
           async (req, res,next) => {
             try {
-              const competenceList = await this.contr.getAllCompetences();
+              const competenceList = await this.contr.getAllCompetences(req.language);
               if (competenceList === null) {
-                Logger.logError(new Error("No competences found in database."));
-                this.sendHttpResponse(res, 404, 'No competences found');
-                return;
+                throw new NotFoundError('No competences found');
               }
 
               this.sendHttpResponse(res, 200, competenceList);
             } catch (err) {
-              this.sendHttpResponse(res, 404, 'No competences found');
+              next(err);
+            }
+          }
+      );
+
+       /**
+        * Returns a competence with all its translations.
+        *
+        * @param {number} id The id of the competence.
+        * @return {obj} 200: The competence.
+        *               400: If the request is invalid, with the invalid fields.
+        *               404: If there is no such competence.
+        */
+      this.route(
+          'get', '/:id', {
+            summary: 'Returns a competence with all its translations.',
+            responses: {
+              200: {description: 'The competence.', schema: ResponseSchemas.COMPETENCE},
+              404: 'There is no such competence.',
+            },
+          },
+          Authorizer.verifyToken, Authorizer.requirePermission(Permissions.COMPETENCES_MANAGE),
+          Validation.validateRequest({params: {properties: {id: Schemas.ID}, required: ['id']}}),
+          async (req, res, next) => {
+            try {
+              const competence = await this.contr.findCompetenceById(req.params.id);
+              if (competence === null) {
+                throw new NotFoundError('No such competence');
+              }
+              this.sendHttpResponse(res, 200, competence);
+            } catch (err) {
+              next(err);
+            }
+          }
+      );
+
+       /**
+        * Creates a competence.
+        *
+        * @param {obj} req.body {
+        *    "translations": [{
+        *        "language": The language code, e.g. "en",
+        *        "translation": The name of the competence in that language
+        *    }]
+        * }
+        * @return {obj} 200: The new competence.
+        *               400: If the request is invalid, with the invalid fields.
+        *               404: If the competence could not be created.
+        */
+      this.route(
+          'post', '/', {
+            summary: 'Creates a competence.',
+            responses: {
+              200: {description: 'The new competence.', schema: ResponseSchemas.COMPETENCE},
+            },
+          },
+          Authorizer.verifyToken, Authorizer.requirePermission(Permissions.COMPETENCES_MANAGE),
+          Validation.validateRequest({body: {properties: {translations: Schemas.COMPETENCE_TRANSLATIONS}, required: ['translations']}}),
+          async (req, res, next) => {
+            try {
+              const competence = await this.contr.createCompetence(req.body.translations);
+              this.sendHttpResponse(res, 200, competence);
+            } catch (err) {
+              next(err);
+            }
+          }
+      );
+
+       /**
+        * Replaces all translations of a competence. Translations in
+        * languages that are not included are deleted.
+        *
+        * @param {number} id The id of the competence.
+        * @param {obj} req.body {
+        *    "translations": [{
+        *        "language": The language code, e.g. "en",
+        *        "translation": The name of the competence in that language
+        *    }]
+        * }
+        * @return {obj} 200: The updated competence.
+        *               400: If the request is invalid, with the invalid fields.
+        *               404: If the competence could not be updated.
+        */
+      this.route(
+          'put', '/:id', {
+            summary: 'Replaces all translations of a competence.',
+            responses: {
+              200: {description: 'The competence.', schema: ResponseSchemas.COMPETENCE},
+              404: 'There is no such competence.',
+            },
+          },
+          Authorizer.verifyToken, Authorizer.requirePermission(Permissions.COMPETENCES_MANAGE),
+          Validation.validateRequest({
+            params: {properties: {id: Schemas.ID}, required: ['id']},
+            body: {properties: {translations: Schemas.COMPETENCE_TRANSLATIONS}, required: ['translations']},
+          }),
+          async (req, res, next) => {
+            try {
+              const competence = await this.contr.setCompetenceTranslations(req.params.id, req.body.translations);
+              if (competence === null) {
+                throw new NotFoundError('No such competence');
+              }
+              this.sendHttpResponse(res, 200, competence);
+            } catch (err) {
+              next(err);
+            }
+          }
+      );
+
+       /**
+        * Adds or replaces the translation of a competence in one language.
+        *
+        * @param {number} id The id of the competence.
+        * @param {string} language The language code, e.g. "en".
+        * @param {obj} req.body {
+        *    "translation": The name of the competence in that language
+        * }
+        * @return {obj} 200: The updated competence.
+        *               400: If the request is invalid, with the invalid fields.
+        *               404: If the translation could not be saved.
+        */
+      this.route(
+          'put', '/:id/translation/:language', {
+            summary: 'Sets the name of a competence in one language.',
+            responses: {
+              200: {description: 'The competence.', schema: ResponseSchemas.COMPETENCE},
+              404: 'There is no such competence.',
+            },
+          },
+          Authorizer.verifyToken, Authorizer.requirePermission(Permissions.COMPETENCES_MANAGE),
+          Validation.validateRequest({
+            params: {properties: {id: Schemas.ID, language: Schemas.LANGUAGE}, required: ['id', 'language']},
+            body: {properties: {translation: {type: 'string', minLength: 1}}, required: ['translation']},
+          }),
+          async (req, res, next) => {
+            try {
+              const competence = await this.contr.setCompetenceTranslation(req.params.id, req.params.language, req.body.translation);
+              if (competence === null) {
+                throw new NotFoundError('No such competence');
+              }
+              this.sendHttpResponse(res, 200, competence);
+            } catch (err) {
+              next(err);
+            }
+          }
+      );
+
+       /**
+        * Deletes the translation of a competence in one language. The last
+        * translation of a competence can not be deleted.
+        *
+        * @param {number} id The id of the competence.
+        * @param {string} language The language code, e.g. "en".
+        * @return {obj} 200: The success object.
+        *               400: If the request is invalid, with the invalid fields.
+        *               404: If there is no such translation, or it is the last one.
+        */
+      this.route(
+          'delete', '/:id/translation/:language', {
+            summary: 'Deletes the name of a competence in one language.',
+            responses: {
+              200: {description: 'The translation was deleted.', schema: ResponseSchemas.SUCCESS},
+              404: 'There is no such translation.',
+              409: 'It is the last translation of the competence.',
+            },
+          },
+          Authorizer.verifyToken, Authorizer.requirePermission(Permissions.COMPETENCES_MANAGE),
+          Validation.validateRequest({params: {properties: {id: Schemas.ID, language: Schemas.LANGUAGE}, required: ['id', 'language']}}),
+          async (req, res, next) => {
+            try {
+              const response = await this.contr.deleteCompetenceTranslation(req.params.id, req.params.language);
+              if (response === null) {
+                throw new NotFoundError('No such translation');
+              }
+              this.sendHttpResponse(res, 200, response);
+            } catch (err) {
+              next(err);
+            }
+          }
+      );
+
+       /**
+        * Deletes a competence and its translations. Competences that are part
+        * of a competence profile or an application can not be deleted.
+        *
+        * @param {number} id The id of the competence.
+        * @return {obj} 200: The success object.
+        *               400: If the request is invalid, with the invalid fields.
+        *               404: If there is no such competence.
+        *               409: If the competence is in use.
+        */
+      this.route(
+          'delete', '/:id', {
+            summary: 'Deletes a competence that is not in use.',
+            responses: {
+              200: {description: 'The competence was deleted.', schema: ResponseSchemas.SUCCESS},
+              404: 'There is no such competence.',
+              409: 'The competence is used by applicants.',
+            },
+          },
+          Authorizer.verifyToken, Authorizer.requirePermission(Permissions.COMPETENCES_MANAGE),
+          Validation.validateRequest({params: {properties: {id: Schemas.ID}, required: ['id']}}),
+          async (req, res, next) => {
+            try {
+              const response = await this.contr.deleteCompetence(req.params.id);
+              if (response === null) {
+                throw new NotFoundError('No such competence');
+              }
+              this.sendHttpResponse(res, 200, response);
+            } catch (err) {
               next(err);
             }
           }
       );
     } catch (err) {
       Logger.logError(err);
+      throw err;
     }
   }
 }
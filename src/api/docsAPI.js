@@ -0,0 +1,147 @@
+'use strict';
+
+const RequestHandler = require('./requestHandler');
+const escapeHtml = require('../util/escapeHtml');
+
+/**
+ * Serves the documentation of the REST API, as an OpenAPI document and as
+ * a web page.
+ */
+class DocsApi extends RequestHandler {
+  /**
+   * Constructs a new instance.
+   *
+   * @param {RequestHandlerLoader} loader Creates the OpenAPI document, see openApiDocument.
+   */
+  constructor(loader) {
+    super();
+    this.loader = loader;
+  }
+
+  /**
+   * @return {string} The URL paths handled by this request handler.
+   */
+  get path() {
+    return DocsApi.DOCS_API_PATH;
+  }
+
+  /**
+   * @return {string} The URL paths handled by this request handler.
+   */
+  static get DOCS_API_PATH() {
+    return '/';
+  }
+
+  /**
+   * Registers the request handling functions. The document is created when
+   * it is requested, since the other request handlers register their routes
+   * asynchronously.
+   */
+  async registerHandler() {
+    /**
+      * Returns the OpenAPI 3 document of the REST API.
+      *
+      * @return {obj} 200: The OpenAPI document, not wrapped in "success".
+      */
+    this.router.get('/openapi.json', (req,res,next)=>{
+      try {
+        res.status(200).json(this.loader.openApiDocument());
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    /**
+      * Returns a web page listing all endpoints with their parameters,
+      * bodies and responses.
+      *
+      * @return {html} 200: The web page.
+      */
+    this.router.get('/docs', (req,res,next)=>{
+      try {
+        res.status(200).type('html').send(DocsApi.renderPage(this.loader.openApiDocument()));
+      } catch (err) {
+        next(err);
+      }
+    });
+  }
+
+  /**
+   * Renders an OpenAPI document as a web page.
+   *
+   * @param {object} document The OpenAPI document.
+   * @return {string} The HTML of the page.
+   */
+  static renderPage(document) {
+    const operations = [];
+    Object.entries(document.paths).forEach(([path, methods]) => {
+      Object.entries(methods).forEach(([method, operation]) => {
+        operations.push(DocsApi.renderOperation(path, method, operation));
+      });
+    });
+    return [
+      '<!DOCTYPE html>',
+      '<html lang="en"><head><meta charset="utf-8">',
+      '<title>' + escapeHtml(document.info.title) + '</title>',
+      '<style>',
+      'body{font-family:sans-serif;max-width:60em;margin:auto;padding:1em}',
+      'section{border-top:1px solid #ccc;padding:.5em 0}',
+      'h2{font-size:1.1em;font-family:monospace}',
+      'pre{background:#f4f4f4;padding:.5em;overflow:auto}',
+      'td,th{text-align:left;padding:0 1em 0 0;vertical-align:top}',
+      '</style></head><body>',
+      '<h1>' + escapeHtml(document.info.title) + ' ' + escapeHtml(document.info.version) + '</h1>',
+      '<p>' + escapeHtml(document.info.description) + '</p>',
+      '<p>The machine readable document is at <a href="openapi.json">openapi.json</a>.</p>',
+      ...operations,
+      '</body></html>',
+    ].join('\n');
+  }
+
+  /**
+   * @param {string} path The path of the endpoint.
+   * @param {string} method The HTTP method.
+   * @param {object} operation The OpenAPI operation.
+   * @return {string} The HTML describing the endpoint.
+   */
+  static renderOperation(path, method, operation) {
+    const html = ['<section>', '<h2>' + method.toUpperCase() + ' ' + escapeHtml(path) + '</h2>',
+      '<p>' + escapeHtml(operation.summary || '') + '</p>'];
+    if (operation.description) {
+      html.push('<p>' + escapeHtml(operation.description) + '</p>');
+    }
+    if (operation.security) {
+      html.push('<p>Authorization: ' + operation.security.map(scheme => Object.keys(scheme)[0]).join(' or ') + '</p>');
+    }
+    if (operation.parameters) {
+      html.push('<table><tr><th>Parameter</th><th>In</th><th>Required</th><th>Schema</th></tr>',
+          ...operation.parameters.map(parameter => '<tr><td>' + escapeHtml(parameter.name) + '</td><td>' +
+            parameter.in + '</td><td>' + (parameter.required ? 'yes' : 'no') + '</td><td><code>' +
+            escapeHtml(JSON.stringify(parameter.schema)) + '</code></td></tr>'),
+          '</table>');
+    }
+    if (operation.requestBody) {
+      html.push('<h3>Request body</h3>', DocsApi.renderSchema(operation.requestBody.content['application/json'].schema));
+    }
+    html.push('<h3>Responses</h3>');
+    Object.entries(operation.responses).forEach(([status, response]) => {
+      html.push('<p><b>' + status + '</b> ' + escapeHtml(response.description) + '</p>');
+      const content = response.content && response.content['application/json'];
+      if (content && !content.schema.$ref) {
+        html.push(DocsApi.renderSchema(content.schema));
+      }
+    });
+    html.push('</section>');
+    return html.join('\n');
+  }
+
+  /**
+   * @param {object} schema An OpenAPI schema.
+   * @return {string} The schema as preformatted JSON.
+   */
+  static renderSchema(schema) {
+    return '<pre>' + escapeHtml(JSON.stringify(schema, null, 2)) + '</pre>';
+  }
+}
+
+module.exports = DocsApi;
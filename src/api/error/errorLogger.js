@@ -1,7 +1,9 @@
 'use strict';
 
 const ErrorHandler = require('../requestHandler');
+const ErrorResponseSender = require('./errorResponseSender');
 const Logger=require('../../util/logger');
+const {DomainError, UnavailableError} = require('../../util/errors');
 
 /**
  * Logs all exceptions that arrive at an express router.
@@ -30,10 +32,28 @@ class ErrorLogger extends ErrorHandler {
    */
   registerHandler(app) {
     /*
-     * Logs errors to the console.
+     * Logs errors, with the id of the request, which the client got in the
+     * X-Request-Id response header. Errors that are the client's fault, such
+     * as a missing entity or a body that is not valid JSON, are expected and
+     * logged at info level without stack trace. An unavailable database is logged once by the
+     * DAO, and each failed request at warn level without stack trace. All
+     * other errors are logged at error level.
      */
     app.use(this.path, (err, req, res, next) => {
-      Logger.logError(err);
+      const fields = {
+        requestId: req.id,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+      };
+      if (err instanceof DomainError && err.status < 500) {
+        Logger.info(err.message, {...fields, code: err.code, errors: err.errors});
+      } else if (ErrorResponseSender.isClientError(err)) {
+        Logger.info(err.message, {...fields, code: ErrorResponseSender.codeOf(err), status: err.status});
+      } else if (err instanceof UnavailableError) {
+        Logger.warn(err.message, {...fields, code: err.code});
+      } else {
+        Logger.logError(err, fields);
+      }
       next(err);
     });
   }
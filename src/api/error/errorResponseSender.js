@@ -1,6 +1,7 @@
 'use strict';
 
 const ErrorHandler = require('../requestHandler');
+const {DomainError} = require('../../util/errors');
 
 /**
  * This is the last resort for error handling. Sends an error message in
@@ -23,8 +24,12 @@ class ErrorResponseSender extends ErrorHandler {
 
   /**
    * Registers the request handling function, which sends a response describing
-   * the error, with HTTP status code 500. Request handling ends after
-   * executing this method, since it does not call next().
+   * the error. Domain errors, see util/errors.js, are answered with their own
+   * status, for example 404 for NotFoundError, and any other error with 500.
+   * Request handling ends after executing this method, since it does not call
+   * next(). The body always has the same form:
+   * {"error": message, "code": machine-readable code, "errors": invalid fields
+   *  (only for validation errors), "requestId": the id of the request}
    *
    * @param {Application} app The express application hosting the
    *                          error handler.
@@ -37,9 +42,67 @@ class ErrorResponseSender extends ErrorHandler {
       if (res.headersSent) {
         return next(err);
       }
-      this.sendHttpResponse(res,500,'Operation failed');
+      if (err.retryAfter) {
+        res.set('Retry-After', String(err.retryAfter));
+      }
+      res.status(ErrorResponseSender.statusOf(err)).json({
+        error: ErrorResponseSender.messageOf(err),
+        code: ErrorResponseSender.codeOf(err),
+        errors: err.errors,
+        requestId: req.id,
+      });
     });
   }
+
+  /**
+   * @param {Error} err The error.
+   * @return {number} The HTTP status to answer the error with.
+   */
+  static statusOf(err) {
+    if (err instanceof DomainError) {
+      return err.status;
+    }
+    if (ErrorResponseSender.isClientError(err)) {
+      return err.status;
+    }
+    return 500;
+  }
+
+  /**
+   * @param {Error} err The error.
+   * @return {string} The message to send, which does not reveal anything
+   *                  about errors that are not caused by the client.
+   */
+  static messageOf(err) {
+    if (err instanceof DomainError || ErrorResponseSender.isClientError(err)) {
+      return err.message;
+    }
+    return 'Operation failed';
+  }
+
+  /**
+   * @param {Error} err The error.
+   * @return {string} The machine-readable code of the error.
+   */
+  static codeOf(err) {
+    if (err instanceof DomainError) {
+      return err.code;
+    }
+    if (ErrorResponseSender.isClientError(err)) {
+      return 'bad_request';
+    }
+    return 'internal_error';
+  }
+
+  /**
+   * Checks if an error thrown by express or a middleware, for example a
+   * body that is not valid JSON, is caused by the client and may be shown.
+   * @param {Error} err The error.
+   * @return {boolean} true if the error has a 4xx status and may be exposed.
+   */
+  static isClientError(err) {
+    return Boolean(err && err.expose && err.status >= 400 && err.status < 500);
+  }
 }
 
 module.exports = ErrorResponseSender;
\ No newline at end of file
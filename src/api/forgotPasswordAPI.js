@@ -2,7 +2,9 @@
 const jwt = require("jsonwebtoken");
 
 const RequestHandler = require('./requestHandler');
-const Validators = require('../util/validators');
+const RateLimiter = require('./rateLimiter');
+const Validation = require('./validation');
+const Schemas = require('./schemas');
 const Logger = require('./../util/logger.js');
 
 
@@ -15,6 +17,13 @@ class ForgotPasswordApi extends RequestHandler {
    */
   constructor() {
     super();
+    this.resetLimiter = new RateLimiter('forgotpassword', {
+      ipMax: 10,
+      ipWindowMs: 60 * 60 * 1000,
+      maxFailures: 3,
+      failureWindowMs: 60 * 60 * 1000,
+      lockoutMs: 60 * 60 * 1000,
+    });
   }
 
   /**
@@ -31,55 +40,88 @@ class ForgotPasswordApi extends RequestHandler {
     return '/forgotpassword';
   }
 
+  /**
+   * @return {number} For how many minutes a reset link is valid.
+   */
+  static get RESET_LINK_VALID_MINUTES() {
+    return 30;
+  }
+
   /**
    * Registers the request handling functions.
+   *
+   * @throws Throws an exception if the controller could not be created, in
+   *         which case no routes are registered.
    */
   async registerHandler() {
     try {
       await this.retrieveController();
 
       /**
-       * Checks if the user's authorize header token is still valid.
-       *  
-       * @param {string} email The email of the user.
-       * @return {obj} http response with code 200 including the user's
-       *               username, role, name and verification token.
-       *               403: invalid token error
+       * Emails a link for resetting the password to the user with the
+       * specified email, if there is one. The link can only be used once, and
+       * earlier links of the user stop working. The response is the same whether
+       * or not there is an account with the email, and it is sent before
+       * the email, so that it can not be used to find out which addresses
+       * have accounts.
+       *
+       * At most 10 requests are allowed per IP address in an hour, and 3
+       * per email address from the same IP address. Every request counts,
+       * and like all lockouts of RateLimiter, the one of an email address
+       * only applies to the IP address the requests came from.
+       *
+       * @param {obj} req.body {
+       *    "email": The email of the user
+       * }
+       * @return {obj} 200: The same message for all valid email addresses.
+       *               400: If the email is not a valid email address.
+       *               429: Too many requests, with Retry-After.
        */
-      this.router.get(
-        '/:email',
+      this.route(
+        'post', '/', {
+          summary: 'Emails a password reset link.',
+          responses: {
+            200: {description: 'The same message whether or not there is an account with the email.', schema: {type: 'string'}},
+          },
+        },
+        this.resetLimiter.middleware(req => req.body.email),
+        Validation.validateRequest({body: {properties: {email: Schemas.EMAIL}, required: ['email']}}),
         async (req,res,next)=>{
-          let email = req.params.email;
-          Validators.isEmailValid(email);
-          if(email){
-            try {
-              const person = await this.contr.findPersonByEmail(email);
-              if(person != null){
-                let response = {}
-                jwt.sign({email: email}, process.env.JWT_PUT_SECRET, {expiresIn: '30m'}, (err, token) => {
-                  response.resetLink = process.env.REACT_URL + "updateperson/" + token;
-                  Logger.logMessage("Created reset link for user \"" + person.username + "\"");
-                  this.sendHttpResponse(res,200,response);
-                })
-              }
-              else{
-                Logger.logMessage("Failed to find account with email for update details, email: \"" + email + "\"");
-                this.sendHttpResponse(res, 404, 'An account with that email was not found');
-              }
-            }
-            catch (err) {
-              this.sendHttpResponse(res, 404, 'An account with that email was not found');
-              next(err);
-            }
-          }
-          else{
-            throw new Error("No email in request");
+          try {
+            await req.rateLimit.recordFailure();
+          } catch (err) {
+            next(err);
+            return;
           }
+          this.sendHttpResponse(res, 200, 'If there is an account with that email, a reset link has been sent to it');
+          this.sendResetLink(req.body.email).catch(err => Logger.logError(err));
         }
       );
     } catch (err) {
       Logger.logError(err);
+      throw err;
+    }
+  }
+
+  /**
+   * Emails a reset link to the user with the specified email, if there is one.
+   *
+   * @param {string} email The email of the user.
+   * @throws Throws an exception if the person could not be searched for or
+   *         the email could not be sent.
+   */
+  async sendResetLink(email) {
+    const person = await this.contr.findPersonByEmail(email);
+    if(person == null){
+      Logger.logMessage("Password reset requested for an email without account");
+      return;
     }
+    const validMinutes = ForgotPasswordApi.RESET_LINK_VALID_MINUTES;
+    const resetToken = await this.contr.createResetToken(person.person_id, validMinutes);
+    const token = jwt.sign({email: email}, process.env.JWT_PUT_SECRET, {expiresIn: validMinutes + 'm', jwtid: resetToken.token_id});
+    const resetLink = process.env.REACT_URL + "updateperson/" + token;
+    await this.contr.sendPasswordResetMail(person, resetLink, validMinutes);
+    Logger.logMessage("Sent reset link to user \"" + person.username + "\"");
   }
 }
 
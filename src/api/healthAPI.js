@@ -0,0 +1,119 @@
+'use strict';
+
+const RequestHandler = require('./requestHandler');
+
+/**
+ * Defines the endpoints that tell a load balancer or orchestrator whether
+ * the server is alive and ready to receive requests.
+ */
+class HealthApi extends RequestHandler {
+  /**
+   * Constructs a new instance.
+   *
+   * @param {RequestHandlerLoader} loader Knows which request handlers are
+   *                                      registered, and the database state.
+   */
+  constructor(loader) {
+    super();
+    this.loader = loader;
+  }
+
+  /**
+   * @return {string} The URL paths handled by this request handler.
+   */
+  get path() {
+    return HealthApi.HEALTH_API_PATH;
+  }
+
+  /**
+   * @return {string} The URL paths handled by this request handler.
+   */
+  static get HEALTH_API_PATH() {
+    return '/health';
+  }
+
+  /**
+   * @return {number} How long readiness waits for the database, in
+   *                  milliseconds, HEALTH_DB_TIMEOUT_MS, default 2000.
+   */
+  static get DB_TIMEOUT_MS() {
+    return parseInt(process.env.HEALTH_DB_TIMEOUT_MS, 10) || 2000;
+  }
+
+  /**
+   * Registers the request handling functions. They do not use a controller
+   * of their own, so they answer also when the database is unavailable.
+   */
+  async registerHandler() {
+    /**
+      * Tells that the process is running and answers requests.
+      *
+      * @return {obj} 200: {status: "ok", uptime: seconds since the server started}
+      */
+    this.route('get', '/live', {
+      summary: 'Tells that the server is running.',
+      responses: {
+        200: {
+          description: 'The server is running.',
+          schema: {type: 'object', properties: {status: {type: 'string', enum: ['ok']}, uptime: {type: 'number'}}},
+        },
+      },
+    }, (req,res)=>{
+      this.sendHttpResponse(res,200,{status:'ok',uptime:process.uptime()});
+    });
+
+    /**
+      * Tells whether the server can handle requests: the database answers,
+      * every request handler has registered its routes and the server is
+      * not shutting down.
+      *
+      * @return {obj} 200: {status: "ready", database, handlers, shuttingDown}
+      *               503: The same, with status "not_ready", in "error".
+      */
+    this.route('get', '/ready', {
+      summary: 'Tells whether the server is ready to receive requests.',
+      description: 'database is "up" or "down", handlers maps each request handler to "pending", ' +
+        '"registered" or "failed".',
+      responses: {
+        200: {description: 'The server is ready.', schema: HealthApi.READINESS_SCHEMA},
+        503: {
+          description: 'The server is not ready, the same body as 200 in "error" instead of "success".',
+          content: {'application/json': {schema: {type: 'object', properties: {error: HealthApi.READINESS_SCHEMA}}}},
+        },
+      },
+    }, async (req,res,next)=>{
+      try {
+        const databaseUp=await this.loader.isDatabaseAvailable(HealthApi.DB_TIMEOUT_MS);
+        const handlers=this.loader.registrationStatus();
+        const ready=databaseUp && !this.loader.shuttingDown &&
+          Object.values(handlers).every(registration=>registration==='registered');
+        res.set('Cache-Control','no-store');
+        this.sendHttpResponse(res,ready?200:503,{
+          status:ready?'ready':'not_ready',
+          database:databaseUp?'up':'down',
+          handlers,
+          shuttingDown:this.loader.shuttingDown,
+        });
+      } catch (err) {
+        next(err);
+      }
+    });
+  }
+
+  /**
+   * The schema of the readiness report.
+   */
+  static get READINESS_SCHEMA() {
+    return {
+      type: 'object',
+      properties: {
+        status: {type: 'string', enum: ['ready', 'not_ready']},
+        database: {type: 'string', enum: ['up', 'down']},
+        handlers: {type: 'object', additionalProperties: {type: 'string', enum: ['pending', 'registered', 'failed']}},
+        shuttingDown: {type: 'boolean'},
+      },
+    };
+  }
+}
+
+module.exports = HealthApi;
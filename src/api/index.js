@@ -6,6 +6,12 @@ const ForgotPasswordApi = require('./forgotPasswordAPI');
 const UpdatePersonApi = require('./updatePersonAPI');
 const ApplicationApi = require('./applicationAPI');
 const CompetenceApi = require('./competenceAPI');
+const ResetTokenApi = require('./resetTokenAPI');
+const RoleApi = require('./roleAPI');
+const DocsApi = require('./docsAPI');
+const HealthApi = require('./healthAPI');
+const OpenApi = require('./openApi');
+const Controller = require('../controller/controller');
 const ErrorLogger = require('./error/errorLogger');
 const ErrorResponseSender = require('./error/errorResponseSender');
 
@@ -19,6 +25,10 @@ class RequestHandlerLoader {
   constructor() {
     this.reqHandlers = [];
     this.errorHandlers = [];
+    this.registrations = new Map();
+    this.shuttingDown = false;
+    this.controllerCreation = null;
+    this.controller = null;
   }
 
   /**
@@ -41,17 +51,83 @@ class RequestHandlerLoader {
 
   /**
    * Makes all request handlers available in the specified express
-   * Application object.
+   * Application object. One controller, with one connection pool, is
+   * created and shared by all request handlers.
    *
    * @param {Application} app The express application hosting the request handlers.
+   * @param {function} createController Creates the controller, default
+   *                                    Controller.createController. Lets tests
+   *                                    use another controller.
    */
-  loadHandlers(app) {
+  loadHandlers(app, createController = Controller.createController) {
+    this.controllerCreation = createController();
+    this.controllerCreation.then(controller => {
+      this.controller = controller;
+    }, () => undefined);
     this.reqHandlers.forEach((reqHandler) => {
-      reqHandler.registerHandler();
+      this.registrations.set(reqHandler, 'pending');
+      reqHandler.useController(this.controllerCreation);
+      reqHandler.registerHandler().then(
+          () => this.registrations.set(reqHandler, 'registered'),
+          () => this.registrations.set(reqHandler, 'failed'));
       app.use(reqHandler.path, reqHandler.router);
     });
   }
 
+  /**
+   * Tells whether each request handler has registered its routes. A request
+   * handler that failed, e.g. since the database was unavailable, does not
+   * answer any requests.
+   *
+   * @return {object} The name of each request handler mapped to "pending",
+   *                  "registered" or "failed".
+   */
+  registrationStatus() {
+    const status = {};
+    this.registrations.forEach((registration, reqHandler) => {
+      status[reqHandler.constructor.name] = registration;
+    });
+    return status;
+  }
+
+  /**
+   * Checks that the database answers, through the shared controller.
+   *
+   * @param {number} timeoutMs How long to wait for the database, in milliseconds.
+   * @return {boolean} true if the database answered in time, false if it did
+   *                   not or if the controller has not been created.
+   */
+  async isDatabaseAvailable(timeoutMs) {
+    return this.controller ? this.controller.isDatabaseAvailable(timeoutMs) : false;
+  }
+
+  /**
+   * Marks the server as shutting down, after which it is no longer ready to
+   * receive requests, see HealthApi.
+   */
+  beginShutdown() {
+    this.shuttingDown = true;
+  }
+
+  /**
+   * Closes the database connections of the shared controller, when the
+   * server shuts down. Call after the server has stopped handling requests.
+   */
+  async close() {
+    if (this.controller) {
+      await this.controller.close();
+    }
+  }
+
+  /**
+   * Creates the OpenAPI document of the routes of all request handlers.
+   *
+   * @return {object} The OpenAPI 3 document.
+   */
+  openApiDocument() {
+    return OpenApi.createDocument(this.reqHandlers);
+  }
+
   /**
    * Makes all error handlers available in the specified express
    * Application object. Note that error handlers can not be loaded via an
@@ -74,6 +150,10 @@ loader.addRequestHandler(new ForgotPasswordApi());
 loader.addRequestHandler(new UpdatePersonApi());
 loader.addRequestHandler(new ApplicationApi());
 loader.addRequestHandler(new CompetenceApi());
+loader.addRequestHandler(new ResetTokenApi());
+loader.addRequestHandler(new RoleApi());
+loader.addRequestHandler(new DocsApi(loader));
+loader.addRequestHandler(new HealthApi(loader));
 loader.addErrorHandler(new ErrorLogger());
 loader.addErrorHandler(new ErrorResponseSender());
 
@@ -0,0 +1,26 @@
+'use strict';
+
+const LanguageNegotiator = require('../util/languageNegotiator');
+
+/**
+ * Middleware that decides in which language competence names are returned.
+ * The language is taken from the "lang" query parameter, the Accept-Language
+ * header and the fallback languages, in that order. The result is stored as
+ * req.language, {languages, includeTranslations}, where includeTranslations
+ * is true if all translations were asked for with "translations=all".
+ * @param {req} req The express Request object.
+ * @param {res} res The express Response object.
+ * @param {next} next The next function to execute.
+ */
+function negotiateLanguage(req, res, next){
+  req.language = {
+    languages: LanguageNegotiator.preferredLanguages(req.query.lang, req.headers["accept-language"]),
+    includeTranslations: req.query.translations === "all"
+  };
+  res.vary("Accept-Language");
+  next();
+}
+
+module.exports = {
+  negotiateLanguage: negotiateLanguage
+}
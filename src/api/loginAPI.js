@@ -1,11 +1,13 @@
 'use strict';
 
-const jwt = require("jsonwebtoken");
-
 const RequestHandler = require('./requestHandler');
 const Authorizer = require('./authorization.js');
+const RateLimiter = require('./rateLimiter');
 const Logger = require('./../util/logger.js');
-const Validators = require('../util/validators');
+const Validation = require('./validation');
+const Schemas = require('./schemas');
+const ResponseSchemas = require('./responseSchemas');
+const {AuthError} = require('../util/errors');
 
 /**
  * Defines the REST API with endpoints related to persons.
@@ -16,6 +18,13 @@ class LoginApi extends RequestHandler {
    */
   constructor() {
     super();
+    this.loginLimiter = new RateLimiter('login', {
+      ipMax: 30,
+      ipWindowMs: 15 * 60 * 1000,
+      maxFailures: 5,
+      failureWindowMs: 15 * 60 * 1000,
+      lockoutMs: 15 * 60 * 1000,
+    });
   }
 
   /**
@@ -34,6 +43,9 @@ class LoginApi extends RequestHandler {
 
   /**
    * Registers the request handling functions.
+   *
+   * @throws Throws an exception if the controller could not be created, in
+   *         which case no routes are registered.
    */
   async registerHandler() {
     try {
@@ -46,8 +58,14 @@ class LoginApi extends RequestHandler {
        *               username, role, name and verification token.
        *               403: invalid token error
        */
-      this.router.get(
-        '/check_validity', Authorizer.verifyToken,
+      this.route(
+        'get', '/check_validity', {
+          summary: 'Checks that the access token is valid.',
+          responses: {
+            200: {description: 'The user in the token.', schema: {type: 'object', properties: {body: ResponseSchemas.PERSON}}},
+          },
+        },
+        Authorizer.verifyToken,
         async (req,res,next)=>{
           try {
             let response = {body: req.body.auth};
@@ -67,41 +85,150 @@ class LoginApi extends RequestHandler {
        *    "password": The password of the user
        * }
        *
+       * At most 30 attempts are allowed per IP address in 15 minutes, and an
+       * account is locked for 15 minutes after 5 failed attempts, for the
+       * IP address they came from.
+       *
        * @return {obj} http response with code 200 including the user's
-       *               username, role, name and verification token.
-       *               404: Could not log in.
+       *               username, role, name, short-lived access token and
+       *               refresh token.
+       *               400: If the username or password is missing or invalid.
+       *               401: Could not log in.
+       *               429: Too many attempts, with Retry-After.
        */
-      this.router.post(
-        '/',
+      this.route(
+        'post', '/', {
+          summary: 'Logs in.',
+          responses: {
+            200: {description: 'The user with the tokens, and emptyFields if the user has fields to fill in.', schema: ResponseSchemas.LOGIN},
+            401: 'The username or password is wrong.',
+          },
+        },
+        this.loginLimiter.middleware(req => req.body.username),
+        Validation.validateRequest({
+          body: {properties: {username: Schemas.USERNAME, password: Schemas.PASSWORD}, required: ['username', 'password']}
+        }),
         async (req,res,next)=>{
           try {
-            Validators.isStringNonZeroLength(req.body.username, 'username');
-            Validators.isAlphanumericString(req.body.username, 'username');
-            Validators.isStringNonZeroLength(req.body.password, 'password');
-            Validators.isAlphanumericString(req.body.password, 'password');
             const response=await this.contr.login(req.body);
             if(response===null){
-              this.sendHttpResponse(res,404,'Could not log in');
+              await req.rateLimit.recordFailure();
+              Logger.logMessage("Login attempt failed for username: \"" + req.body.username + "\"");
+              throw new AuthError('Could not log in');
+            }
+            await req.rateLimit.recordSuccess();
+            const {token, refreshToken} = await Authorizer.issueTokens(response);
+            response.token = token;
+            response.refreshToken = refreshToken;
+            const emptyFields = await this.contr.personNeedsToFillEmptyFields(response);
+            if(emptyFields){
+              response.emptyFields = emptyFields;
+            }
+            this.sendHttpResponse(res,200,response);
+          } catch (err) {
+            next(err);
+          }
+        }
+      );
+
+      /**
+       * Issues a new access token and refresh token. The refresh token that
+       * was used is revoked before the new tokens are issued, and only the
+       * request that revoked it gets new tokens, so each refresh token can
+       * only be used once, also by concurrent requests.
+       * The user's role and permissions are read again, so that a changed
+       * role takes effect.
+       *
+       * @param {obj} req.body {
+       *    "refreshToken": The refresh token received at login or last refresh
+       * }
+       *
+       * @return {obj} http response with code 200 including the new token
+       *               and refreshToken.
+       *               400: If there is no refresh token.
+       *               403: invalid, expired or revoked refresh token.
+       */
+      this.route(
+        'post', '/refresh', {
+          summary: 'Issues new tokens for a refresh token, which can only be used once.',
+          responses: {
+            200: {description: 'The new tokens.', schema: ResponseSchemas.TOKENS},
+            403: 'The refresh token is invalid, expired or revoked.',
+          },
+        },
+        Validation.validateRequest({body: {properties: {refreshToken: {type: 'string', minLength: 1}}, required: ['refreshToken']}}),
+        async (req,res,next)=>{
+          let tokenData;
+          try {
+            tokenData = await Authorizer.verifyRefreshToken(req.body.refreshToken);
+          } catch (err) {
+            Logger.logMessage("Refresh attempt failed: " + err.message);
+            this.sendHttpResponse(res,403,'Invalid refresh token');
+            return;
+          }
+          try {
+            if(!await Authorizer.revokeToken(tokenData)){
+              Logger.warn("Refresh token used twice by user: \"" + tokenData.person.username + "\"");
+              this.sendHttpResponse(res,403,'Invalid refresh token');
               return;
             }
-            jwt.sign({person: response}, process.env.JWT_SECRET, (err, token) => {
-              response.token = token;
-              this.contr.personNeedsToFillEmptyFields(response).then(e => {
-                if(e){
-                  response.emptyFields = e;
+            const person = await this.contr.findAuthDataByUsername(tokenData.person.username);
+            if(person === null){
+              this.sendHttpResponse(res,403,'Invalid refresh token');
+              return;
+            }
+            const response = await Authorizer.issueTokens(person);
+            this.sendHttpResponse(res,200,response);
+          } catch (err) {
+            next(err);
+          }
+        }
+      );
+
+      /**
+       * Logs out the user by revoking the access token in the authorization
+       * header, and the refresh token if one is included and belongs to the
+       * same user.
+       *
+       * @param {obj} req.body {
+       *    "refreshToken": The refresh token of the session (optional)
+       * }
+       *
+       * @return {obj} http response with code 200.
+       *               403: invalid token error
+       */
+      this.route(
+        'post', '/logout', {
+          summary: 'Logs out, revoking the access token and the refresh token.',
+          responses: {
+            200: {description: 'The tokens are revoked.', schema: {type: 'string', enum: ['Logged out']}},
+          },
+        },
+        Authorizer.verifyToken,
+        async (req,res,next)=>{
+          try {
+            await Authorizer.revokeToken(req.tokenData);
+            if(req.body.refreshToken){
+              try {
+                const refreshTokenData = await Authorizer.verifyRefreshToken(req.body.refreshToken);
+                if(refreshTokenData.person.person_id !== req.tokenData.person.person_id){
+                  throw new Error("The refresh token belongs to another user");
                 }
-                this.sendHttpResponse(res,200,response);
-              });
-            })
+                await Authorizer.revokeToken(refreshTokenData);
+              } catch (err) {
+                Logger.logMessage("Ignored invalid refresh token at logout: " + err.message);
+              }
+            }
+            Logger.logMessage("User logged out: \"" + req.body.auth.username + "\"");
+            this.sendHttpResponse(res,200,'Logged out');
           } catch (err) {
-            this.sendHttpResponse(res,404,'Could not log in');
-            Logger.logMessage("Login attempt failed for username: \"" + req.body.username + "\"");
             next(err);
           }
         }
       );
     } catch (err) {
       Logger.logError(err);
+      throw err;
     }
   }
 }
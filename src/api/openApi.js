@@ -0,0 +1,240 @@
+'use strict';
+
+const Authorizer = require('./authorization.js');
+const packageJson = require('../../package.json');
+
+/*
+  The OpenAPI 3 document is built from the routes that the request handlers
+  register with RequestHandler.route. The description of each route,
+  {summary, description, responses}, is combined with what its middlewares
+  tell about it:
+    Authorizer.verifyToken          requires an access token
+    Authorizer.verifyUpdatePerson   requires an access token or a reset token
+    Authorizer.requirePermission    the permissions the user's role must grant
+    Validation.validateRequest      the parameters and the request body
+    RateLimiter.middleware          may answer 429
+  Successful responses are documented as {"success": <schema>}, as sent by
+  RequestHandler.sendHttpResponse, and errors as the body sent by
+  ErrorResponseSender.
+*/
+
+const ERROR_SCHEMA = {
+  type: 'object',
+  properties: {
+    error: {type: 'string', description: 'Describes the error.'},
+    code: {type: 'string', enum: ['validation_failed', 'unauthorized', 'not_found', 'conflict', 'unavailable', 'bad_request', 'internal_error']},
+    errors: {
+      type: 'array',
+      description: 'The invalid fields, for validation errors.',
+      items: {
+        type: 'object',
+        properties: {field: {type: 'string'}, message: {type: 'string'}},
+        required: ['field', 'message'],
+      },
+    },
+    requestId: {type: 'string', description: 'The X-Request-Id of the request, for error reports.'},
+  },
+  required: ['error'],
+};
+
+// Keywords of the schemas in schemas.js that are not part of OpenAPI.
+const NON_OPENAPI_KEYWORDS = ['check'];
+
+/**
+ * Builds the OpenAPI document describing the REST API.
+ */
+class OpenApi {
+  /**
+   * Creates the OpenAPI document of the routes of the specified request handlers.
+   *
+   * @param {Array} requestHandlers The request handlers, each with its path and routes.
+   * @return {object} The OpenAPI 3 document.
+   */
+  static createDocument(requestHandlers) {
+    const paths = {};
+    requestHandlers.forEach(handler => {
+      const tag = handler.path.replace(/^\//, '');
+      handler.routes.forEach(route => {
+        const path = OpenApi.toOpenApiPath(handler.path, route.path);
+        paths[path] = paths[path] || {};
+        paths[path][route.method] = OpenApi.operation(route, tag);
+      });
+    });
+    return {
+      openapi: '3.0.3',
+      info: {
+        title: 'Recruitment REST API',
+        version: packageJson.version,
+        description: 'Successful responses have the form {"success": ...}. Every response has an ' +
+          'X-Request-Id header, which is also included in error responses.',
+      },
+      paths,
+      components: {
+        schemas: {Error: ERROR_SCHEMA},
+        securitySchemes: {
+          accessToken: {type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'The token returned by POST /login.'},
+          resetToken: {type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'The token in an emailed password reset link.'},
+        },
+      },
+    };
+  }
+
+  /**
+   * Describes one route.
+   *
+   * @param {object} route {method, path, doc, handlers}, see RequestHandler.route.
+   * @param {string} tag The tag to group the route by.
+   * @return {object} The OpenAPI operation.
+   */
+  static operation(route, tag) {
+    const {doc, handlers} = route;
+    const requestSchema = handlers.filter(handler => handler.requestSchema).map(handler => handler.requestSchema)[0] || {};
+    const permissions = [].concat(...handlers.filter(handler => handler.permissions).map(handler => handler.permissions));
+    const needsToken = handlers.includes(Authorizer.verifyToken);
+    const needsTokenOrResetToken = handlers.includes(Authorizer.verifyUpdatePerson);
+
+    const operation = {tags: [tag], summary: doc.summary};
+    const description = [doc.description];
+    if (permissions.length > 0) {
+      description.push('Requires the permissions: ' + permissions.join(', ') + '.');
+      operation['x-permissions'] = permissions;
+    }
+    if (description.some(part => part)) {
+      operation.description = description.filter(part => part).join('\n\n');
+    }
+    if (needsToken) {
+      operation.security = [{accessToken: []}];
+    } else if (needsTokenOrResetToken) {
+      operation.security = [{accessToken: []}, {resetToken: []}];
+    }
+
+    const parameters = [
+      ...OpenApi.parameters(requestSchema.params, 'path'),
+      ...OpenApi.parameters(requestSchema.query, 'query'),
+    ];
+    // Path parameters that are not validated are still part of the path.
+    (route.path.match(/:[A-Za-z0-9_]+/g) || []).map(param => param.slice(1))
+        .filter(name => !parameters.some(parameter => parameter.in === 'path' && parameter.name === name))
+        .forEach(name => parameters.push({name, in: 'path', required: true, schema: {type: 'string'}}));
+    if (parameters.length > 0) {
+      operation.parameters = parameters;
+    }
+    if (requestSchema.body) {
+      operation.requestBody = {
+        required: true,
+        content: {'application/json': {schema: OpenApi.toOpenApiSchema({type: 'object', ...requestSchema.body})}},
+      };
+    }
+
+    const responses = {};
+    Object.entries(doc.responses || {}).forEach(([status, response]) => {
+      responses[status] = OpenApi.response(Number(status), typeof response === 'string' ? {description: response} : response);
+    });
+    if (requestSchema.params || requestSchema.query || requestSchema.body) {
+      responses[400] = responses[400] || OpenApi.response(400, {description: 'The request is invalid, errors lists the invalid fields.'});
+    }
+    if (needsToken || needsTokenOrResetToken) {
+      responses[403] = responses[403] || {
+        description: 'The token is missing, invalid or revoked' + (permissions.length > 0 ? ', or a permission is missing.' : '.'),
+        content: {'text/plain': {schema: {type: 'string'}}},
+      };
+    }
+    if (handlers.some(handler => handler.rateLimiter)) {
+      responses[429] = {
+        description: 'Too many attempts. The Retry-After header tells after how many seconds to try again.',
+        headers: {'Retry-After': {schema: {type: 'integer'}}},
+        content: {'application/json': {schema: {$ref: '#/components/schemas/Error'}}},
+      };
+    }
+    responses[503] = responses[503] || OpenApi.response(503, {description: 'The database is unavailable.'});
+    responses.default = OpenApi.response(500, {description: 'The request failed, "Operation failed".'});
+    operation.responses = responses;
+    return operation;
+  }
+
+  /**
+   * Describes a response.
+   *
+   * @param {number} status The HTTP status.
+   * @param {object} response {description, schema}, where schema describes
+   *                          the value of "success", for statuses below 400,
+   *                          or {description, content} for responses that are
+   *                          not JSON, with content as in OpenAPI.
+   * @return {object} The OpenAPI response.
+   */
+  static response(status, response) {
+    if (response.content) {
+      return {description: response.description, content: response.content};
+    }
+    const schema = status < 400 ? {
+      type: 'object',
+      properties: {success: OpenApi.toOpenApiSchema(response.schema || {})},
+      required: ['success'],
+    } : {$ref: '#/components/schemas/Error'};
+    return {
+      description: response.description,
+      content: {'application/json': {schema}},
+    };
+  }
+
+  /**
+   * Describes the parameters in the URL path or query.
+   *
+   * @param {object} schema The object schema {properties, required} of the parameters.
+   * @param {string} location "path" or "query".
+   * @return {Array} The OpenAPI parameters.
+   */
+  static parameters(schema, location) {
+    if (!schema) {
+      return [];
+    }
+    const required = schema.required || [];
+    return Object.entries(schema.properties || {}).map(([name, propertySchema]) => {
+      const {description, ...rest} = OpenApi.toOpenApiSchema(propertySchema);
+      const parameter = {name, in: location, required: location === 'path' || required.includes(name), schema: rest};
+      if (description) {
+        parameter.description = description;
+      }
+      return parameter;
+    });
+  }
+
+  /**
+   * Copies a schema, leaving out the keywords that OpenAPI does not know.
+   *
+   * @param {any} schema The schema, see util/schemaValidator.js.
+   * @return {any} The OpenAPI schema.
+   */
+  static toOpenApiSchema(schema) {
+    if (Array.isArray(schema)) {
+      return schema.map(item => OpenApi.toOpenApiSchema(item));
+    }
+    if (schema === null || typeof schema !== 'object') {
+      return schema;
+    }
+    const copy = {};
+    Object.entries(schema).forEach(([key, value]) => {
+      if (!NON_OPENAPI_KEYWORDS.includes(key)) {
+        copy[key] = key === 'properties' ?
+          Object.fromEntries(Object.entries(value).map(([name, property]) => [name, OpenApi.toOpenApiSchema(property)])) :
+          OpenApi.toOpenApiSchema(value);
+      }
+    });
+    return copy;
+  }
+
+  /**
+   * Joins the path of a request handler and a route, with express
+   * parameters, ":id", written as OpenAPI parameters, "{id}".
+   *
+   * @param {string} handlerPath The path of the request handler, e.g. "/person".
+   * @param {string} routePath The path of the route, e.g. "/:id".
+   * @return {string} The OpenAPI path, e.g. "/person/{id}".
+   */
+  static toOpenApiPath(handlerPath, routePath) {
+    const path = (handlerPath + routePath).replace(/\/+/g, '/').replace(/(.)\/$/, '$1');
+    return path.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+  }
+}
+
+module.exports = OpenApi;
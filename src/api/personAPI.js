@@ -3,7 +3,13 @@
 const RequestHandler = require('./requestHandler');
 const Authorizer = require('./authorization.js');
 const Logger = require('./../util/logger.js');
-const Validators = require('../util/validators');
+const Permissions = require('../util/permissions');
+const Validation = require('./validation');
+const Schemas = require('./schemas');
+const ResponseSchemas = require('./responseSchemas');
+const Language = require('./language.js');
+const PersonDossier = require('./personDossier');
+const {NotFoundError, ConflictError} = require('../util/errors');
 
 /**
  * Defines the REST API with endpoints related to persons.
@@ -32,6 +38,9 @@ class PersonApi extends RequestHandler {
 
   /**
    * Registers the request handling functions.
+   *
+   * @throws Throws an exception if the controller could not be created, in
+   *         which case no routes are registered.
    */
   async registerHandler() {
     try {
@@ -49,23 +58,22 @@ class PersonApi extends RequestHandler {
        * }
        * 
        * @return {obj} 200: Success object with the newly created person inside.
+       *               400: If a field is missing or invalid, with the invalid fields.
        *               404: If the specified person could not be saved.
+       *               409: If the username or email is already taken.
        */
-      this.router.post(
-        '/',
+      this.route(
+        'post', '/', {
+          summary: 'Registers a new person, with the applicant role.',
+          responses: {
+            200: {description: 'The person was saved.', schema: ResponseSchemas.SUCCESS},
+            404: 'The person could not be saved.',
+            409: 'The username or email is already taken.',
+          },
+        },
+        Validation.validateRequest({body: Schemas.person(['name', 'surname', 'ssn', 'email', 'password', 'username'])}),
         async (req, res, next)=>{
           try {
-            Validators.isStringNonZeroLength(req.body.name, 'name');
-            Validators.isAlphaString(req.body.name, 'name');
-            Validators.isStringNonZeroLength(req.body.surname, 'surname');
-            Validators.isAlphaString(req.body.surname, 'surname');
-            Validators.isStringRepresentingDate(req.body.ssn,'ssn');
-            Validators.isStringNonZeroLength(req.body.password, 'password');
-            Validators.isAlphanumericString(req.body.password, 'password');
-            Validators.isEmailValid(req.body.email,'email');
-            Validators.isStringNonZeroLength(req.body.username, 'username');
-            Validators.isAlphanumericString(req.body.username, 'username');
-
             //Check if unique fields are unique.
             const usernameTaken = await this.contr.findPersonByUsername(req.body.username);
             const emailTaken = await this.contr.findPersonByEmail(req.body.email);
@@ -73,27 +81,26 @@ class PersonApi extends RequestHandler {
             if(usernameTaken == null && emailTaken == null){
               const response=await this.contr.savePerson(req.body);
               if(response===null){
-                this.sendHttpResponse(res,404,'Could not save person');
-                return;
+                throw new NotFoundError('Could not save person');
               }
               this.sendHttpResponse(res,200,response);
               Logger.logMessage("New user created: " + req.body.username);
             }
+            else if(usernameTaken){
+              throw new ConflictError('Could not create account, not unique username');
+            }
             else{
-              if(usernameTaken)
-                this.sendHttpResponse(res,406,'Could not create account, not unique username');
-              else if(emailTaken)
-                this.sendHttpResponse(res,406,'Could not create account, not unique email');
+              throw new ConflictError('Could not create account, not unique email');
             }
           } catch (err) {
-            this.sendHttpResponse(res,404,'Could not save person');
             next(err);
           }
         }
       );
 
       /**
-       * Updates the accessing user in the database.
+       * Updates the accessing user in the database. A password reset token
+       * is used up by a successful update.
        * 
        * @param {obj} req.body {
        *   "name": The first name of the person,
@@ -105,45 +112,48 @@ class PersonApi extends RequestHandler {
        * }
        * 
        * @return {obj} 200: Success object with the newly updated person inside.
+       *               400: If a field is invalid, with the invalid fields.
+       *               403: If the reset token is used, revoked or expired.
        *               404: If the specified person to update could not be found.
+       *               409: If the email is already taken.
        */
-      this.router.put(
-        '/', Authorizer.verifyUpdatePerson,
+      this.route(
+        'put', '/', {
+          summary: 'Updates the logged in user, or the user of a password reset link.',
+          responses: {
+            200: {description: 'The person was updated.', schema: ResponseSchemas.SUCCESS},
+            403: 'The token is invalid, or the reset link has already been used or has been replaced.',
+            404: 'The person could not be found.',
+            409: 'The email is already taken.',
+          },
+        },
+        Authorizer.verifyUpdatePerson, Validation.validateRequest({body: Schemas.person([])}),
         async (req, res, next)=>{
           let auth = req.body.auth;
           try {
-            req.body.name&&Validators.isStringNonZeroLength(req.body.name, 'name');
-            req.body.name&&Validators.isAlphaString(req.body.name, 'name');
-            req.body.surname&&Validators.isStringNonZeroLength(req.body.surname, 'surname');
-            req.body.surname&&Validators.isAlphaString(req.body.surname, 'surname');
-            req.body.ssn&&Validators.isStringRepresentingDate(req.body.ssn,'ssn');
-            req.body.password&&Validators.isStringNonZeroLength(req.body.password, 'password');
-            req.body.password&&Validators.isAlphanumericString(req.body.password, 'password');
-            req.body.username&&Validators.isStringNonZeroLength(req.body.username, 'username');
-            req.body.username&&Validators.isAlphanumericString(req.body.username, 'username');
-
             if(req.body.email){
-              Validators.isEmailValid(req.body.email,'email');
               const emailTaken = await this.contr.findPersonByEmail(req.body.email);
               if(emailTaken){
-                this.sendHttpResponse(res,406,'Could not create account, not unique email');
-                return;
+                throw new ConflictError('Could not update account, not unique email');
               }
             }
 
+            const resetTokenId = req.resetToken && req.resetToken.jti;
+            if(resetTokenId && !await this.contr.isResetTokenOutstanding(resetTokenId)){
+              this.sendHttpResponse(res,403,'The reset link has already been used or has been replaced');
+              return;
+            }
+
             let person_id;
             await this.contr.findPersonIdByAuth(auth).then((e) => person_id = e);
             if(!person_id){
-              Logger.logError(new Error("person_id: " + person_id + " could not be found"));
-              this.sendHttpResponse(res,404,'Could not find person');
-              return;
+              throw new NotFoundError('Could not find person');
             }
             delete req.body.auth;
-            const response=await this.contr.updatePerson(person_id, req.body);
+            const response=await this.contr.updatePerson(person_id, req.body, resetTokenId);
 
             this.sendHttpResponse(res,200,response);
           } catch (err) {
-            this.sendHttpResponse(res,404,'Could not find person');
             next(err);
           }
         }
@@ -156,26 +166,73 @@ class PersonApi extends RequestHandler {
         * @return {obj} 200: The searched person.
         *               404: If the specified person did not exist.
         */
-      this.router.get(
-          '/:id', Authorizer.verifyToken, Authorizer.isRecruiter,
+      this.route(
+          'get', '/:id', {
+            summary: 'Returns a person.',
+            responses: {
+              200: {description: 'The person.', schema: ResponseSchemas.PERSON},
+              404: 'There is no such person.',
+            },
+          },
+          Authorizer.verifyToken, Authorizer.requirePermission(Permissions.PERSONS_READ),
+          Validation.validateRequest({params: {properties: {id: Schemas.ID}, required: ['id']}}),
           async (req, res, next) => {
             try {
-              const person = await this.contr.findPerson(parseInt(req.params.id, 10));
+              const person = await this.contr.findPersonById(parseInt(req.params.id, 10));
               if (person === null) {
-                this.sendHttpResponse(res, 404, 'No such person');
-                Logger.logError(new Error("Cannot GET person with id: " + req.params.id));
-                return;
+                throw new NotFoundError('No such person');
               }
+              delete person.password;
 
               this.sendHttpResponse(res, 200, person);
             } catch (err) {
-              this.sendHttpResponse(res, 404, 'No such person');
+              next(err);
+            }
+          }
+      );
+
+      /**
+        * Returns a one-page summary of a person for recruiters, with the
+        * person data, the competence profile and all applications with their
+        * periods and status histories, as a PDF. Competence names are in the
+        * language from "lang" or Accept-Language.
+        *
+        * @param {number} id The id of the person.
+        * @return {file} 200: The PDF, as an attachment.
+        *                404: If the specified person did not exist.
+        */
+      this.route(
+          'get', '/:id/dossier.pdf', {
+            summary: 'Returns the dossier of a person as PDF.',
+            responses: {
+              200: {
+                description: 'The PDF.',
+                content: {'application/pdf': {schema: {type: 'string', format: 'binary'}}},
+              },
+              404: 'There is no such person.',
+            },
+          },
+          Authorizer.verifyToken, Authorizer.requirePermission(Permissions.PERSONS_READ, Permissions.APPLICATIONS_READ),
+          Validation.validateRequest({
+            params: {properties: {id: Schemas.ID}, required: ['id']},
+            query: {properties: {lang: {type: 'string'}}},
+          }),
+          Language.negotiateLanguage,
+          async (req, res, next) => {
+            try {
+              const dossier = await this.contr.getPersonDossier(parseInt(req.params.id, 10), req.language);
+              if (dossier === null) {
+                throw new NotFoundError('No such person');
+              }
+              PersonDossier.write(res, dossier);
+            } catch (err) {
               next(err);
             }
           }
       );
     } catch (err) {
       Logger.logError(err);
+      throw err;
     }
   }
 }
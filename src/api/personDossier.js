@@ -0,0 +1,156 @@
+'use strict';
+
+const PDFDocument = require('pdfkit');
+
+/*
+  Writes the dossier of a person, as collected by Controller.getPersonDossier,
+  as a PDF to an HTTP response:
+    the person data,
+    the competence profile, with the years of experience,
+    every application, newest first, with its periods, competences and
+    status history.
+  The PDF is generated here, with the standard PDF fonts, and streamed to
+  the client as it is written.
+*/
+
+const MARGIN = 50;
+const GREY = '#555555';
+
+/**
+ * Writes the dossier of a person as PDF.
+ */
+class PersonDossier {
+  /**
+   * Writes a dossier to a response, as an attachment, and ends the response.
+   *
+   * @param {Response} res The express Response object.
+   * @param {object} dossier {person, competence_profiles, applications}.
+   */
+  static write(res, dossier) {
+    const {person} = dossier;
+    const fullName = [person.name, person.surname].filter(part => part).join(' ') || person.username;
+    res.attachment('dossier-' + person.person_id + '.pdf');
+    res.type('application/pdf');
+
+    const doc = new PDFDocument({size: 'A4', margin: MARGIN, info: {Title: 'Dossier of ' + fullName}});
+    doc.pipe(res);
+    doc.font('Helvetica-Bold').fontSize(18).text(fullName);
+    doc.font('Helvetica').fontSize(9).fillColor(GREY)
+        .text('Applicant dossier, created ' + PersonDossier.formatDateTime(new Date()));
+    doc.fillColor('black');
+
+    PersonDossier.heading(doc, 'Person');
+    PersonDossier.field(doc, 'Person id', person.person_id);
+    PersonDossier.field(doc, 'Name', person.name);
+    PersonDossier.field(doc, 'Surname', person.surname);
+    PersonDossier.field(doc, 'Date of birth', person.ssn);
+    PersonDossier.field(doc, 'Email', person.email);
+    PersonDossier.field(doc, 'Username', person.username);
+
+    PersonDossier.heading(doc, 'Competences');
+    if (dossier.competence_profiles.length === 0) {
+      PersonDossier.none(doc);
+    }
+    dossier.competence_profiles.forEach(profile => {
+      PersonDossier.field(doc, PersonDossier.competenceName(profile), PersonDossier.formatYears(profile.years_of_experience));
+    });
+
+    PersonDossier.heading(doc, 'Applications');
+    if (dossier.applications.length === 0) {
+      PersonDossier.none(doc);
+    }
+    dossier.applications.forEach(application => PersonDossier.application(doc, application));
+    doc.end();
+  }
+
+  /**
+   * Writes an application, with its periods, competences and history.
+   *
+   * @param {PDFDocument} doc The document.
+   * @param {ApplicationDTO} application The application, with its history.
+   */
+  static application(doc, application) {
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(10)
+        .text('Application ' + application.application_id + ', submitted ' + PersonDossier.formatDate(application.createdAt) +
+          ', ' + (application.application_status || 'unhandled'));
+    doc.font('Helvetica');
+    PersonDossier.field(doc, 'Periods', (application.availabilities || []).map(availability =>
+      PersonDossier.formatDate(availability.from_date) + ' – ' + PersonDossier.formatDate(availability.to_date)).join(', ') || '-');
+    PersonDossier.field(doc, 'Competences', (application.competences || []).map(applicationCompetence =>
+      PersonDossier.competenceName(applicationCompetence) + ' ' +
+        PersonDossier.formatYears(applicationCompetence.years_of_experience)).join(', ') || '-');
+    (application.history || []).forEach(change => {
+      const recruiter = change.person ? ' by ' + change.person.name + ' ' + change.person.surname : '';
+      PersonDossier.field(doc, PersonDossier.formatDateTime(change.createdAt),
+          'Changed from ' + (change.old_status || 'unhandled') + ' to ' + (change.new_status || 'unhandled') + recruiter +
+          (change.reason ? ': ' + change.reason : ''));
+    });
+  }
+
+  /**
+   * @param {PDFDocument} doc The document.
+   * @param {string} text The heading of a section.
+   */
+  static heading(doc, text) {
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(13).text(text);
+    const y = doc.y + 2;
+    doc.moveTo(MARGIN, y).lineTo(doc.page.width - MARGIN, y).strokeColor(GREY).lineWidth(0.5).stroke();
+    doc.moveDown(0.4);
+    doc.font('Helvetica').fontSize(10);
+  }
+
+  /**
+   * Writes a label and a value on one line.
+   *
+   * @param {PDFDocument} doc The document.
+   * @param {string} label The label.
+   * @param {any} value The value, "-" if missing.
+   */
+  static field(doc, label, value) {
+    doc.font('Helvetica').fillColor(GREY).text(label + ': ', {continued: true})
+        .fillColor('black').text(value === null || value === undefined || value === '' ? '-' : String(value));
+  }
+
+  /**
+   * @param {PDFDocument} doc The document.
+   */
+  static none(doc) {
+    doc.fillColor(GREY).text('None').fillColor('black');
+  }
+
+  /**
+   * @param {object} competenceHolder A competence profile or an application competence.
+   * @return {string} The localized name of the competence.
+   */
+  static competenceName(competenceHolder) {
+    return (competenceHolder.competence && competenceHolder.competence.name) || 'Competence ' + competenceHolder.competence_id;
+  }
+
+  /**
+   * @param {any} years Years of experience.
+   * @return {string} The years, e.g. "2 years".
+   */
+  static formatYears(years) {
+    return Number(years) + (Number(years) === 1 ? ' year' : ' years');
+  }
+
+  /**
+   * @param {any} date A date.
+   * @return {string} The date as yyyy-mm-dd.
+   */
+  static formatDate(date) {
+    return new Date(date).toISOString().slice(0, 10);
+  }
+
+  /**
+   * @param {any} date A date and time.
+   * @return {string} The date and time as yyyy-mm-dd hh:mm, UTC.
+   */
+  static formatDateTime(date) {
+    return new Date(date).toISOString().slice(0, 16).replace('T', ' ');
+  }
+}
+
+module.exports = PersonDossier;
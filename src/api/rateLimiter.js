@@ -0,0 +1,227 @@
+'use strict';
+
+const Logger = require('./../util/logger.js');
+
+/**
+ * Keeps rate limiting counters and lockouts in memory. This is the default
+ * store, it is lost when the server restarts and is not shared between server
+ * instances. Any object with the same async get, set, increment and delete
+ * methods can be used instead, see RateLimiter.use.
+ */
+class MemoryRateLimitStore {
+  /**
+   * Creates a new, empty, instance.
+   */
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * Reads an entry.
+   *
+   * @param {string} key The key of the entry.
+   * @return {object} The entry, {value, expiresAt}, or undefined if there is
+   *                  no such entry or it has expired.
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  /**
+   * Writes an entry.
+   *
+   * @param {string} key The key of the entry.
+   * @param {number} value The value of the entry.
+   * @param {number} expiresAt When the entry expires, in milliseconds since epoch.
+   */
+  async set(key, value, expiresAt) {
+    this.removeExpired();
+    this.entries.set(key, {value, expiresAt});
+  }
+
+  /**
+   * Adds one to a counter, in one step, so that concurrent requests all
+   * count. A counter that does not exist or has expired starts at 1.
+   *
+   * @param {string} key The key of the counter.
+   * @param {number} windowMs For how long a new counter is kept, in milliseconds.
+   * @return {object} The counter after the increment, {value, expiresAt}.
+   */
+  async increment(key, windowMs) {
+    const now = Date.now();
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt > now) {
+      entry.value++;
+      return {...entry};
+    }
+    this.removeExpired();
+    this.entries.set(key, {value: 1, expiresAt: now + windowMs});
+    return {...this.entries.get(key)};
+  }
+
+  /**
+   * Removes an entry.
+   *
+   * @param {string} key The key of the entry.
+   */
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Forgets expired entries.
+   */
+  removeExpired() {
+    const now = Date.now();
+    this.entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    });
+  }
+}
+
+/**
+ * Limits how often an endpoint can be called from one IP address, and locks
+ * an account out of the endpoint for a while after repeated failures from
+ * one IP address. The lockout only applies to that IP address, so that
+ * nobody can lock a user out just by knowing the username.
+ * Requests that are limited get 429 Too Many Requests with Retry-After.
+ */
+class RateLimiter {
+  /**
+   * Creates a new instance.
+   *
+   * @param {string} name The name of the limited endpoint, used in keys and logs.
+   * @param {object} options {
+   *    ipMax: The number of requests allowed from one IP address per ipWindowMs,
+   *    ipWindowMs: The length of the IP address window,
+   *    maxFailures: The number of failures from one IP address that locks an account,
+   *    failureWindowMs: The time within which the failures must happen,
+   *    lockoutMs: For how long an account is locked
+   * }
+   */
+  constructor(name, options) {
+    this.name = name;
+    this.options = options;
+  }
+
+  /**
+   * Replaces the store used by all rate limiters.
+   *
+   * @param {object} store An object with async get(key), set(key, value, expiresAt),
+   *                       increment(key, windowMs) and delete(key) methods, see
+   *                       MemoryRateLimitStore. increment must be atomic.
+   */
+  static use(store) {
+    RateLimiter.store = store;
+  }
+
+  /**
+   * Creates a middleware that rejects requests from IP addresses that have
+   * made too many requests, and requests for locked accounts. The middleware
+   * sets req.rateLimit, {recordFailure, recordSuccess}, which the request
+   * handler calls when it knows the outcome.
+   *
+   * @param {function} accountOf Returns the account a request is for, e.g. the
+   *                             username, or undefined if there is none.
+   * @return {function} The middleware.
+   */
+  middleware(accountOf) {
+    const middleware = (req, res, next) => {
+      this.checkRequest(req, res, next, accountOf).catch(next);
+    };
+    // Read by openApi.js to document the 429 response.
+    middleware.rateLimiter = this;
+    return middleware;
+  }
+
+  /**
+   * Counts a request, and either rejects it or lets it through.
+   *
+   * @param {req} req The express Request object.
+   * @param {res} res The express Response object.
+   * @param {next} next The next function to execute.
+   * @param {function} accountOf Returns the account a request is for.
+   */
+  async checkRequest(req, res, next, accountOf) {
+    const now = Date.now();
+    const ipKey = this.name + ':ip:' + req.ip;
+    const {value: ipCount, expiresAt: ipExpiresAt} = await RateLimiter.store.increment(ipKey, this.options.ipWindowMs);
+    if (ipCount > this.options.ipMax) {
+      if (ipCount === this.options.ipMax + 1) {
+        Logger.warn("Rate limit: IP address " + req.ip + " locked out of " + this.name + " until " + new Date(ipExpiresAt).toISOString());
+      }
+      return RateLimiter.sendTooManyRequests(res, ipExpiresAt - now);
+    }
+
+    const account = accountOf(req);
+    const accountKey = typeof account === 'string' ? account.toLowerCase() : undefined;
+    if (accountKey) {
+      const lock = await RateLimiter.store.get(this.accountEntryKey('lock', accountKey, req.ip));
+      if (lock) {
+        Logger.warn("Rate limit: rejected " + this.name + " for locked account \"" + accountKey + "\" from " + req.ip);
+        return RateLimiter.sendTooManyRequests(res, lock.expiresAt - now);
+      }
+    }
+
+    req.rateLimit = {
+      recordFailure: () => accountKey ? this.recordFailure(accountKey, req.ip) : Promise.resolve(),
+      recordSuccess: () => accountKey ?
+        RateLimiter.store.delete(this.accountEntryKey('failures', accountKey, req.ip)) : Promise.resolve(),
+    };
+    next();
+  }
+
+  /**
+   * @param {string} kind "failures" or "lock".
+   * @param {string} account The account.
+   * @param {string} ip The IP address.
+   * @return {string} The key of the failure counter or lock of the account
+   *                  for the requests from the IP address.
+   */
+  accountEntryKey(kind, account, ip) {
+    return this.name + ':' + kind + ':' + ip + ':' + account;
+  }
+
+  /**
+   * Counts a failure for an account from an IP address, and locks the
+   * account for that IP address if there have been too many.
+   *
+   * @param {string} account The account.
+   * @param {string} ip The IP address the failed request came from.
+   */
+  async recordFailure(account, ip) {
+    const failureKey = this.accountEntryKey('failures', account, ip);
+    const {value: failures} = await RateLimiter.store.increment(failureKey, this.options.failureWindowMs);
+    if (failures < this.options.maxFailures) {
+      return;
+    }
+    const lockedUntil = Date.now() + this.options.lockoutMs;
+    await RateLimiter.store.set(this.accountEntryKey('lock', account, ip), 1, lockedUntil);
+    await RateLimiter.store.delete(failureKey);
+    Logger.warn("Rate limit: account \"" + account + "\" locked out of " + this.name + " from " + ip +
+        " after " + failures + " failures, until " + new Date(lockedUntil).toISOString());
+  }
+
+  /**
+   * Sends 429 Too Many Requests.
+   *
+   * @param {res} res The express Response object.
+   * @param {number} retryAfterMs After how long the client may try again.
+   */
+  static sendTooManyRequests(res, retryAfterMs) {
+    res.set('Retry-After', String(Math.max(1, Math.ceil(retryAfterMs / 1000))));
+    res.status(429).json({error: 'Too many attempts, try again later'});
+  }
+}
+
+RateLimiter.store = new MemoryRateLimitStore();
+RateLimiter.MemoryRateLimitStore = MemoryRateLimitStore;
+
+module.exports = RateLimiter;
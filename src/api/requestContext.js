@@ -0,0 +1,81 @@
+const crypto = require("crypto");
+const Logger = require('./../util/logger.js');
+
+/*
+  Every request has an id, which is returned in the X-Request-Id response
+  header and included in all log entries about the request. A client, or a
+  proxy in front of the server, can send its own X-Request-Id, which is then
+  used instead of a new id, so that a client-side error report can be matched
+  to the server's log.
+*/
+
+const REQUEST_ID_HEADER = "X-Request-Id";
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Middleware that gives each request an id, req.id, taken from the
+ * X-Request-Id request header if it is a valid id and generated otherwise,
+ * and sends it back in the X-Request-Id response header. Must be the first
+ * middleware.
+ * @param {req} req The express Request object.
+ * @param {res} res The express Response object.
+ * @param {next} next The next function to execute.
+ */
+function assignRequestId(req, res, next){
+  const requestId = req.get(REQUEST_ID_HEADER);
+  req.id = VALID_REQUEST_ID.test(requestId || "") ? requestId : crypto.randomUUID();
+  res.set(REQUEST_ID_HEADER, req.id);
+  next();
+}
+
+/**
+ * Middleware that writes an access log entry when the response has been
+ * sent, with the request's method, path, status, latency in milliseconds,
+ * and the id and role of the user if the request was authenticated. The
+ * query string is left out, since it may contain personal data. Must be used
+ * after assignRequestId.
+ * @param {req} req The express Request object.
+ * @param {res} res The express Response object.
+ * @param {next} next The next function to execute.
+ */
+function logAccess(req, res, next){
+  const start = process.hrtime.bigint();
+  const log = (msg) => {
+    const person = req.tokenData ? req.tokenData.person : undefined;
+    Logger.info(msg, {
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100,
+      userId: person ? person.person_id : undefined,
+      role: person ? person.role : undefined,
+    });
+  };
+  res.on("finish", () => log("request"));
+  res.on("close", () => {
+    if(!res.writableFinished){
+      log("request aborted");
+    }
+  });
+  next();
+}
+
+/**
+ * Middleware that handles the rest of the request in a log context with the
+ * request's id, so that every log entry written while handling the request
+ * includes the same requestId. Must be used after the body parser, whose
+ * callbacks would lose the log context.
+ * @param {req} req The express Request object.
+ * @param {res} res The express Response object.
+ * @param {next} next The next function to execute.
+ */
+function runWithRequestContext(req, res, next){
+  Logger.runWithContext({requestId: req.id}, next);
+}
+
+module.exports = {
+  assignRequestId: assignRequestId,
+  logAccess: logAccess,
+  runWithRequestContext: runWithRequestContext
+}
@@ -1,8 +1,8 @@
 'use strict';
 
 const express = require('express');
-const Controller = require('../controller/controller');
 const Validators = require('../util/validators');
+const {UnavailableError} = require('../util/errors');
 
 /**
  * Superclass for all request handlers.
@@ -14,6 +14,7 @@ class RequestHandler {
    */
   constructor() {
     this.router = express.Router(); // eslint-disable-line new-cap
+    this.routes = [];
   }
 
   /**
@@ -24,10 +25,59 @@ class RequestHandler {
   }
 
   /**
-   * Creates the controller, which shall be used by subclasses.
+   * Sets the controller shared by all request handlers, see
+   * RequestHandlerLoader.loadHandlers.
+   *
+   * @param {Promise<Controller>} controllerCreation Resolves to the controller
+   *                                                 once it has been created.
+   */
+  useController(controllerCreation) {
+    this.controllerCreation = controllerCreation;
+  }
+
+  /**
+   * Waits for the shared controller, which shall be used by subclasses. Until
+   * the controller is created, and whenever the database is down, all
+   * requests to this request handler are answered with 503 instead of
+   * waiting for the database.
+   *
+   * @throws Throws an exception if no controller has been set, or if it could
+   *         not be created.
    */
   async retrieveController() {
-    this.contr = await Controller.createController();
+    if (!this.controllerCreation) {
+      throw new Error('No controller has been set, see useController.');
+    }
+    this.router.use((req, res, next) => {
+      if (!this.contr || this.contr.isDatabaseDown()) {
+        next(new UnavailableError('The database is unavailable, please try again later.', UnavailableError.RETRY_AFTER_SECONDS));
+        return;
+      }
+      next();
+    });
+    this.contr = await this.controllerCreation;
+  }
+
+  /**
+   * Registers a route with the router, and records it for the OpenAPI
+   * document, see openApi.js. The authorization, permissions and request
+   * schema are documented from the middlewares, so the description only
+   * needs the summary and the responses.
+   *
+   * @param {string} method The HTTP method, "get", "post", "put" or "delete".
+   * @param {string} path The path, relative to the path of the request handler.
+   * @param {object} doc {
+   *    summary: What the route does, in one line,
+   *    description: More about the route (optional),
+   *    responses: {status: description or {description, schema}}, where
+   *               schema describes "success" in the body, see responseSchemas.js,
+   *               or {description, content} for responses that are not JSON
+   * }
+   * @param {...function} handlers The middlewares and the request handling function.
+   */
+  route(method, path, doc, ...handlers) {
+    this.routes.push({method, path, doc, handlers});
+    this.router[method](path, ...handlers);
   }
 
   /**
@@ -37,7 +87,7 @@ class RequestHandler {
    * @param {any} body The body of the response.
    */
   sendHttpResponse(res, status, body) {
-    Validators.isNumberBetween(status, 200, 501, 'status');
+    Validators.isNumberBetween(status, 200, 599, 'status');
     if (body === undefined) {
       res.status(status).end();
       return;
@@ -0,0 +1,167 @@
+'use strict';
+
+const RequestHandler = require('./requestHandler');
+const Authorizer = require('./authorization.js');
+const Logger = require('./../util/logger.js');
+const Permissions = require('../util/permissions');
+const Validation = require('./validation');
+const Schemas = require('./schemas');
+const ResponseSchemas = require('./responseSchemas');
+const {NotFoundError} = require('../util/errors');
+
+/**
+ * Defines the REST API with endpoints related to outstanding password reset
+ * tokens, that is reset links that have been sent but not used.
+ */
+class ResetTokenApi extends RequestHandler {
+  /**
+   * Constructs a new instance.
+   */
+  constructor() {
+    super();
+  }
+
+  /**
+   * @return {string} The URL paths handled by this request handler.
+   */
+  get path() {
+    return ResetTokenApi.RESET_TOKEN_API_PATH;
+  }
+
+  /**
+   * @return {string} The URL paths handled by this request handler.
+   */
+  static get RESET_TOKEN_API_PATH() {
+    return '/resettoken';
+  }
+
+  /**
+   * Registers the request handling functions.
+   *
+   * @throws Throws an exception if the controller could not be created, in
+   *         which case no routes are registered.
+   */
+  async registerHandler() {
+    try {
+      await this.retrieveController();
+
+      /**
+        * Lists the outstanding reset tokens of the logged in user.
+        *
+        * @return {obj} 200: The reset tokens, with id, creation and expiry time.
+        *               404: If the reset tokens could not be retrieved.
+        */
+      this.route(
+        'get', '/', {
+          summary: 'Lists the outstanding reset tokens of the logged in user.',
+          responses: {
+            200: {description: 'The reset tokens.', schema: {type: 'array', items: ResponseSchemas.RESET_TOKEN}},
+          },
+        },
+        Authorizer.verifyToken,
+        async (req,res,next)=>{
+          try {
+            const person_id=await this.contr.findPersonIdByAuth(req.body.auth);
+            const response=await this.contr.getOutstandingResetTokens(person_id);
+            this.sendHttpResponse(res,200,response);
+          } catch (err) {
+            next(err);
+          }
+        }
+      );
+
+      /**
+        * Revokes an outstanding reset token of the logged in user.
+        *
+        * @param {string} id The id of the reset token.
+        * @return {obj} 200: The success object.
+        *               400: If the request is invalid, with the invalid fields.
+        *               404: If there is no such outstanding reset token.
+        */
+      this.route(
+        'delete', '/:id', {
+          summary: 'Revokes an outstanding reset token of the logged in user.',
+          responses: {
+            200: {description: 'The reset token was revoked.', schema: ResponseSchemas.SUCCESS},
+            404: 'There is no such outstanding reset token.',
+          },
+        },
+        Authorizer.verifyToken,
+        Validation.validateRequest({params: {properties: {id: {type: 'string', format: 'uuid'}}, required: ['id']}}),
+        async (req,res,next)=>{
+          try {
+            const person_id=await this.contr.findPersonIdByAuth(req.body.auth);
+            const revoked=await this.contr.revokeResetTokens(person_id,req.params.id);
+            if(revoked===0){
+              throw new NotFoundError('No such reset token');
+            }
+            Logger.logMessage("Reset token revoked by user: \"" + req.body.auth.username + "\"");
+            this.sendHttpResponse(res,200,'success');
+          } catch (err) {
+            next(err);
+          }
+        }
+      );
+
+      /**
+        * Lists the outstanding reset tokens of any person.
+        *
+        * @param {number} person_id The id of the person.
+        * @return {obj} 200: The reset tokens, with id, creation and expiry time.
+        *               400: If the request is invalid, with the invalid fields.
+        *               404: If the reset tokens could not be retrieved.
+        */
+      this.route(
+        'get', '/person/:person_id', {
+          summary: 'Lists the outstanding reset tokens of a person.',
+          responses: {
+            200: {description: 'The reset tokens.', schema: {type: 'array', items: ResponseSchemas.RESET_TOKEN}},
+          },
+        },
+        Authorizer.verifyToken, Authorizer.requirePermission(Permissions.RESET_TOKENS_MANAGE),
+        Validation.validateRequest({params: {properties: {person_id: Schemas.ID}, required: ['person_id']}}),
+        async (req,res,next)=>{
+          try {
+            const response=await this.contr.getOutstandingResetTokens(req.params.person_id);
+            this.sendHttpResponse(res,200,response);
+          } catch (err) {
+            next(err);
+          }
+        }
+      );
+
+      /**
+        * Revokes all outstanding reset tokens of any person.
+        *
+        * @param {number} person_id The id of the person.
+        * @return {obj} 200: The number of revoked reset tokens.
+        *               400: If the request is invalid, with the invalid fields.
+        *               404: If the reset tokens could not be revoked.
+        */
+      this.route(
+        'delete', '/person/:person_id', {
+          summary: 'Revokes all outstanding reset tokens of a person.',
+          responses: {
+            200: {description: 'The number of revoked reset tokens.', schema: {type: 'integer'}},
+          },
+        },
+        Authorizer.verifyToken, Authorizer.requirePermission(Permissions.RESET_TOKENS_MANAGE),
+        Validation.validateRequest({params: {properties: {person_id: Schemas.ID}, required: ['person_id']}}),
+        async (req,res,next)=>{
+          try {
+            const response=await this.contr.revokeResetTokens(req.params.person_id);
+            Logger.logMessage("All reset tokens of person_id " + req.params.person_id + " revoked by user: \"" + req.body.auth.username + "\"");
+            this.sendHttpResponse(res,200,response);
+          } catch (err) {
+            next(err);
+          }
+        }
+      );
+    } catch (err) {
+      Logger.logError(err);
+      throw err;
+    }
+  }
+}
+
+module.exports = ResetTokenApi;
@@ -0,0 +1,236 @@
+'use strict';
+
+const Permissions = require('../util/permissions');
+
+/**
+ * Schemas of what successful requests return, in the same form as the
+ * request schemas in schemas.js. They are only used for the OpenAPI
+ * document, see openApi.js, and describe the value of "success" in the
+ * response body. Fields that are left out of a response are simply missing.
+ */
+class ResponseSchemas {
+  /**
+   * The plain "success" string that is returned when there is nothing else to return.
+   */
+  static get SUCCESS() {
+    return {type: 'string', enum: ['success']};
+  }
+
+  /**
+   * A date and time, ISO 8601.
+   */
+  static get DATE_TIME() {
+    return {type: 'string', format: 'date-time'};
+  }
+
+  /**
+   * A person, or the parts of a person that a route returns.
+   */
+  static get PERSON() {
+    return {
+      title: 'Person',
+      type: 'object',
+      properties: {
+        person_id: {type: 'integer'},
+        name: {type: 'string'},
+        surname: {type: 'string'},
+        ssn: {type: 'string', description: 'The birth date, yyyy-mm-dd.'},
+        email: {type: 'string'},
+        username: {type: 'string'},
+        role_id: {type: 'integer'},
+        role: {type: 'string', description: 'The name of the role.'},
+        permissions: {type: 'array', items: {type: 'string', enum: Permissions.ALL}},
+      },
+    };
+  }
+
+  /**
+   * The fields of a person that are missing and need to be filled in, e.g.
+   * {"email": true}.
+   */
+  static get EMPTY_FIELDS() {
+    return {
+      type: 'object',
+      description: 'The names of the fields that are missing, each with the value true.',
+      additionalProperties: {type: 'boolean'},
+    };
+  }
+
+  /**
+   * The logged in user, with the tokens of the session.
+   */
+  static get LOGIN() {
+    const person = ResponseSchemas.PERSON;
+    const tokens = ResponseSchemas.TOKENS;
+    return {
+      title: 'Login',
+      type: 'object',
+      properties: {
+        ...person.properties,
+        ...tokens.properties,
+        emptyFields: ResponseSchemas.EMPTY_FIELDS,
+      },
+      required: tokens.required,
+    };
+  }
+
+  /**
+   * An access token and a refresh token.
+   */
+  static get TOKENS() {
+    return {
+      title: 'Tokens',
+      type: 'object',
+      properties: {
+        token: {type: 'string', description: 'The access token, sent as "Authorization: Bearer <token>".'},
+        refreshToken: {type: 'string', description: 'Used once with POST /login/refresh to get new tokens.'},
+      },
+      required: ['token', 'refreshToken'],
+    };
+  }
+
+  /**
+   * A competence, with its name in the negotiated language or with all its
+   * translations.
+   */
+  static get COMPETENCE() {
+    return {
+      title: 'Competence',
+      type: 'object',
+      properties: {
+        competence_id: {type: 'integer'},
+        name: {type: 'string', description: 'The name in the negotiated language.'},
+        competence_translations: {type: 'array', items: ResponseSchemas.COMPETENCE_TRANSLATION},
+      },
+      required: ['competence_id'],
+    };
+  }
+
+  /**
+   * The name of a competence in one language.
+   */
+  static get COMPETENCE_TRANSLATION() {
+    return {
+      title: 'CompetenceTranslation',
+      type: 'object',
+      properties: {
+        translation_id: {type: 'integer'},
+        competence_id: {type: 'integer'},
+        language: {type: 'string'},
+        translation: {type: 'string'},
+      },
+    };
+  }
+
+  /**
+   * An application, with its person, periods and competences.
+   */
+  static get APPLICATION() {
+    return {
+      title: 'Application',
+      type: 'object',
+      properties: {
+        application_id: {type: 'integer'},
+        createdAt: ResponseSchemas.DATE_TIME,
+        updatedAt: ResponseSchemas.DATE_TIME,
+        application_status: {type: 'string', enum: ['accepted', 'rejected', null], nullable: true},
+        version_number: {type: 'integer', description: 'Sent back when the status is changed.'},
+        person: {type: 'object', properties: {name: {type: 'string'}, surname: {type: 'string'}}},
+        availabilities: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              availability_id: {type: 'integer'},
+              application_id: {type: 'integer'},
+              from_date: ResponseSchemas.DATE_TIME,
+              to_date: ResponseSchemas.DATE_TIME,
+            },
+          },
+        },
+        competences: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              application_competence_id: {type: 'integer'},
+              application_id: {type: 'integer'},
+              competence_id: {type: 'integer'},
+              years_of_experience: {type: 'number'},
+              competence: ResponseSchemas.COMPETENCE,
+            },
+          },
+        },
+      },
+    };
+  }
+
+  /**
+   * One page of applications.
+   */
+  static get APPLICATION_PAGE() {
+    return {
+      type: 'object',
+      properties: {
+        total: {type: 'integer', description: 'The number of matching applications, on all pages.'},
+        limit: {type: 'integer'},
+        offset: {type: 'integer'},
+        applications: {type: 'array', items: ResponseSchemas.APPLICATION},
+      },
+      required: ['total', 'limit', 'offset', 'applications'],
+    };
+  }
+
+  /**
+   * A change of the status of an application.
+   */
+  static get APPLICATION_STATUS_CHANGE() {
+    return {
+      title: 'ApplicationStatusChange',
+      type: 'object',
+      properties: {
+        history_id: {type: 'integer'},
+        application_id: {type: 'integer'},
+        person_id: {type: 'integer', description: 'The recruiter who changed the status.'},
+        old_status: {type: 'string', nullable: true},
+        new_status: {type: 'string', nullable: true},
+        reason: {type: 'string', nullable: true},
+        createdAt: ResponseSchemas.DATE_TIME,
+        person: {type: 'object', properties: {person_id: {type: 'integer'}, name: {type: 'string'}, surname: {type: 'string'}}},
+      },
+    };
+  }
+
+  /**
+   * An outstanding password reset token.
+   */
+  static get RESET_TOKEN() {
+    return {
+      title: 'ResetToken',
+      type: 'object',
+      properties: {
+        token_id: {type: 'string', format: 'uuid'},
+        person_id: {type: 'integer'},
+        createdAt: ResponseSchemas.DATE_TIME,
+        expires_at: ResponseSchemas.DATE_TIME,
+      },
+    };
+  }
+
+  /**
+   * A role and the permissions it grants.
+   */
+  static get ROLE() {
+    return {
+      title: 'Role',
+      type: 'object',
+      properties: {
+        role_id: {type: 'integer'},
+        name: {type: 'string'},
+        permissions: {type: 'array', items: {type: 'string', enum: Permissions.ALL}},
+      },
+    };
+  }
+}
+
+module.exports = ResponseSchemas;
@@ -0,0 +1,153 @@
+'use strict';
+
+const RequestHandler = require('./requestHandler');
+const Authorizer = require('./authorization.js');
+const Logger = require('./../util/logger.js');
+const Permissions = require('../util/permissions');
+const Validation = require('./validation');
+const Schemas = require('./schemas');
+const ResponseSchemas = require('./responseSchemas');
+const {NotFoundError} = require('../util/errors');
+
+/**
+ * Defines the REST API with endpoints related to roles, the permissions they
+ * grant and which person has which role.
+ */
+class RoleApi extends RequestHandler {
+  /**
+   * Constructs a new instance.
+   */
+  constructor() {
+    super();
+  }
+
+  /**
+   * @return {string} The URL paths handled by this request handler.
+   */
+  get path() {
+    return RoleApi.ROLE_API_PATH;
+  }
+
+  /**
+   * @return {string} The URL paths handled by this request handler.
+   */
+  static get ROLE_API_PATH() {
+    return '/role';
+  }
+
+  /**
+   * Registers the request handling functions.
+   *
+   * @throws Throws an exception if the controller could not be created, in
+   *         which case no routes are registered.
+   */
+  async registerHandler() {
+    try {
+      await this.retrieveController();
+
+      /**
+        * Lists all roles with the permissions they grant, and all permissions
+        * that exist.
+        *
+        * @return {obj} 200: {roles: [{role_id, name, permissions}], permissions}
+        *               404: If the roles could not be retrieved.
+        */
+      this.route(
+        'get', '/', {
+          summary: 'Lists the roles and all permissions that exist.',
+          responses: {
+            200: {description: 'The roles and permissions.', schema: {type: 'object', properties: {roles: {type: 'array', items: ResponseSchemas.ROLE}, permissions: {type: 'array', items: {type: 'string'}}}}},
+          },
+        },
+        Authorizer.verifyToken, Authorizer.requirePermission(Permissions.ROLES_ASSIGN),
+        async (req,res,next)=>{
+          try {
+            const roles=await this.contr.getAllRoles();
+            this.sendHttpResponse(res,200,{roles,permissions:Permissions.ALL});
+          } catch (err) {
+            next(err);
+          }
+        }
+      );
+
+      /**
+        * Creates a role, or replaces the permissions of an existing role.
+        * Persons with the role get the new permissions when they log in or
+        * refresh their token.
+        *
+        * @param {string} name The name of the role.
+        * @param {obj} req.body {
+        *    "permissions": The names of all permissions the role shall grant
+        * }
+        * @return {obj} 200: The role, with its permissions.
+        *               400: If the request is invalid, with the invalid fields.
+        *               404: If the role could not be saved, e.g. because of an unknown permission.
+        */
+      this.route(
+        'put', '/:name', {
+          summary: 'Creates a role, or replaces the permissions of a role.',
+          responses: {
+            200: {description: 'The role.', schema: ResponseSchemas.ROLE},
+          },
+        },
+        Authorizer.verifyToken, Authorizer.requirePermission(Permissions.ROLES_ASSIGN),
+        Validation.validateRequest({
+          body: {properties: {permissions: {type: 'array', items: {type: 'string', enum: Permissions.ALL}}}, required: ['permissions']}
+        }),
+        async (req,res,next)=>{
+          try {
+            const response=await this.contr.setRolePermissions(req.params.name,req.body.permissions);
+            Logger.logMessage("Permissions of role \"" + req.params.name + "\" set by user: \"" + req.body.auth.username + "\"");
+            this.sendHttpResponse(res,200,response);
+          } catch (err) {
+            next(err);
+          }
+        }
+      );
+
+      /**
+        * Gives a person a role. The person gets the permissions of the role
+        * when they log in or refresh their token.
+        *
+        * @param {number} person_id The id of the person.
+        * @param {obj} req.body {
+        *    "role": The name of the role
+        * }
+        * @return {obj} 200: The person's username, role and permissions.
+        *               400: If the request is invalid, with the invalid fields.
+        *               404: If there is no such person or role.
+        */
+      this.route(
+        'put', '/person/:person_id', {
+          summary: 'Gives a person a role.',
+          responses: {
+            200: {description: "The person's username, role and permissions.", schema: ResponseSchemas.PERSON},
+            404: 'There is no such person or role.',
+          },
+        },
+        Authorizer.verifyToken, Authorizer.requirePermission(Permissions.ROLES_ASSIGN),
+        Validation.validateRequest({
+          params: {properties: {person_id: Schemas.ID}, required: ['person_id']},
+          body: {properties: {role: {type: 'string', minLength: 1}}, required: ['role']},
+        }),
+        async (req,res,next)=>{
+          try {
+            const response=await this.contr.assignRole(req.params.person_id,req.body.role);
+            if(response===null){
+              throw new NotFoundError('No such person');
+            }
+            Logger.logMessage("Role \"" + req.body.role + "\" given to person_id " + req.params.person_id + " by user: \"" + req.body.auth.username + "\"");
+            this.sendHttpResponse(res,200,response);
+          } catch (err) {
+            next(err);
+          }
+        }
+      );
+    } catch (err) {
+      Logger.logError(err);
+      throw err;
+    }
+  }
+}
+
+module.exports = RoleApi;
@@ -0,0 +1,100 @@
+'use strict';
+
+/**
+ * Schemas of fields that are used by several routes, see
+ * util/schemaValidator.js. Routes combine them into request schemas, see
+ * validation.js.
+ */
+class Schemas {
+  /**
+   * The id of an entity, in the URL or the body.
+   */
+  static get ID() {
+    return {type: 'integer', minimum: 1};
+  }
+
+  /**
+   * A first name or surname.
+   */
+  static get NAME() {
+    return {type: 'string', minLength: 1, format: 'alpha'};
+  }
+
+  /**
+   * A username.
+   */
+  static get USERNAME() {
+    return {type: 'string', minLength: 1, format: 'alphanumeric'};
+  }
+
+  /**
+   * A password.
+   */
+  static get PASSWORD() {
+    return {type: 'string', minLength: 1, format: 'alphanumeric'};
+  }
+
+  /**
+   * An email address.
+   */
+  static get EMAIL() {
+    return {type: 'string', minLength: 1, format: 'email'};
+  }
+
+  /**
+   * A date, yyyy-mm-dd.
+   */
+  static get DATE() {
+    return {type: 'string', format: 'date'};
+  }
+
+  /**
+   * A language code, e.g. "en".
+   */
+  static get LANGUAGE() {
+    return {type: 'string', minLength: 1, format: 'alphanumeric'};
+  }
+
+  /**
+   * The names of a competence, one per language.
+   */
+  static get COMPETENCE_TRANSLATIONS() {
+    return {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          language: Schemas.LANGUAGE,
+          translation: {type: 'string', minLength: 1},
+        },
+        required: ['language', 'translation'],
+      },
+      check: translations => {
+        const index = translations.findIndex((t, i) => translations.findIndex(other => other.language === t.language) !== i);
+        return index === -1 ? undefined : {field: '[' + index + '].language', message: 'There is more than one translation in ' + translations[index].language + '.'};
+      },
+    };
+  }
+
+  /**
+   * Creates the schema of an object with the fields of a person.
+   * @param  {Array} required The names of the fields that are required.
+   * @return {object} The schema.
+   */
+  static person(required) {
+    return {
+      properties: {
+        name: Schemas.NAME,
+        surname: Schemas.NAME,
+        ssn: Schemas.DATE,
+        email: Schemas.EMAIL,
+        password: Schemas.PASSWORD,
+        username: Schemas.USERNAME,
+      },
+      required: required,
+    };
+  }
+}
+
+module.exports = Schemas;
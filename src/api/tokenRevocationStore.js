@@ -0,0 +1,107 @@
+'use strict';
+
+/**
+ * Keeps revoked tokens in memory until they expire. This is the default store,
+ * it is lost when the server restarts and is not shared between server
+ * instances. Any object with the same async revoke and isRevoked methods
+ * can be used instead, see TokenRevocationStore.use.
+ */
+class MemoryRevocationStore {
+  /**
+   * Creates a new, empty, instance.
+   */
+  constructor() {
+    this.revoked = new Map();
+  }
+
+  /**
+   * Marks a token as revoked, unless it already is. Nothing is awaited
+   * between the check and the insert, so two calls can not both succeed.
+   *
+   * @param {string} jti The unique id of the token.
+   * @param {number} expiresAt When the token expires, in seconds since epoch.
+   * @return {boolean} true if the token was revoked by this call, false if it
+   *                   already was revoked.
+   */
+  async revoke(jti, expiresAt) {
+    this.removeExpired();
+    if (this.revoked.has(jti)) {
+      return false;
+    }
+    this.revoked.set(jti, expiresAt);
+    return true;
+  }
+
+  /**
+   * Checks if a token is revoked.
+   *
+   * @param {string} jti The unique id of the token.
+   * @return {boolean} true if the token is revoked.
+   */
+  async isRevoked(jti) {
+    return this.revoked.has(jti);
+  }
+
+  /**
+   * Forgets revoked tokens that have expired, since they are rejected anyway.
+   */
+  removeExpired() {
+    const now = Date.now() / 1000;
+    this.revoked.forEach((expiresAt, jti) => {
+      if (expiresAt <= now) {
+        this.revoked.delete(jti);
+      }
+    });
+  }
+}
+
+/**
+ * The server-side record of access and refresh tokens that are no longer
+ * valid, even though they have not expired.
+ */
+class TokenRevocationStore {
+  /**
+   * Replaces the store used to keep revoked tokens.
+   *
+   * @param {object} store An object with async revoke(jti, expiresAt) and
+   *                       isRevoked(jti) methods. revoke must check and insert
+   *                       atomically, e.g. with INSERT ... ON CONFLICT DO
+   *                       NOTHING, and return true only if it inserted.
+   */
+  static use(store) {
+    TokenRevocationStore.store = store;
+  }
+
+  /**
+   * Revokes the token with the specified payload.
+   *
+   * @param {object} tokenData The verified payload of the token, including jti and exp.
+   * @return {boolean} true if the token was revoked by this call, false if it
+   *                   already was revoked, or has no jti and so never was valid.
+   */
+  static async revoke(tokenData) {
+    if (!tokenData.jti) {
+      return false;
+    }
+    return TokenRevocationStore.store.revoke(tokenData.jti, tokenData.exp);
+  }
+
+  /**
+   * Checks if the token with the specified payload is revoked. Tokens without
+   * jti were issued before revocation existed and are treated as revoked.
+   *
+   * @param {object} tokenData The verified payload of the token.
+   * @return {boolean} true if the token is revoked.
+   */
+  static async isRevoked(tokenData) {
+    if (!tokenData.jti) {
+      return true;
+    }
+    return TokenRevocationStore.store.isRevoked(tokenData.jti);
+  }
+}
+
+TokenRevocationStore.store = new MemoryRevocationStore();
+TokenRevocationStore.MemoryRevocationStore = MemoryRevocationStore;
+
+module.exports = TokenRevocationStore;
@@ -1,7 +1,9 @@
 'use strict';
 const RequestHandler = require('./requestHandler');
 const Authorizer = require('./authorization.js');
+const ResponseSchemas = require('./responseSchemas');
 const Logger = require('./../util/logger.js');
+const {AuthError} = require('../util/errors');
 
 /**
  * Defines the REST API with endpoints related to persons.
@@ -30,6 +32,9 @@ class UpdatePersonApi extends RequestHandler {
 
   /**
    * Registers the request handling functions.
+   *
+   * @throws Throws an exception if the controller could not be created, in
+   *         which case no routes are registered.
    */
   async registerHandler() {
     try {
@@ -39,14 +44,27 @@ class UpdatePersonApi extends RequestHandler {
         * Returns the empty fields of a user.
         *
         * @return {obj} 200: The empty fields.
-        *               404: If the user is missing authentication.
+        *               401: If the user is missing authentication.
+        *               403: If a reset token is used, revoked or expired.
         */
-      this.router.get(
-        '/', Authorizer.verifyUpdatePerson,
+      this.route(
+        'get', '/', {
+          summary: 'Lists the fields of the user that need to be filled in.',
+          responses: {
+            200: {description: 'The missing fields, or false if there are none.', schema: {type: 'object', properties: {emptyFields: {...ResponseSchemas.EMPTY_FIELDS, nullable: true}}}},
+            401: 'There is no user in the token.',
+            403: 'The token is invalid, or the reset link has already been used or has been replaced.',
+          },
+        },
+        Authorizer.verifyUpdatePerson,
         async (req, res, next) => {
           try {
             if(!req.body.auth){
-              this.sendHttpResponse(res, 404, "No authentication in GET request body");
+              throw new AuthError("No authentication in GET request body");
+            }
+            if(req.resetToken && !await this.contr.isResetTokenOutstanding(req.resetToken.jti)){
+              this.sendHttpResponse(res, 403, "The reset link has already been used or has been replaced");
+              return;
             }
             let response = {};
             await this.contr.personNeedsToFillEmptyFields(req.body.auth).then(e => {
@@ -55,13 +73,13 @@ class UpdatePersonApi extends RequestHandler {
             });
           }
           catch (err) {
-            this.sendHttpResponse(res, 404, "No authentication in GET request body");
             next(err);
           }
         }
     );
     } catch (err) {
       Logger.logError(err);
+      throw err;
     }
   }
 }
@@ -0,0 +1,50 @@
+const SchemaValidator = require('../util/schemaValidator');
+const {ValidationError} = require('../util/errors');
+
+/*
+  Each route declares what it accepts as a schema per part of the request,
+  {params, query, body}, where each part is described by the properties and
+  required properties of an object, see util/schemaValidator.js. Invalid
+  requests are passed on as a ValidationError, which is answered with 400
+  and all errors, for example:
+  {"error": "Invalid request", "code": "validation_failed",
+   "errors": [{"field": "email", "message": "email is required."}], "requestId": "..."}
+*/
+
+const PARTS = ["params", "query", "body"];
+
+/**
+ * Creates a middleware that checks the request against a schema, and passes
+ * a ValidationError listing every invalid field to the error handlers if it
+ * does not match.
+ * Fields in params and query are prefixed with "params." and "query.", fields
+ * in the body are not prefixed.
+ * @param {object} schema {params, query, body}, each an object schema
+ *                        {properties, required}. All parts are optional.
+ * @return {function} The middleware.
+ */
+function validateRequest(schema){
+  const middleware = (req, res, next) => {
+    const errors = [];
+    PARTS.filter(part => schema[part]).forEach(part => {
+      const partErrors = SchemaValidator.validate({type: "object", ...schema[part]}, req[part] || {}, {
+        fromString: part !== "body"
+      });
+      partErrors.forEach(error => errors.push(part === "body" ? error : {
+        field: part + "." + error.field,
+        message: error.message
+      }));
+    });
+    if(errors.length > 0){
+      return next(new ValidationError("Invalid request", errors));
+    }
+    next();
+  };
+  // Read by openApi.js to document the request.
+  middleware.requestSchema = schema;
+  return middleware;
+}
+
+module.exports = {
+  validateRequest: validateRequest
+}
@@ -1,7 +1,12 @@
 'use strict';
 
-const DAO = require('../integration/dao');
+const RepositoryFactory = require('../integration/repositoryFactory');
+const Mailer = require('../integration/mail/mailer');
 const HandleLackingData = require('../model/handleLackingData');
+const dtoFactory = require('../model/dtoFactory');
+const Backoff = require('../util/backoff');
+const Logger = require('../util/logger');
+const {UnavailableError} = require('../util/errors');
 
 /**
  * The application's controller. No other class shall call the model or
@@ -10,23 +15,63 @@ const HandleLackingData = require('../model/handleLackingData');
 class Controller {
   /**
    * Creates a new instance.
+   *
+   * @param {Repository} repository Stores the data, by default the one
+   *                                chosen by REPOSITORY, see RepositoryFactory.
    */
-  constructor() {
-    this.dao = new DAO();
+  constructor(repository = RepositoryFactory.createRepository()) {
+    this.dao = repository;
+    this.mailer = new Mailer();
   }
 
   /**
-   * Instantiates a new Controller object.
+   * Instantiates a new Controller object. As long as the database can not be
+   * reached, connecting is retried with backoff, see util/backoff.js.
    *
+   * @param {Repository} repository Stores the data, by default the one
+   *                                chosen by REPOSITORY, see RepositoryFactory.
    * @return {Controller} The newly created controller.
-   * @throws Throws and exception if connection to DB failed.
+   * @throws Throws an exception if a migration failed.
    */
-  static async createController() {
-    const contr = new Controller();
-    await contr.dao.createTables();
+  static async createController(repository) {
+    const contr = new Controller(repository);
+    await Backoff.retry(() => contr.dao.createTables(), {
+      shouldRetry: error => error instanceof UnavailableError,
+      onRetry: (error, attempt, delay) => Logger.warn('Could not connect to the database, retrying', {
+        attempt,
+        retryInMs: delay,
+        error: error.message,
+      }),
+    });
     return contr;
   }
 
+  /**
+   * @return {boolean} true if the database could not be reached at the last
+   *                   attempt, and requests shall be answered with 503
+   *                   until it answers again.
+   */
+  isDatabaseDown() {
+    return this.dao.isDatabaseDown();
+  }
+
+  /**
+   * Checks that the database answers.
+   *
+   * @param {number} timeoutMs How long to wait for the database, in milliseconds.
+   * @return {boolean} true if the database answered in time.
+   */
+  async isDatabaseAvailable(timeoutMs){
+    return this.dao.isDatabaseAvailable(timeoutMs);
+  }
+
+  /**
+   * Closes the connections to the database, when the server shuts down.
+   */
+  async close(){
+    await this.dao.close();
+  }
+
   /**
    * Returns the person with the specified id.
    *
@@ -90,12 +135,64 @@ class Controller {
     * Updates fields in database for person.
     *
     * @param {Object} person The person object including person_id.
+    * @param {string} resetTokenId The id of the reset token authorizing the update, if any. It is used up by the update.
     * @return {Object} The personDTO from database.
     *
     * @throws Throws an exception if failed to find person with email.
     */
-   async updatePerson(person_id, person){
-     return this.dao.updatePerson(person_id, person);
+   async updatePerson(person_id, person, resetTokenId){
+     return this.dao.updatePerson(person_id, person, resetTokenId);
+   }
+
+   /**
+    * Creates a new password reset token for a person, and revokes the
+    * person's older reset tokens.
+    *
+    * @param {number} person_id The id of the person.
+    * @param {number} validMinutes For how many minutes the token is valid.
+    * @return {ResetTokenDTO} The new reset token.
+    *
+    * @throws Throws an exception if failed to create the reset token.
+    */
+   async createResetToken(person_id, validMinutes){
+     return this.dao.createResetToken(person_id, validMinutes);
+   }
+
+   /**
+    * Checks if a reset token can be used.
+    *
+    * @param {string} token_id The id of the reset token.
+    * @return {boolean} true if the reset token is not used, revoked or expired.
+    *
+    * @throws Throws an exception if failed to check the reset token.
+    */
+   async isResetTokenOutstanding(token_id){
+     return this.dao.isResetTokenOutstanding(token_id);
+   }
+
+   /**
+    * Returns the reset tokens of a person that can still be used.
+    *
+    * @param {number} person_id The id of the person.
+    * @return {Array} The outstanding reset tokens.
+    *
+    * @throws Throws an exception if failed to find the reset tokens.
+    */
+   async getOutstandingResetTokens(person_id){
+     return this.dao.findOutstandingResetTokens(person_id);
+   }
+
+   /**
+    * Revokes one or all outstanding reset tokens of a person.
+    *
+    * @param {number} person_id The id of the person.
+    * @param {string} token_id The id of the reset token to revoke, or undefined to revoke all.
+    * @return {number} The number of revoked reset tokens.
+    *
+    * @throws Throws an exception if failed to revoke the reset tokens.
+    */
+   async revokeResetTokens(person_id, token_id){
+     return this.dao.revokeResetTokens(person_id, token_id);
    }
   /**
    * Logs in the user
@@ -109,6 +206,56 @@ class Controller {
     return this.dao.login(person);
   }
 
+  /**
+   * Finds the current username, email, role and permissions of a user, to
+   * put in new tokens.
+   *
+   * @param {string} username The username of the user.
+   * @return {Object} The user's data, or null if there is no such user.
+   *
+   * @throws Throws an exception if failed to search for the user.
+   */
+  async findAuthDataByUsername(username){
+    return this.dao.findAuthDataByUsername(username);
+  }
+
+  /**
+   * Finds all roles.
+   *
+   * @return {Array} The roles, with their permissions.
+   *
+   * @throws Throws an exception if failed to search for roles.
+   */
+  async getAllRoles(){
+    return this.dao.getAllRoles();
+  }
+
+  /**
+   * Creates a role, or replaces the permissions of an existing role.
+   *
+   * @param {string} name The name of the role.
+   * @param {Array} permissions The names of all permissions the role shall grant.
+   * @return {Object} The role, with its permissions.
+   *
+   * @throws Throws an exception if failed to save the role.
+   */
+  async setRolePermissions(name, permissions){
+    return this.dao.setRolePermissions(name, permissions);
+  }
+
+  /**
+   * Gives a person a role.
+   *
+   * @param {number} person_id The id of the person.
+   * @param {string} roleName The name of the role.
+   * @return {Object} The person's username, role and permissions, or null if there is no such person.
+   *
+   * @throws Throws an exception if failed to assign the role.
+   */
+  async assignRole(person_id, roleName){
+    return this.dao.assignRole(person_id, roleName);
+  }
+
   /**
    * Submits an application from the logged in user.
    *
@@ -133,13 +280,98 @@ class Controller {
   }
 
   /**
-   * Returns all applications.
+   * Emails a password reset link to a person.
    *
-   * @return {Object} success object.
-   * @throws Throws an exception if failed to retrieve all applications.
+   * @param {PersonDTO} person The person who asked to reset the password.
+   * @param {string} resetLink The link to the page where a new password is chosen.
+   * @param {number} validMinutes For how long the link is valid.
+   *
+   * @throws Throws an exception if the email could not be sent.
+   */
+  async sendPasswordResetMail(person, resetLink, validMinutes){
+    await this.mailer.send('passwordReset', person.email, {
+      name: person.name,
+      resetLink,
+      validMinutes
+    });
+  }
+
+  /**
+   * Returns one page of the applications matching a filter.
+   *
+   * @param {Object} filter The filter, sort order and page, see DAO.findAllApplications.
+   * @param {Object} language The client's language, {languages, includeTranslations}, if
+   *                          competence names shall be resolved.
+   * @return {Object} The total number of matching applications and the applications on the page.
+   * @throws Throws an exception if failed to retrieve the applications.
+   */
+  async getApplications(filter, language){
+    const result=await this.dao.findAllApplications(filter);
+    result.applications=this.localizeApplications(result.applications, language);
+    return result;
+  }
+
+  /**
+   * Returns all applications matching a filter, one batch at a time, so that
+   * they need not all be in memory at once. The applications are in the
+   * order of their ids, and each batch starts after the last id of the one
+   * before, so applications submitted or changed meanwhile do not make any
+   * be skipped or repeated.
+   *
+   * @param {Object} filter The filter, see DAO.findAllApplications. The sort
+   *                        order and page are ignored.
+   * @param {Object} language The client's language, {languages, includeTranslations}, if
+   *                          competence names shall be resolved.
+   * @param {number} batchSize The number of applications in each batch, at most 100.
+   * @return {AsyncGenerator} Yields the batches, arrays of applications, in order.
+   * @throws Throws an exception if failed to retrieve a batch.
    */
-  async getApplications(){
-    return this.dao.findAllApplications();
+  async *getApplicationBatches(filter, language, batchSize=100){
+    for(let afterId=0;;){
+      const applications=this.localizeApplications(await this.dao.findApplicationsAfter(filter,afterId,batchSize), language);
+      if(applications.length>0){
+        yield applications;
+        afterId=applications[applications.length-1].application_id;
+      }
+      if(applications.length<batchSize){
+        return;
+      }
+    }
+  }
+
+  /**
+   * Returns all applications submitted by a person.
+   *
+   * @param {number} person_id The id of the person.
+   * @param {Object} language The client's language, {languages, includeTranslations}, if
+   *                          competence names shall be resolved.
+   * @return {Array} The person's applications, newest first.
+   * @throws Throws an exception if failed to retrieve the applications.
+   */
+  async getApplicationsOfPerson(person_id, language){
+    return this.localizeApplications(await this.dao.findApplicationsByPersonId(person_id), language);
+  }
+
+  /**
+   * Resolves the names of the competences of applications in the client's language.
+   *
+   * @param {Array} applications The applications.
+   * @param {Object} language The client's language, {languages, includeTranslations},
+   *                          or undefined to keep all translations.
+   * @return {Array} The same applications, with localized competences.
+   */
+  localizeApplications(applications, language){
+    if(!language){
+      return applications;
+    }
+    applications.forEach(application=>{
+      (application.competences||[]).forEach(applicationCompetence=>{
+        if(applicationCompetence.competence){
+          applicationCompetence.competence=dtoFactory.createLocalizedCompetenceDto(applicationCompetence.competence, language);
+        }
+      });
+    });
+    return applications;
   }
 
   /**
@@ -152,9 +384,11 @@ class Controller {
   }
 
   /**
-   * Updates the application status of an availability.
+   * Updates the application status of an application, and records the
+   * change in its status history.
    *
-   * @param {Object} params The parameters to use for the update.
+   * @param {Object} params The parameters to use for the update, including
+   *                        the id of the recruiter and an optional reason.
    * @return {Object} success object.
    *
    * @throws Throws an exception if failed to update the application.
@@ -163,14 +397,143 @@ class Controller {
     return this.dao.updateApplication(params);
   }
 
+  /**
+   * Collects what a recruiter needs to know about a person: the person, the
+   * competence profile and all applications with their periods and status
+   * histories.
+   *
+   * @param {number} person_id The id of the person.
+   * @param {Object} language The client's language, {languages, includeTranslations},
+   *                          in which competence names shall be resolved.
+   * @return {Object} {person, competence_profiles, applications}, where each
+   *                  application has its history, or null if there was no such person.
+   * @throws Throws an exception if failed to retrieve any part of the dossier.
+   */
+  async getPersonDossier(person_id, language){
+    const person=await this.dao.findPersonById(person_id);
+    if(person===null){
+      return null;
+    }
+    delete person.password;
+    const competence_profiles=(await this.dao.findCompetenceProfilesByPersonId(person_id)).map(profile=>{
+      profile.competence=profile.competence&&dtoFactory.createLocalizedCompetenceDto(profile.competence, language);
+      return profile;
+    });
+    const applications=await this.getApplicationsOfPerson(person_id, language);
+    for(const application of applications){
+      application.history=await this.dao.findApplicationStatusHistory(application.application_id);
+    }
+    return {person,competence_profiles,applications};
+  }
+
+  /**
+   * Returns all changes of the status of an application.
+   *
+   * @param {number} application_id The id of the application.
+   * @return {Array} The status changes, oldest first, or null if there is
+   *                 no such application.
+   *
+   * @throws Throws an exception if failed to get the history.
+   */
+  async getApplicationHistory(application_id){
+    return this.dao.findApplicationStatusHistory(application_id);
+  }
+
   /**
    * Gets all the competences from the database.
+   * @param {Object} language The client's language, {languages, includeTranslations}, if
+   *                          competence names shall be resolved.
    * @return {Object} success object
    *
    * @throws Throws an exception if failed to get competences.
    */
-  async getAllCompetences(){
-    return this.dao.getAllCompetences();
+  async getAllCompetences(language){
+    const competences=await this.dao.getAllCompetences();
+    if(!language){
+      return competences;
+    }
+    return competences.map(competence=>dtoFactory.createLocalizedCompetenceDto(competence, language));
+  }
+
+  /**
+   * Gets a competence with all its translations.
+   * @param {number} competence_id The id of the competence.
+   * @return {Object} The competence, or null if there was no such competence.
+   *
+   * @throws Throws an exception if failed to get the competence.
+   */
+  async findCompetenceById(competence_id){
+    return this.dao.findCompetenceById(competence_id);
+  }
+
+  /**
+   * Creates a new competence with its translations.
+   * @param {Array} translations The translations, [{language, translation}].
+   * @return {Object} The new competence.
+   *
+   * @throws Throws an exception if failed to create the competence.
+   */
+  async createCompetence(translations){
+    return this.dao.createCompetence(translations);
+  }
+
+  /**
+   * Replaces all translations of a competence.
+   * @param {number} competence_id The id of the competence.
+   * @param {Array} translations The translations, [{language, translation}].
+   * @return {Object} The updated competence, or null if there was no such competence.
+   *
+   * @throws Throws an exception if failed to update the competence.
+   */
+  async setCompetenceTranslations(competence_id, translations){
+    return this.dao.setCompetenceTranslations(competence_id, translations);
+  }
+
+  /**
+   * Adds or replaces the translation of a competence in one language.
+   * @param {number} competence_id The id of the competence.
+   * @param {string} language The language of the translation.
+   * @param {string} translation The translated name.
+   * @return {Object} The updated competence, or null if there was no such competence.
+   *
+   * @throws Throws an exception if failed to update the translation.
+   */
+  async setCompetenceTranslation(competence_id, language, translation){
+    return this.dao.setCompetenceTranslation(competence_id, language, translation);
+  }
+
+  /**
+   * Deletes the translation of a competence in one language.
+   * @param {number} competence_id The id of the competence.
+   * @param {string} language The language of the translation.
+   * @return {string} "success", or null if there was no such translation.
+   *
+   * @throws Throws an exception if failed to delete the translation, or if it is the last one.
+   */
+  async deleteCompetenceTranslation(competence_id, language){
+    return this.dao.deleteCompetenceTranslation(competence_id, language);
+  }
+
+  /**
+   * Checks if a competence is part of any competence profile or application.
+   * @param {number} competence_id The id of the competence.
+   * @return {boolean} true if the competence is in use.
+   *
+   * @throws Throws an exception if failed to check the competence.
+   */
+  async isCompetenceInUse(competence_id){
+    return this.dao.isCompetenceInUse(competence_id);
+  }
+
+  /**
+   * Deletes a competence that is not in use.
+   * @param {number} competence_id The id of the competence.
+   * @return {string} "success", or null if there was no such competence.
+   *
+   * @throws Throws an exception if failed to delete the competence, or if it is in use.
+   */
+  async deleteCompetence(competence_id){
+    return this.dao.deleteCompetence(competence_id);
   }
 }
 module.exports = Controller;
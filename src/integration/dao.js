@@ -1,32 +1,47 @@
 'use strict';
 
 const Sequelize = require('sequelize');
+const {Op} = Sequelize;
 const Person = require('../model/person');
 const Role = require('../model/role');
+const RolePermission = require('../model/rolePermission');
 const CompetenceProfile=require('../model/competenceProfile');
 const Competence=require('../model/competence');
 const Availability=require('../model/availability');
+const Application=require('../model/application');
+const ApplicationCompetence=require('../model/applicationCompetence');
+const ApplicationStatusHistory=require('../model/applicationStatusHistory');
+const ResetToken=require('../model/resetToken');
 const CompetenceTranslation=require('../model/competenceTranslation');
 const Validators = require('../util/validators');
+const PasswordHasher = require('../util/passwordHasher');
+const Permissions = require('../util/permissions');
 const Logger = require('./../util/logger.js');
+const {ValidationError,AuthError,NotFoundError,ConflictError,UnavailableError} = require('../util/errors');
 const dtoFactory=require('../model/dtoFactory');
+const Migrator=require('./migration/migrator');
+const Backoff=require('../util/backoff');
+const Repository=require('./repository');
 
 /**
- * This class is responsible for all calls to the database. There shall not
- * be any database-related code outside this class.
+ * The Repository that stores the data in a database, with sequelize. This
+ * class is responsible for all calls to the database. There shall not be
+ * any database-related code outside this class.
  */
 
-class DAO {
+class DAO extends Repository {
   /**
    * Creates a new instance and connects to the database.
    */
   constructor() {
+    super();
     if(process.env.NODE_ENV === "production"){
       this.database = new Sequelize(
         process.env.DATABASE_URL, {
           dialect: 'postgres',
           protocol: 'postgres',
-          logging: process.env.LOG_SEQUALIZE === "true" ? console.log : false
+          pool: DAO.POOL_OPTIONS,
+          logging: process.env.LOG_SEQUALIZE === "true" ? sql => Logger.debug(sql) : false
       });
     }
     else{
@@ -38,32 +53,159 @@ class DAO {
             host: process.env.DB_HOST,
             dialect: process.env.DB_DIALECT,
             port:process.env.DB_PORT,
-            logging: process.env.LOG_SEQUALIZE === "true" ? console.log : false
+            pool: DAO.POOL_OPTIONS,
+            logging: process.env.LOG_SEQUALIZE === "true" ? sql => Logger.debug(sql) : false
           }
       );
     }
     Logger.logMessage("logging \"LOG_SEQUALIZE\": " + (process.env.LOG_SEQUALIZE === "true" ? "true" : "false"));
 
     Role.createModel(this.database);
+    RolePermission.createModel(this.database);
     Person.createModel(this.database);
     Competence.createModel(this.database);
     CompetenceProfile.createModel(this.database);
     CompetenceTranslation.createModel(this.database);
+    Application.createModel(this.database);
     Availability.createModel(this.database);
+    ApplicationCompetence.createModel(this.database);
+    ApplicationStatusHistory.createModel(this.database);
+    ResetToken.createModel(this.database);
+
+    this.available=true;
+    this.closed=false;
+  }
+
+  /**
+   * The connection pool options. A query waits at most DB_ACQUIRE_TIMEOUT_MS
+   * (default 10000) for a connection, so that requests do not hang when the
+   * database can not be reached.
+   */
+  static get POOL_OPTIONS(){
+    return {acquire:parseInt(process.env.DB_ACQUIRE_TIMEOUT_MS,10)||10000};
+  }
+
+  /**
+   * @param {Error} error An error thrown by sequelize.
+   * @return {boolean} true if the error means that the database can not be reached.
+   */
+  static isConnectionError(error){
+    // Also ConnectionAcquireTimeoutError, when no connection could be had in time.
+    return error instanceof Sequelize.ConnectionError||error instanceof Sequelize.TimeoutError;
+  }
+
+  /**
+   * @param {string} text Text to search for with LIKE or ILIKE.
+   * @return {string} The text with the LIKE wildcards % and _, and the
+   *                  escape character \, escaped, so that they match themselves.
+   */
+  static escapeLike(text){
+    return text.replace(/[\\%_]/g,"\\$&");
   }
 
   /**
-   * Creates non-existing tables, existing tables are not touched.
+   * Brings the database up to date, by applying the migrations that are not
+   * yet applied and running the seeds, see integration/migration/migrator.js.
+   * Set DB_MIGRATE_ON_START to "false" to only check the connection, and
+   * apply migrations with "npm run migrate" instead.
    *
-   * @throws Throws an exception if the database could not be created.
+   * @throws Throws an UnavailableError if the database could not be
+   *         reached, and an Error if a migration or seed failed.
    */
   async createTables() {
     try {
         await this.database.authenticate();
-        await this.database.sync({force: false});
+        if(process.env.DB_MIGRATE_ON_START !== "false"){
+          const migrator=new Migrator(this.database);
+          await migrator.up();
+          await migrator.seed();
+        }
     } catch (error) {
-        throw new Error('Could not connect to database.' + error.message);
+        if(DAO.isConnectionError(error)){
+          throw new UnavailableError('Could not connect to database. ' + error.message);
+        }
+        throw new Error('Could not migrate the database. ' + error.message);
+    }
+  }
+
+  /**
+   * @return {boolean} true if the last query failed since the database could
+   *                   not be reached, and the database has not answered since.
+   */
+  isDatabaseDown(){
+    return !this.available;
+  }
+
+  /**
+   * Marks the database as down and checks, with backoff, until it answers
+   * again, when it is marked as up. Requests are answered with 503 without
+   * querying the database while it is down, see RequestHandler.retrieveController.
+   */
+  markDatabaseDown(){
+    if(!this.available||this.closed){
+      return;
     }
+    this.available=false;
+    Logger.warn("The database can not be reached, retrying until it answers");
+    Logger.runWithContext({},()=>Backoff.retry(()=>this.database.authenticate(),{
+      shouldRetry:()=>!this.closed,
+      onRetry:(error,attempt,delay)=>Logger.debug("The database still can not be reached",{attempt,retryInMs:delay,error:error.message}),
+    }).then(()=>{
+      this.available=true;
+      Logger.info("The database answers again");
+    },()=>undefined));
+  }
+
+  /**
+   * Checks that the database answers, within the specified time.
+   *
+   * @param {number} timeoutMs How long to wait for the database, in milliseconds.
+   * @return {boolean} true if the database answered, false if it did not.
+   */
+  async isDatabaseAvailable(timeoutMs){
+    let timer;
+    const timeout=new Promise(resolve=>{
+      timer=setTimeout(()=>resolve(false),timeoutMs);
+    });
+    try {
+      return await Promise.race([this.database.authenticate().then(()=>true,()=>false),timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Closes all connections to the database. The DAO can not be used after
+   * this.
+   */
+  async close(){
+    this.closed=true;
+    await this.database.close();
+  }
+
+  /**
+   * Turns an error caught in a DAO method into the error to throw, see
+   * Repository.toDomainError. Also, lost database connections become
+   * UnavailableError, which also marks the database as down, see
+   * markDatabaseDown, unique constraint violations ConflictError and
+   * foreign key violations ValidationError.
+   *
+   * @param {string} message What the DAO method failed to do.
+   * @param {Error} error The caught error.
+   * @return {Error} The error to throw.
+   */
+  toDomainError(message, error){
+    if(DAO.isConnectionError(error)){
+      this.markDatabaseDown();
+      return new UnavailableError("The database is unavailable.",UnavailableError.RETRY_AFTER_SECONDS);
+    }
+    if(error instanceof Sequelize.UniqueConstraintError){
+      return new ConflictError(message.trim() + " A value that must be unique is already taken.");
+    }
+    if(error instanceof Sequelize.ForeignKeyConstraintError){
+      return new ValidationError(message.trim() + " A referenced entity does not exist.");
+    }
+    return super.toDomainError(message, error);
   }
 
   /**
@@ -87,7 +229,7 @@ class DAO {
       }
       return dtoFactory.createPersonDto(personModel);
     } catch (error) {
-        throw new Error("could not find person." + error.message);
+        throw this.toDomainError("could not find person.", error);
     }
   }
 
@@ -150,10 +292,13 @@ class DAO {
         Validators.isEmailValid(auth.email);
         [key,value]=["email",auth.email];
       }
-      const {person_id}=await this.findPersonByParameter(key,value);
-      return person_id;
+      const person=await this.findPersonByParameter(key,value);
+      if(person===null){
+        throw new NotFoundError("There is no such person.");
+      }
+      return person.person_id;
     } catch (error) {
-      throw new Error("could not find person." + error.message);
+      throw this.toDomainError("could not find person.", error);
     }
   }
 
@@ -167,67 +312,202 @@ class DAO {
    */
    async savePerson(person){
      try {
-      Validators.isStringNonZeroLength(person.name, 'name');
-      Validators.isAlphaString(person.name, 'name');
-      Validators.isStringNonZeroLength(person.surname, 'surname');
-      Validators.isAlphaString(person.surname, 'surname');
-      Validators.isStringRepresentingDate(person.ssn,'ssn');
-      Validators.isStringNonZeroLength(person.password, 'password');
-      Validators.isAlphanumericString(person.password, 'password');
-      Validators.isEmailValid(person.email,'email');
-      Validators.isStringNonZeroLength(person.username, 'username');
-      Validators.isAlphanumericString(person.username, 'username');
-      person={...person,role_id:2};
+      this.validateNewPerson(person);
+      const password=await PasswordHasher.hashPassword(person.password);
+      const roleModel=await Role.findOne({where:{name:Permissions.DEFAULT_ROLE}});
+      if(roleModel===null){
+        throw new Error("The role \""+Permissions.DEFAULT_ROLE+"\" does not exist.");
+      }
+      person={...person,password,role_id:roleModel.role_id};
       await Person.create(person);
       return "success";
     } catch (error) {
-      throw new Error("Could not create person." + error.message);
+      throw this.toDomainError("Could not create person.", error);
     }
    }
 
 
    /**
-    * Updates the user's data in the database.
+    * Updates the user's data in the database. If the update is authorized by a
+    * password reset token, the token is used up in the same transaction, so
+    * that it can not be used again.
     * @param  {number}  person_id The unique (PK) id of the user.
     * @param  {object}  person    The object including the data to update.
+    * @param  {string}  resetTokenId The id of the reset token authorizing the update, if any.
     * @return {object}           Success object with the newly saved person inside.
     *
-    * @throws Throws an exception if failed to update the person.
+    * @throws Throws an exception if failed to update the person, or if the
+    *         reset token is not outstanding.
     */
-   async updatePerson(person_id, person){
+   async updatePerson(person_id, person, resetTokenId){
      try {
       Validators.isPositiveInteger(person_id, 'person_id');
-      person.name&&Validators.isStringNonZeroLength(person.name, 'name');
-      person.name&&Validators.isAlphaString(person.name, 'name');
-      person.surname&&Validators.isStringNonZeroLength(person.surname, 'surname');
-      person.surname&&Validators.isAlphaString(person.surname, 'surname');
-      person.ssn&&Validators.isStringRepresentingDate(person.ssn,'ssn');
-      person.password&&Validators.isStringNonZeroLength(person.password, 'password');
-      person.password&&Validators.isAlphanumericString(person.password, 'password');
-      person.email&&Validators.isEmailValid(person.email,'email');
-      person.username&&Validators.isStringNonZeroLength(person.username, 'username');
-      person.username&&Validators.isAlphanumericString(person.username, 'username');
+      this.validatePersonChanges(person);
+      resetTokenId&&Validators.isStringNonZeroLength(resetTokenId, 'resetTokenId');
 
-      await Person.update({
-        name: person.name,
-        surname: person.surname,
-        ssn: person.ssn,
-        email: person.email,
-        password: person.password,
-        username: person.username
-      },{
-        where: {
-          person_id
+      const password=person.password&&await PasswordHasher.hashPassword(person.password);
+      await this.database.transaction(async transaction=>{
+        if(resetTokenId){
+          await this.useResetToken(resetTokenId, person_id, transaction);
         }
+        await Person.update({
+          name: person.name,
+          surname: person.surname,
+          ssn: person.ssn,
+          email: person.email,
+          password,
+          username: person.username
+        },{
+          where: {
+            person_id
+          },
+          transaction
+        });
       });
       return "success";
     } catch (error) {
-      throw new Error("could not create person." + error.message);
+      throw this.toDomainError("could not create person.", error);
     }
    }
 
   /**
-   * Logs in the user
+   * Creates a new password reset token for a person. All outstanding reset
+   * tokens of the person are revoked, so only the newest one can be used.
+   *
+   * @param {number} person_id The id of the person.
+   * @param {number} validMinutes For how many minutes the token is valid.
+   * @return {ResetTokenDTO} The new reset token.
+   *
+   * @throws Throws an exception if the reset token could not be created.
+   */
+  async createResetToken(person_id, validMinutes){
+    try {
+      Validators.isPositiveInteger(person_id, 'person_id');
+      Validators.isPositiveInteger(validMinutes, 'validMinutes');
+      const resetTokenModel=await this.database.transaction(async transaction=>{
+        await ResetToken.update({
+          revoked_at:new Date()
+        },{
+          where:this.outstandingResetTokenWhere({person_id}),
+          transaction
+        });
+        return ResetToken.create({
+          person_id,
+          expires_at:new Date(Date.now()+validMinutes*60*1000)
+        },{transaction});
+      });
+      return dtoFactory.createResetTokenDto(resetTokenModel);
+    } catch (error) {
+      throw this.toDomainError("Could not create reset token. ", error);
+    }
+  }
+
+  /**
+   * Checks if a reset token is outstanding, that is not used, revoked or expired.
+   *
+   * @param {string} token_id The id of the reset token.
+   * @return {boolean} true if the reset token can be used.
+   *
+   * @throws Throws an exception if the reset token could not be searched for.
+   */
+  async isResetTokenOutstanding(token_id){
+    try {
+      Validators.isStringNonZeroLength(token_id, 'token_id');
+      const resetTokenModel=await ResetToken.findOne({
+        where:this.outstandingResetTokenWhere({token_id}),
+        attributes:["token_id"]
+      });
+      return resetTokenModel!==null;
+    } catch (error) {
+      throw this.toDomainError("Could not check reset token. ", error);
+    }
+  }
+
+  /**
+   * Marks a reset token as used, if it is outstanding and belongs to the person.
+   *
+   * @param {string} token_id The id of the reset token.
+   * @param {number} person_id The id of the person whose data is updated.
+   * @param {Transaction} transaction The transaction of the update.
+   *
+   * @throws Throws an exception if the reset token is not outstanding.
+   */
+  async useResetToken(token_id, person_id, transaction){
+    const [updatedRows]=await ResetToken.update({
+      used_at:new Date()
+    },{
+      where:this.outstandingResetTokenWhere({token_id,person_id}),
+      transaction
+    });
+    if(updatedRows!==1){
+      throw new AuthError("The reset token is used, revoked or expired.");
+    }
+  }
+
+  /**
+   * Finds the outstanding reset tokens of a person.
+   *
+   * @param {number} person_id The id of the person.
+   * @return {Array} The outstanding reset tokens, newest first.
+   *
+   * @throws Throws an exception if the reset tokens could not be found.
+   */
+  async findOutstandingResetTokens(person_id){
+    try {
+      Validators.isPositiveInteger(person_id, 'person_id');
+      const resetTokenArrayModel=await ResetToken.findAll({
+        where:this.outstandingResetTokenWhere({person_id}),
+        order:[["createdAt","DESC"]]
+      });
+      return resetTokenArrayModel.map(resetTokenModel=>dtoFactory.createResetTokenDto(resetTokenModel));
+    } catch (error) {
+      throw this.toDomainError("Could not find reset tokens. ", error);
+    }
+  }
+
+  /**
+   * Revokes outstanding reset tokens of a person.
+   *
+   * @param {number} person_id The id of the person.
+   * @param {string} token_id The id of the reset token to revoke, or undefined to revoke all.
+   * @return {number} The number of revoked reset tokens.
+   *
+   * @throws Throws an exception if the reset tokens could not be revoked.
+   */
+  async revokeResetTokens(person_id, token_id){
+    try {
+      Validators.isPositiveInteger(person_id, 'person_id');
+      token_id&&Validators.isStringNonZeroLength(token_id, 'token_id');
+      const [revokedRows]=await ResetToken.update({
+        revoked_at:new Date()
+      },{
+        where:this.outstandingResetTokenWhere(token_id?{person_id,token_id}:{person_id})
+      });
+      return revokedRows;
+    } catch (error) {
+      throw this.toDomainError("Could not revoke reset tokens. ", error);
+    }
+  }
+
+  /**
+   * Creates a where clause matching outstanding reset tokens.
+   *
+   * @param {Object} where Additional conditions.
+   * @return {Object} The where clause.
+   */
+  outstandingResetTokenWhere(where){
+    return {
+      ...where,
+      used_at:null,
+      revoked_at:null,
+      expires_at:{[Op.gt]:new Date()}
+    };
+  }
+
+  /**
+   * Logs in the user. The password is compared against the stored hash in
+   * constant time. A password that is still stored in plaintext is replaced by
+   * a hash when the user logs in with it.
    *
    * @param {Object} person The person trying to log in.
    * @return {personDTO} success object with the logged in user's personDTO.
@@ -242,22 +522,190 @@ class DAO {
       Validators.isAlphanumericString(person.password, 'password');
       const personModel=await Person.findOne({
         where:{
-          username:person.username,
-          password:person.password
+          username:person.username
         },
-        attributes:["username","email","role_id"],
+        attributes:["person_id","username","email","role_id","password"],
+        include:this.roleIncludes(),
       });
       if (personModel === null) {
+        // Hash anyway, so that unknown usernames take as long as wrong passwords.
+        await PasswordHasher.hashPassword(person.password);
         return null;
       }
-      return dtoFactory.createPersonDto(personModel);
+      if (!await PasswordHasher.verifyPassword(person.password, personModel.password)) {
+        return null;
+      }
+      if (!PasswordHasher.isHashed(personModel.password)) {
+        await Person.update({
+          password: await PasswordHasher.hashPassword(person.password)
+        },{
+          where:{
+            person_id:personModel.person_id
+          }
+        });
+        Logger.logMessage("Upgraded plaintext password to hash for user: \"" + personModel.username + "\"");
+      }
+      const {person_id,username,email,role_id,role}=personModel;
+      return dtoFactory.createPersonDto({person_id,username,email,role_id,role});
+    } catch (error) {
+      throw this.toDomainError("could not login.", error);
+    }
+  }
+
+  /**
+   * Finds the data that is put in the tokens of a logged in user, so that a
+   * changed role takes effect when the tokens are refreshed.
+   *
+   * @param {string} username The username of the user.
+   * @return {personDTO} The user's id, username, email, role and permissions,
+   *                     or null if there is no such user.
+   *
+   * @throws Throws an exception if failed to search for the user.
+   */
+  async findAuthDataByUsername(username){
+    try {
+      Validators.isStringNonZeroLength(username, 'username');
+      Validators.isAlphanumericString(username, 'username');
+      const personModel=await Person.findOne({
+        where:{username},
+        attributes:["person_id","username","email","role_id"],
+        include:this.roleIncludes(),
+      });
+      if(personModel===null){
+        return null;
+      }
+      const {person_id,email,role_id,role}=personModel;
+      return dtoFactory.createPersonDto({person_id,username:personModel.username,email,role_id,role});
+    } catch (error) {
+      throw this.toDomainError("could not find user.", error);
+    }
+  }
+
+  /**
+   * @return {Array} The includes that load a person's role and its permissions.
+   */
+  roleIncludes(){
+    return [{
+      model:Role,
+      include:[RolePermission],
+    }];
+  }
+
+  /**
+   * Finds all roles.
+   *
+   * @return {Array} The roles, with their permissions.
+   *
+   * @throws Throws an exception if failed to search for roles.
+   */
+  async getAllRoles(){
+    try {
+      const roleModels=await Role.findAll({
+        include:[RolePermission],
+        order:[["role_id","ASC"]],
+      });
+      return roleModels.map(roleModel=>dtoFactory.createRoleDto(roleModel));
+    } catch (error) {
+      throw this.toDomainError("Could not get roles. ", error);
+    }
+  }
+
+  /**
+   * Creates a role, or replaces the permissions of an existing role.
+   *
+   * @param {string} name The name of the role.
+   * @param {Array} permissions The names of all permissions the role shall grant.
+   * @return {RoleDTO} The role, with its permissions.
+   *
+   * @throws Throws an exception if failed to save the role, or if a permission is unknown.
+   */
+  async setRolePermissions(name, permissions){
+    try {
+      Validators.isStringNonZeroLength(name,"name");
+      Validators.isArray(permissions,"permissions");
+      permissions.forEach(permission=>Validators.isOneOf(permission,Permissions.ALL,"permission"));
+      return await this.database.transaction(async transaction=>{
+        const roleModel=await this.findOrCreateRole(name,transaction);
+        await RolePermission.destroy({where:{role_id:roleModel.role_id},transaction});
+        await RolePermission.bulkCreate([...new Set(permissions)].map(permission=>({
+          role_id:roleModel.role_id,
+          permission
+        })),{transaction});
+        Logger.logMessage("Set permissions of role \"" + name + "\": " + permissions.join(", "));
+        const savedRoleModel=await Role.findByPk(roleModel.role_id,{include:[RolePermission],transaction});
+        return dtoFactory.createRoleDto(savedRoleModel);
+      });
+    } catch (error) {
+      throw this.toDomainError("Could not save role. ", error);
+    }
+  }
+
+  /**
+   * Finds the role with the specified name, and creates it if it does not
+   * exist. Creating a role that was just created by someone else is ignored.
+   *
+   * @param {string} name The name of the role.
+   * @param {Transaction} transaction The transaction to write in.
+   * @return {Role} The role.
+   */
+  async findOrCreateRole(name, transaction){
+    const roleModel=await Role.findOne({where:{name},transaction});
+    if(roleModel!==null){
+      return roleModel;
+    }
+    await Role.bulkCreate([{name}],{ignoreDuplicates:true,transaction});
+    return await Role.findOne({where:{name},transaction});
+  }
+
+  /**
+   * Gives a person a role, replacing the person's current role.
+   *
+   * @param {number} person_id The id of the person.
+   * @param {string} roleName The name of the role.
+   * @return {personDTO} The person's username, role and permissions, or null
+   *                     if there is no such person.
+   *
+   * @throws Throws an exception if failed to assign the role, or if there is no such role.
+   */
+  async assignRole(person_id, roleName){
+    try {
+      Validators.isPositiveInteger(person_id,"person_id");
+      Validators.isStringNonZeroLength(roleName,"role");
+      return await this.database.transaction(async transaction=>{
+        const roleModel=await Role.findOne({where:{name:roleName},transaction});
+        if(roleModel===null){
+          throw new NotFoundError("The role \""+roleName+"\" does not exist.");
+        }
+        const [updatedRows]=await Person.update({
+          role_id:roleModel.role_id
+        },{
+          where:{person_id},
+          transaction
+        });
+        if(updatedRows===0){
+          return null;
+        }
+        const personModel=await Person.findByPk(person_id,{
+          attributes:["username","email","role_id"],
+          include:this.roleIncludes(),
+          transaction
+        });
+        Logger.logMessage("Assigned role \"" + roleName + "\" to person with id: " + person_id);
+        const {username,email,role_id,role}=personModel;
+        return dtoFactory.createPersonDto({username,email,role_id,role});
+      });
     } catch (error) {
-      throw new Error("could not login." + error.message);
+      throw this.toDomainError("Could not assign role. ", error);
     }
   }
 
   /**
-   * Submits an application from the logged in user.
+   * Submits an application from the logged in user. The application owns the
+   * submitted periods and a snapshot of the submitted competences, and the
+   * person's competence profile is updated with the same competences: a
+   * competence the person already has gets the new years of experience, see
+   * migration 004. Everything is written in one transaction, so nothing is
+   * stored if any part fails.
    *
    * @param {Object} object consists of username, competencies, and periods of work.
    * @return {Object} success object.
@@ -265,91 +713,276 @@ class DAO {
    * @throws Throws an exception if failed to submit the application.
    */
   async submitApplication({username,competencies,periods}){
-    const t=await this.database.transaction({autocommit:false});
     try {
       Validators.isStringNonZeroLength(username, 'username');
       Validators.isAlphanumericString(username, 'username');
       const {person_id}=await this.findPersonByUsername(username);
+      this.validateApplication(competencies,periods);
 
-      const competenceProfiles=competencies.map(c=>{
-        Validators.isNumber(c.competence_id,"competence_id");
-        Validators.isNumber(c.years_of_experience,"years_of_experience");
-        return {person_id,...c};
+      await this.database.transaction(async transaction=>{
+        for(const {competence_id,years_of_experience} of competencies){
+          await CompetenceProfile.upsert({
+            person_id,
+            competence_id,
+            years_of_experience
+          },{transaction});
+        }
+        const {application_id}=await Application.create({
+          person_id,
+          version_number:0
+        },{transaction});
+        await ApplicationCompetence.bulkCreate(competencies.map(({competence_id,years_of_experience})=>({
+          application_id,
+          competence_id,
+          years_of_experience
+        })),{transaction});
+        await Availability.bulkCreate(periods.map(({from_date,to_date})=>({
+          person_id,
+          application_id,
+          from_date,
+          to_date
+        })),{transaction});
+      });
+      Logger.logMessage("Application submitted successfully for user: \"" + username + "\"");
+      return "success";
+    } catch (error) {
+      throw this.toDomainError("Failed to submit application.", error);
+    }
+  }
+
+  /**
+   * Finds the applications matching a filter, one page at a time.
+   *
+   * @param {Object} filter The filter, sort order and page, all optional, see
+   *                        Repository.validateApplicationFilter.
+   * @return {Object} The total number of matching applications, the limit and offset
+   *                  that were used and the applications on the page.
+   *
+   * @throws Throws a "could not find all applications." error if failed to find all applications.
+   */
+  async findAllApplications(filter={}){
+    try {
+      const {where,personWhere,order,limit,offset}=this.createApplicationQuery(filter);
+      const personInclude=this.applicantInclude(personWhere);
+      const total=await Application.count({
+        where,
+        include:personInclude,
       });
-      const availabilities=periods.map(p=>{
-        Validators.isStringRepresentingDate(p.from_date,"from_date");
-        Validators.isStringRepresentingDate(p.to_date,"to_date");
-        Validators.dateIsNotPastDate(p.from_date,p.to_date,"from_date","to_date");
-        return {person_id,...p,version_number:0};
+      const applicationArrayModel = await Application.findAll({
+        attributes:["application_id","createdAt","updatedAt","application_status","version_number"],
+        where,
+        order,
+        limit,
+        offset,
+        include:[personInclude,...this.applicationContentIncludes()]
       });
+      return {
+        total,
+        limit,
+        offset,
+        applications:dtoFactory.createApplicationArray(applicationArrayModel)
+      };
+    } catch (error) {
+      throw this.toDomainError("could not find all applications.", error);
+    }
+  }
 
-      await CompetenceProfile.bulkCreate(competenceProfiles,{
-        ignoreDuplicates:true,
-        transaction:t
+  /**
+   * Finds the applications matching a filter whose ids are greater than
+   * afterId, in the order of their ids, see Repository.findApplicationsAfter.
+   *
+   * @param {Object} filter The filter, as for findAllApplications. The sort order and page are ignored.
+   * @param {number} afterId The id to start after, 0 for the first batch.
+   * @param {number} limit The largest number of applications to find, at most 100.
+   * @return {Array} The applications, with the name and surname of each applicant.
+   *
+   * @throws Throws a "could not find applications" error if failed to find the applications.
+   */
+  async findApplicationsAfter(filter,afterId,limit){
+    try {
+      const {where,personWhere}=this.createApplicationQuery(this.validateApplicationBatch(filter,afterId,limit));
+      const applicationArrayModel=await Application.findAll({
+        attributes:["application_id","createdAt","updatedAt","application_status","version_number"],
+        where:{[Op.and]:[where,{application_id:{[Op.gt]:+afterId}}]},
+        order:[["application_id","ASC"]],
+        limit:+limit,
+        include:[this.applicantInclude(personWhere),...this.applicationContentIncludes()]
       });
+      return dtoFactory.createApplicationArray(applicationArrayModel);
+    } catch (error) {
+      throw this.toDomainError("could not find applications.", error);
+    }
+  }
 
-      competenceProfiles.map(async profile=>{
-        const {person_id,competence_id,years_of_experience}=profile;
-        const updatedEntry=await CompetenceProfile.update({
-          years_of_experience
-        },{
-          where:{
-            person_id,
-            competence_id
-          },
-          transaction:t
-        });
-        return updatedEntry;
-      })
+  /**
+   * @param {Object} personWhere The where clause for the applicant, see createApplicationQuery.
+   * @return {Object} The include that loads the name and surname of the
+   *                  applicant, and leaves out applications whose applicant
+   *                  does not match.
+   */
+  applicantInclude(personWhere){
+    return {
+      model:Person,
+      attributes:["name","surname"],
+      required:true,
+      where:personWhere,
+    };
+  }
 
-      await Availability.bulkCreate(availabilities,{transaction:t});
-      t.commit();
-      Logger.logMessage("Application submitted successfully for user: \"" + username + "\"");
-      return "success";
+  /**
+   * Finds all applications submitted by a person, newest first.
+   *
+   * @param {number} person_id The id of the person.
+   * @return {Array} The applications, with their periods and competences.
+   *
+   * @throws Throws a "could not find applications" error if failed to find the applications.
+   */
+  async findApplicationsByPersonId(person_id){
+    try {
+      Validators.isPositiveInteger(person_id,"person_id");
+      const applicationArrayModel=await Application.findAll({
+        attributes:["application_id","createdAt","updatedAt","application_status","version_number"],
+        where:{
+          person_id
+        },
+        order:[["createdAt","DESC"],["application_id","DESC"]],
+        include:this.applicationContentIncludes()
+      });
+      return dtoFactory.createApplicationArray(applicationArrayModel);
     } catch (error) {
-      t.rollback();
-      throw new Error("Failed to submit application." + error.message);
+      throw this.toDomainError("could not find applications.", error);
     }
   }
 
   /**
-   * Finds all applications.
+   * Finds the competence profile of a person, every competence the person
+   * has applied with and the latest years of experience.
    *
-   * @return {Object} All applications.
+   * @param {number} person_id The id of the person.
+   * @return {Array} The competence profiles, with the translations of the competences.
    *
-   * @throws Throws a "could not find all applications." error if failed to find all applications.
+   * @throws Throws a "could not find competence profiles" error if failed to find the profiles.
    */
-  async findAllApplications(){
+  async findCompetenceProfilesByPersonId(person_id){
     try {
-      const applicationArrayModel = await Availability.findAll({
-        attributes:["availability_id","from_date","to_date","createdAt","application_status","version_number"],
+      Validators.isPositiveInteger(person_id,"person_id");
+      const competenceProfileArrayModel=await CompetenceProfile.findAll({
+        where:{
+          person_id
+        },
+        order:[["competence_id","ASC"]],
         include:{
-          model:Person,
-          attributes:["name","surname"],
+          model:Competence,
           required:true,
           include:{
-            model:CompetenceProfile,
-            attributes:["years_of_experience"],
-            required:false,
-            include:{
-              model:Competence,
-              required:true,
-              include:{
-                model:CompetenceTranslation,
-                required:true,
-                separate:true,
-                attributes:["language", "translation"],
-              },
-            }
-          }
+            model:CompetenceTranslation,
+            required:true,
+            separate:true,
+            attributes:["language", "translation"],
+          },
         }
       });
-      return dtoFactory.createApplicationArray(applicationArrayModel);
+      return competenceProfileArrayModel.map(competenceProfileModel=>dtoFactory.createCompetenceProfileDto(competenceProfileModel));
     } catch (error) {
-      throw new Error("could not find all applications." + error.message);
+      throw this.toDomainError("could not find competence profiles.", error);
     }
   }
 
+  /**
+   * The includes that load the periods and competences of applications,
+   * with the translations of the competences.
+   *
+   * @return {Array} The sequelize include options.
+   */
+  applicationContentIncludes(){
+    return [{
+      model:Availability,
+      attributes:["availability_id","application_id","from_date","to_date"],
+      separate:true,
+    },{
+      model:ApplicationCompetence,
+      attributes:["application_competence_id","application_id","competence_id","years_of_experience"],
+      separate:true,
+      include:{
+        model:Competence,
+        required:true,
+        include:{
+          model:CompetenceTranslation,
+          required:true,
+          separate:true,
+          attributes:["language", "translation"],
+        },
+      }
+    }];
+  }
+
+  /**
+   * Translates an application filter, as described in findAllApplications,
+   * to sequelize query options.
+   *
+   * @param {Object} filter The filter, sort order and page.
+   * @return {Object} The where clauses for application and person, the order, limit and offset.
+   */
+  createApplicationQuery(filter){
+    const {status,competence_id,available_from,available_to,submitted_from,submitted_to,name,sort,order,limit,offset}=this.validateApplicationFilter(filter);
+
+    const conditions=[];
+    if(status){
+      conditions.push({application_status:status==="unhandled"?null:status});
+    }
+    if(submitted_from){
+      conditions.push({createdAt:{[Op.gte]:submitted_from}});
+    }
+    if(submitted_to){
+      conditions.push({createdAt:{[Op.lt]:DAO.dayAfter(submitted_to)}});
+    }
+    if(competence_id){
+      conditions.push({application_id:{[Op.in]:this.applicationIdSubquery(ApplicationCompetence,{
+        competence_id:+competence_id
+      })}});
+    }
+    if(available_from||available_to){
+      const overlap={};
+      available_from&&(overlap.to_date={[Op.gte]:available_from});
+      available_to&&(overlap.from_date={[Op.lte]:available_to});
+      conditions.push({application_id:{[Op.in]:this.applicationIdSubquery(Availability,overlap)}});
+    }
+
+    const personWhere={[Op.and]:(name?name.trim().split(/\s+/):[]).map(word=>({
+      [Op.or]:[
+        {name:{[Op.iLike]:`%${DAO.escapeLike(word)}%`}},
+        {surname:{[Op.iLike]:`%${DAO.escapeLike(word)}%`}}
+      ]
+    }))};
+
+    const direction=order.toUpperCase();
+    const sortColumn=sort==="name"||sort==="surname"?[Person,sort,direction]:[sort,direction];
+    return {
+      where:{[Op.and]:conditions},
+      personWhere,
+      order:[sortColumn,["application_id",direction]],
+      limit,
+      offset,
+    };
+  }
+
+  /**
+   * Creates a subquery selecting the application ids of the rows in a table
+   * belonging to applications that match a where clause.
+   *
+   * @param {Model} model The model of the table, which must have an application_id column.
+   * @param {Object} where The where clause.
+   * @return {Literal} The subquery, usable with Op.in.
+   */
+  applicationIdSubquery(model,where){
+    const queryGenerator=this.database.getQueryInterface().queryGenerator;
+    const subquery=queryGenerator.selectQuery(model.getTableName(),{
+      attributes:["application_id"],
+      where,
+    },model).slice(0,-1);
+    return this.database.literal(`(${subquery})`);
+  }
+
   /**
    * Set password of person based on email.
    * @param  {string} email The person's email
@@ -363,46 +996,102 @@ class DAO {
       Validators.isStringNonZeroLength(password, 'password');
       Validators.isAlphanumericString(password, 'password');
       await Person.update({
-        password: password,
+        password: await PasswordHasher.hashPassword(password),
       },{
         where:{
           email: email,
         }
       });
     } catch (error) {
-      throw new Error("Could not set user password" + error.message);
+      throw this.toDomainError("Could not set user password", error);
     }
 
   }
 
   /**
-   * Updates the application status of a specified availability.
+   * Updates the application status of a specified application, and records
+   * the change in the application status history. Both are written in the
+   * same transaction.
    *
-   * @param {number} availability_id The availability id.
+   * @param {number} application_id The application id.
    * @param {String} application_status The new status for the application.
    * @param {number} version_number The version number for the status field.
+   * @param {number} person_id The id of the recruiter changing the status.
+   * @param {String} reason Why the status is changed, optional.
    *
    * @throws Throws a "Could not update application" error if failed to update application.
    */
-  async updateApplication({availability_id,application_status,version_number}){
+  async updateApplication({application_id,application_status,version_number,person_id,reason}){
     try {
-      Validators.isPositiveInteger(availability_id,"availability_id");
+      Validators.isPositiveInteger(application_id,"application_id");
       Validators.applicationStatusIsValid(application_status,'application_status');
       Validators.isNumber(version_number,"version_number");
-      const currentVersion=await Availability.findByPk(availability_id,{attributes:["version_number"]});
-      Validators.versionNumberIsValid(currentVersion.version_number,version_number,"current version number","user version number");
-      const nextVersionNumber=+version_number+1;
-      await Availability.update({
-        application_status,
-        version_number:nextVersionNumber
-      },{
-        where:{
-          availability_id
+      Validators.isPositiveInteger(person_id,"person_id");
+      reason&&Validators.isString(reason,"reason");
+      await this.database.transaction(async transaction=>{
+        const current=await Application.findByPk(application_id,{
+          attributes:["application_id","application_status","version_number"],
+          lock:transaction.LOCK.UPDATE,
+          transaction
+        });
+        if(current===null){
+          throw new NotFoundError("There is no application with id " + application_id + ".");
         }
+        if(current.version_number!=version_number){
+          throw new ConflictError("The application has been changed by someone else, its version number is " + current.version_number + ".");
+        }
+        const nextVersionNumber=+version_number+1;
+        await Application.update({
+          application_status,
+          version_number:nextVersionNumber
+        },{
+          where:{
+            application_id
+          },
+          transaction
+        });
+        await ApplicationStatusHistory.create({
+          application_id,
+          person_id,
+          old_status:current.application_status,
+          new_status:application_status,
+          reason:reason||null
+        },{transaction});
       });
       return "success";
     } catch (error) {
-      throw new Error("Could not update application. " + error.message);
+      throw this.toDomainError("Could not update application. ", error);
+    }
+  }
+
+  /**
+   * Finds all changes of the status of an application, oldest first.
+   *
+   * @param {number} application_id The application id.
+   * @return {Array} The status changes, with the name of the recruiter who made each change,
+   *                 or null if there is no such application.
+   *
+   * @throws Throws a "Could not find application history" error if failed to find the history.
+   */
+  async findApplicationStatusHistory(application_id){
+    try {
+      Validators.isPositiveInteger(application_id,"application_id");
+      if(await Application.findByPk(application_id,{attributes:["application_id"]})===null){
+        return null;
+      }
+      const historyArrayModel=await ApplicationStatusHistory.findAll({
+        where:{
+          application_id
+        },
+        order:[["createdAt","ASC"],["history_id","ASC"]],
+        include:{
+          model:Person,
+          attributes:["person_id","name","surname"],
+        }
+      });
+      return historyArrayModel.map(historyModel=>dtoFactory.createApplicationStatusHistoryDto(historyModel));
+    } catch (error) {
+      throw this.toDomainError("Could not find application history. ", error);
     }
   }
 
@@ -420,7 +1109,236 @@ class DAO {
       return dtoFactory.createCompetenceArray(competenceArrayModel);
     }
     catch(error){
-      throw new Error("Could not get competences" + error.message);
+      throw this.toDomainError("Could not get competences", error);
+    }
+  }
+
+  /**
+   * Searches for a competence with the specified id.
+   *
+   * @param {number} competence_id The id of the competence.
+   * @param {Transaction} transaction The transaction to search in, if any.
+   * @return {CompetenceDTO} The competence with all its translations, or null
+   *                         if there was no such competence.
+   *
+   * @throws Throws an exception if failed to search for the competence.
+   */
+  async findCompetenceById(competence_id, transaction){
+    try {
+      Validators.isPositiveInteger(competence_id,"competence_id");
+      const competenceModel=await Competence.findByPk(competence_id,{
+        include:{
+          model:CompetenceTranslation,
+          separate:true,
+          attributes:["translation_id","competence_id","language","translation"],
+        },
+        transaction
+      });
+      if(competenceModel===null){
+        return null;
+      }
+      return dtoFactory.createCompetenceDto(competenceModel);
+    } catch (error) {
+      throw this.toDomainError("Could not find competence. ", error);
+    }
+  }
+
+  /**
+   * Creates a new competence with its translations.
+   *
+   * @param {Array} translations The translations, [{language, translation}], at most one per language.
+   * @return {CompetenceDTO} The new competence.
+   *
+   * @throws Throws an exception if failed to create the competence.
+   */
+  async createCompetence(translations){
+    try {
+      this.validateCompetenceTranslations(translations);
+      const competence_id=await this.database.transaction(async transaction=>{
+        const competenceModel=await Competence.create({},{transaction});
+        await CompetenceTranslation.bulkCreate(translations.map(({language,translation})=>({
+          competence_id:competenceModel.competence_id,
+          language,
+          translation
+        })),{transaction});
+        return competenceModel.competence_id;
+      });
+      Logger.logMessage("Created competence with id: " + competence_id);
+      return this.findCompetenceById(competence_id);
+    } catch (error) {
+      throw this.toDomainError("Could not create competence. ", error);
+    }
+  }
+
+  /**
+   * Replaces all translations of a competence. Translations in languages
+   * that are not included are deleted.
+   *
+   * @param {number} competence_id The id of the competence.
+   * @param {Array} translations The translations, [{language, translation}], at most one per language.
+   * @return {CompetenceDTO} The updated competence, or null if there was no such competence.
+   *
+   * @throws Throws an exception if failed to update the competence.
+   */
+  async setCompetenceTranslations(competence_id, translations){
+    try {
+      Validators.isPositiveInteger(competence_id,"competence_id");
+      this.validateCompetenceTranslations(translations);
+      return await this.database.transaction(async transaction=>{
+        const competenceModel=await Competence.findByPk(competence_id,{transaction});
+        if(competenceModel===null){
+          return null;
+        }
+        await CompetenceTranslation.destroy({
+          where:{
+            competence_id,
+            language:{[Op.notIn]:translations.map(t=>t.language)}
+          },
+          transaction
+        });
+        for(const {language,translation} of translations){
+          await this.upsertCompetenceTranslation(competence_id,language,translation,transaction);
+        }
+        return this.findCompetenceById(competence_id,transaction);
+      });
+    } catch (error) {
+      throw this.toDomainError("Could not update competence. ", error);
+    }
+  }
+
+  /**
+   * Adds or replaces the translation of a competence in one language.
+   *
+   * @param {number} competence_id The id of the competence.
+   * @param {string} language The language of the translation.
+   * @param {string} translation The translated name.
+   * @return {CompetenceDTO} The updated competence, or null if there was no such competence.
+   *
+   * @throws Throws an exception if failed to update the translation.
+   */
+  async setCompetenceTranslation(competence_id, language, translation){
+    try {
+      Validators.isPositiveInteger(competence_id,"competence_id");
+      this.validateCompetenceTranslations([{language,translation}]);
+      return await this.database.transaction(async transaction=>{
+        const competenceModel=await Competence.findByPk(competence_id,{transaction});
+        if(competenceModel===null){
+          return null;
+        }
+        await this.upsertCompetenceTranslation(competence_id,language,translation,transaction);
+        return this.findCompetenceById(competence_id,transaction);
+      });
+    } catch (error) {
+      throw this.toDomainError("Could not update competence translation. ", error);
+    }
+  }
+
+  /**
+   * Deletes the translation of a competence in one language. The last
+   * translation of a competence can not be deleted.
+   *
+   * @param {number} competence_id The id of the competence.
+   * @param {string} language The language of the translation.
+   * @return {string} "success", or null if there was no such translation.
+   *
+   * @throws Throws an exception if failed to delete the translation, or if it is the last one.
+   */
+  async deleteCompetenceTranslation(competence_id, language){
+    try {
+      Validators.isPositiveInteger(competence_id,"competence_id");
+      Validators.isAlphanumericString(language,"language");
+      return await this.database.transaction(async transaction=>{
+        const translationCount=await CompetenceTranslation.count({
+          where:{competence_id},
+          transaction
+        });
+        const deletedRows=await CompetenceTranslation.destroy({
+          where:{competence_id,language},
+          transaction
+        });
+        if(deletedRows===0){
+          return null;
+        }
+        if(translationCount-deletedRows<1){
+          throw new ConflictError("The last translation of a competence can not be deleted.");
+        }
+        return "success";
+      });
+    } catch (error) {
+      throw this.toDomainError("Could not delete competence translation. ", error);
+    }
+  }
+
+  /**
+   * Checks if a competence is part of any competence profile or application.
+   *
+   * @param {number} competence_id The id of the competence.
+   * @param {Transaction} transaction The transaction to search in, if any.
+   * @return {boolean} true if the competence is in use.
+   *
+   * @throws Throws an exception if failed to search for uses of the competence.
+   */
+  async isCompetenceInUse(competence_id, transaction){
+    try {
+      Validators.isPositiveInteger(competence_id,"competence_id");
+      const profileCount=await CompetenceProfile.count({where:{competence_id},transaction});
+      const applicationCount=await ApplicationCompetence.count({where:{competence_id},transaction});
+      return profileCount+applicationCount>0;
+    } catch (error) {
+      throw this.toDomainError("Could not check if competence is in use. ", error);
+    }
+  }
+
+  /**
+   * Deletes a competence and its translations. A competence that is part of
+   * any competence profile or application can not be deleted.
+   *
+   * @param {number} competence_id The id of the competence.
+   * @return {string} "success", or null if there was no such competence.
+   *
+   * @throws Throws an exception if failed to delete the competence, or if it is in use.
+   */
+  async deleteCompetence(competence_id){
+    try {
+      Validators.isPositiveInteger(competence_id,"competence_id");
+      return await this.database.transaction(async transaction=>{
+        const competenceModel=await Competence.findByPk(competence_id,{
+          lock:transaction.LOCK.UPDATE,
+          transaction
+        });
+        if(competenceModel===null){
+          return null;
+        }
+        if(await this.isCompetenceInUse(competence_id,transaction)){
+          throw new ConflictError("The competence is used by applicants and can not be deleted.");
+        }
+        await CompetenceTranslation.destroy({where:{competence_id},transaction});
+        await competenceModel.destroy({transaction});
+        Logger.logMessage("Deleted competence with id: " + competence_id);
+        return "success";
+      });
+    } catch (error) {
+      throw this.toDomainError("Could not delete competence. ", error);
+    }
+  }
+
+  /**
+   * Adds or replaces the translation of a competence in one language.
+   *
+   * @param {number} competence_id The id of the competence.
+   * @param {string} language The language of the translation.
+   * @param {string} translation The translated name.
+   * @param {Transaction} transaction The transaction to write in.
+   */
+  async upsertCompetenceTranslation(competence_id, language, translation, transaction){
+    const [updatedRows]=await CompetenceTranslation.update({
+      translation
+    },{
+      where:{competence_id,language},
+      transaction
+    });
+    if(updatedRows===0){
+      await CompetenceTranslation.create({competence_id,language,translation},{transaction});
     }
   }
 }
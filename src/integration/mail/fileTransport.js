@@ -0,0 +1,36 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Writes emails as JSON files to the directory MAIL_OUTBOX_DIR, by default
+ * "outbox" in the project root, instead of sending them. Used in local
+ * development and tests.
+ */
+class FileTransport {
+  /**
+   * Creates a new instance.
+   *
+   * @param {string} directory The outbox directory, overrides MAIL_OUTBOX_DIR.
+   */
+  constructor(directory) {
+    this.directory = directory || process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', '..', '..', 'outbox'); // eslint-disable-line
+  }
+
+  /**
+   * Writes an email to a new file in the outbox directory.
+   *
+   * @param {object} message The email, {from, to, subject, text, html}.
+   * @throws Throws an exception if the file could not be written.
+   */
+  async send(message) {
+    await fs.promises.mkdir(this.directory, {recursive: true});
+    const date = new Date();
+    const fileName = date.toISOString().replace(/[:.]/g, '-') + '-' + crypto.randomBytes(4).toString('hex') + '.json';
+    await fs.promises.writeFile(path.join(this.directory, fileName), JSON.stringify({...message, date: date}, null, 2));
+  }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,87 @@
+'use strict';
+
+const SmtpTransport = require('./smtpTransport');
+const FileTransport = require('./fileTransport');
+
+/**
+ * Sends emails rendered from the templates in the templates directory. The
+ * emails are delivered by the transport named by MAIL_TRANSPORT, "smtp" to
+ * send them with an SMTP server or "file" (default) to write them to an outbox
+ * directory, which is meant for local development and tests. In production
+ * the emails must be sent with SMTP, see configuredTransport.
+ */
+class Mailer {
+  /**
+   * Creates a new instance with the transport named by MAIL_TRANSPORT.
+   *
+   * @param {object} transport The transport to use instead of the configured
+   *                           one, any object with an async send(message) method.
+   */
+  constructor(transport) {
+    this.transport = transport || Mailer.createTransport(Mailer.configuredTransport());
+    this.from = process.env.MAIL_FROM || 'no-reply@localhost';
+  }
+
+  /**
+   * The transports that can be chosen with MAIL_TRANSPORT.
+   */
+  static get TRANSPORTS() {
+    return {
+      smtp: SmtpTransport,
+      file: FileTransport,
+    };
+  }
+
+  /**
+   * Returns the name of the transport chosen by MAIL_TRANSPORT. Password reset
+   * links are only ever sent by email, so the server must not start in
+   * production with a transport that does not deliver the emails.
+   *
+   * @return {string} MAIL_TRANSPORT, or "file" if it is not set.
+   * @throws Throws an exception if NODE_ENV is production and MAIL_TRANSPORT
+   *         is not "smtp" or SMTP_HOST is not set.
+   */
+  static configuredTransport() {
+    const name = process.env.MAIL_TRANSPORT || 'file';
+    if (process.env.NODE_ENV === 'production' && (name !== 'smtp' || !process.env.SMTP_HOST)) {
+      throw new Error('Emails would not be delivered, MAIL_TRANSPORT must be "smtp" and SMTP_HOST must be set in production.');
+    }
+    return name;
+  }
+
+  /**
+   * Creates a transport.
+   *
+   * @param {string} name The name of the transport, a key of TRANSPORTS.
+   * @return {object} The transport.
+   * @throws Throws an exception if there is no transport with the specified name.
+   */
+  static createTransport(name) {
+    const Transport = Mailer.TRANSPORTS[name];
+    if (!Transport) {
+      throw new Error('Unknown mail transport: "' + name + '"');
+    }
+    return new Transport();
+  }
+
+  /**
+   * Renders a template and sends the result.
+   *
+   * @param {string} templateName The name of the template, a file in the templates directory.
+   * @param {string} to The recipient's email address.
+   * @param {object} data The values used by the template.
+   * @throws Throws an exception if the email could not be rendered or sent.
+   */
+  async send(templateName, to, data) {
+    const template = require('./templates/' + templateName);
+    await this.transport.send({
+      from: this.from,
+      to: to,
+      subject: template.subject(data),
+      text: template.text(data),
+      html: template.html(data),
+    });
+  }
+}
+
+module.exports = Mailer;
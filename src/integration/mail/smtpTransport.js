@@ -0,0 +1,37 @@
+'use strict';
+
+const nodemailer = require('nodemailer');
+
+/**
+ * Sends emails with the SMTP server configured by SMTP_HOST, SMTP_PORT
+ * (default 587), SMTP_SECURE ("true" for TLS from the start), SMTP_USER and
+ * SMTP_PASS.
+ */
+class SmtpTransport {
+  /**
+   * Creates a new instance. No connection is made until an email is sent.
+   */
+  constructor() {
+    this.transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587', 10),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+      } : undefined,
+    });
+  }
+
+  /**
+   * Sends an email.
+   *
+   * @param {object} message The email, {from, to, subject, text, html}.
+   * @throws Throws an exception if the SMTP server did not accept the email.
+   */
+  async send(message) {
+    await this.transporter.sendMail(message);
+  }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,28 @@
+'use strict';
+
+const escapeHtml = require('../../../util/escapeHtml');
+
+/*
+  Sent when a user has asked to reset the password.
+  data: {name, resetLink, validMinutes}
+*/
+
+module.exports = {
+  subject: () => 'Reset your password',
+
+  text: data => [
+    'Hi ' + data.name + ',',
+    '',
+    'Someone asked to reset the password of your account. Open this link to choose a new password:',
+    data.resetLink,
+    '',
+    'The link is valid for ' + data.validMinutes + ' minutes. If you did not ask for this, you can ignore this email.',
+  ].join('\n'),
+
+  html: data => [
+    '<p>Hi ' + escapeHtml(data.name) + ',</p>',
+    '<p>Someone asked to reset the password of your account. Open this link to choose a new password:</p>',
+    '<p><a href="' + escapeHtml(data.resetLink) + '">' + escapeHtml(data.resetLink) + '</a></p>',
+    '<p>The link is valid for ' + escapeHtml(data.validMinutes) + ' minutes. If you did not ask for this, you can ignore this email.</p>',
+  ].join('\n'),
+};
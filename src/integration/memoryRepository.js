@@ -0,0 +1,822 @@
+'use strict';
+
+const crypto = require('crypto');
+const Validators = require('../util/validators');
+const PasswordHasher = require('../util/passwordHasher');
+const Permissions = require('../util/permissions');
+const Logger = require('../util/logger');
+const {ValidationError,AuthError,NotFoundError,ConflictError} = require('../util/errors');
+const dtoFactory = require('../model/dtoFactory');
+const Repository = require('./repository');
+const {STANDARD_COMPETENCES} = require('./migration/seeds/002-competences');
+
+/*
+  Keeps the data in memory, in one array of rows per table of the database,
+  with the same columns, so that the rows can be turned into DTOs by
+  dtoFactory like sequelize models. The data is lost when the process ends.
+
+  Every operation awaits only before it changes anything, e.g. to hash a
+  password, and then checks and changes the rows without awaiting, so that
+  concurrent operations can not see half of a change, like the transactions
+  of DAO. Unique and foreign key constraints of the database are checked
+  the same way, with the same errors.
+*/
+
+/**
+ * The Repository that stores the data in memory, for running the server
+ * and the tests without a database. Choose it with REPOSITORY=memory.
+ */
+class MemoryRepository extends Repository {
+  /**
+   * Creates a new, empty instance. The default roles and competences are
+   * added by createTables.
+   */
+  constructor() {
+    super();
+    this.tables = {};
+    this.lastIds = {};
+    ['role', 'role_permission', 'person', 'competence', 'competence_translation', 'competence_profile',
+      'application', 'availability', 'application_competence', 'application_status_history', 'reset_token']
+        .forEach(table => this.tables[table] = []);
+  }
+
+  /**
+   * Adds the default roles and the standard competences, like the seeds of
+   * the database, see integration/migration/seeds.
+   */
+  async createTables() {
+    const roleNames = this.tables.role.map(role => role.name);
+    Object.keys(Permissions.DEFAULT_ROLES)
+        .filter(name => !roleNames.includes(name))
+        .forEach(name => this.insert('role', 'role_id', {name}));
+    if (this.tables.role_permission.length === 0) {
+      this.tables.role.forEach(role => (Permissions.DEFAULT_ROLES[role.name] || []).forEach(permission =>
+        this.tables.role_permission.push({role_id: role.role_id, permission})));
+    }
+    if (this.tables.competence.length === 0) {
+      STANDARD_COMPETENCES.forEach(translations => {
+        const {competence_id} = this.insert('competence', 'competence_id', {});
+        Object.entries(translations).forEach(([language, translation]) =>
+          this.insert('competence_translation', 'translation_id', {competence_id, language, translation}));
+      });
+    }
+  }
+
+  /**
+   * @return {boolean} false, the memory is always available.
+   */
+  isDatabaseDown() {
+    return false;
+  }
+
+  /**
+   * @return {boolean} true, the memory is always available.
+   */
+  async isDatabaseAvailable() {
+    return true;
+  }
+
+  /**
+   * Does nothing, there are no connections to close.
+   */
+  async close() {
+  }
+
+  /**
+   * Adds a row to a table, with the next id.
+   *
+   * @param {string} table The name of the table.
+   * @param {string} idColumn The name of the id column.
+   * @param {object} row The other columns.
+   * @return {object} The added row.
+   */
+  insert(table, idColumn, row) {
+    this.lastIds[table] = (this.lastIds[table] || 0) + 1;
+    const inserted = {[idColumn]: this.lastIds[table], ...row};
+    this.tables[table].push(inserted);
+    return inserted;
+  }
+
+  /**
+   * Compares ids, which may be numbers or numeric strings.
+   *
+   * @param {any} id An id.
+   * @param {any} otherId Another id.
+   * @return {boolean} true if the ids are the same.
+   */
+  static sameId(id, otherId) {
+    return id !== null && id !== undefined && String(id) === String(otherId);
+  }
+
+  /**
+   * @param {object} row A row.
+   * @param {Array} columns The columns to keep.
+   * @return {object} A copy of the row, with only the specified columns.
+   */
+  static pick(row, columns) {
+    const picked = {};
+    columns.forEach(column => picked[column] = row[column]);
+    return picked;
+  }
+
+  /**
+   * @param {string} message What the operation failed to do.
+   * @return {ConflictError} The error of a violated unique constraint.
+   */
+  static uniqueViolation(message) {
+    return new ConflictError(message.trim() + ' A value that must be unique is already taken.');
+  }
+
+  /**
+   * @param {string} message What the operation failed to do.
+   * @return {ValidationError} The error of a violated foreign key constraint.
+   */
+  static missingReference(message) {
+    return new ValidationError(message.trim() + ' A referenced entity does not exist.');
+  }
+
+  /**
+   * @param {any} role_id The id of a role.
+   * @return {object} The role, with its permissions, or null if there is no such role.
+   */
+  roleWithPermissions(role_id) {
+    const role = this.tables.role.find(row => MemoryRepository.sameId(row.role_id, role_id));
+    if (!role) {
+      return null;
+    }
+    return {
+      ...role,
+      role_permissions: this.tables.role_permission.filter(row => MemoryRepository.sameId(row.role_id, role_id)),
+    };
+  }
+
+  /**
+   * @param {object} person A person row.
+   * @return {object} The person's id, username, email and role, with its
+   *                  permissions, as stored in tokens.
+   */
+  authData(person) {
+    const {person_id, username, email, role_id} = person;
+    return {person_id, username, email, role_id, role: this.roleWithPermissions(role_id)};
+  }
+
+  /**
+   * @param {any} competence_id The id of a competence.
+   * @param {Array} columns The columns of the translations to include.
+   * @return {object} The competence, with its translations, or null if there
+   *                  is no such competence.
+   */
+  competenceWithTranslations(competence_id, columns = ['language', 'translation']) {
+    const competence = this.tables.competence.find(row => MemoryRepository.sameId(row.competence_id, competence_id));
+    if (!competence) {
+      return null;
+    }
+    return {
+      ...competence,
+      competence_translations: this.tables.competence_translation
+          .filter(row => MemoryRepository.sameId(row.competence_id, competence_id))
+          .map(row => MemoryRepository.pick(row, columns)),
+    };
+  }
+
+  /**
+   * @param {object} application An application row.
+   * @param {object} person The applicant's name and surname, if they shall be included.
+   * @return {object} The application, with its periods and competences.
+   */
+  applicationWithContent(application, person) {
+    const belongs = row => MemoryRepository.sameId(row.application_id, application.application_id);
+    return {
+      ...MemoryRepository.pick(application, ['application_id', 'createdAt', 'updatedAt', 'application_status', 'version_number']),
+      person,
+      availabilities: this.tables.availability.filter(belongs),
+      application_competences: this.tables.application_competence.filter(belongs).map(row => ({
+        ...row,
+        competence: this.competenceWithTranslations(row.competence_id),
+      })).filter(row => row.competence !== null),
+    };
+  }
+
+  /**
+   * Searches for a person by a column.
+   *
+   * @param {string} key The column.
+   * @param {any} param The value of the column.
+   * @return {PersonDTO} The person, or null if there was no such person.
+   */
+  async findPersonByParameter(key, param) {
+    try {
+      const person = this.tables.person.find(row => String(row[key]) === String(param));
+      return person ? dtoFactory.createPersonDto(person) : null;
+    } catch (error) {
+      throw this.toDomainError('could not find person.', error);
+    }
+  }
+
+  async findPersonById(id) {
+    Validators.isPositiveInteger(id, 'id');
+    return this.findPersonByParameter('person_id', id);
+  }
+
+  async findPersonByEmail(email) {
+    Validators.isEmailValid(email);
+    return this.findPersonByParameter('email', email);
+  }
+
+  async findPersonByUsername(username) {
+    Validators.isStringNonZeroLength(username, 'username');
+    Validators.isAlphanumericString(username, 'username');
+    return this.findPersonByParameter('username', username);
+  }
+
+  async findPersonIdByAuth(auth) {
+    try {
+      let person = null;
+      if (auth.username) {
+        person = await this.findPersonByUsername(auth.username);
+      } else if (auth.email) {
+        person = await this.findPersonByEmail(auth.email);
+      }
+      if (person === null) {
+        throw new NotFoundError('There is no such person.');
+      }
+      return person.person_id;
+    } catch (error) {
+      throw this.toDomainError('could not find person.', error);
+    }
+  }
+
+  /**
+   * @param {object} person A person, or the changed fields of a person.
+   * @param {any} person_id The id of the person, if it is changed.
+   * @return {boolean} true if another person has the username or email.
+   */
+  isUsernameOrEmailTaken(person, person_id) {
+    return this.tables.person.some(row => !MemoryRepository.sameId(row.person_id, person_id) &&
+      ((person.username !== undefined && row.username === person.username) ||
+       (person.email !== undefined && row.email === person.email)));
+  }
+
+  async savePerson(person) {
+    try {
+      this.validateNewPerson(person);
+      const password = await PasswordHasher.hashPassword(person.password);
+      const role = this.tables.role.find(row => row.name === Permissions.DEFAULT_ROLE);
+      if (!role) {
+        throw new Error('The role "' + Permissions.DEFAULT_ROLE + '" does not exist.');
+      }
+      if (this.isUsernameOrEmailTaken(person)) {
+        throw MemoryRepository.uniqueViolation('Could not create person.');
+      }
+      const {name, surname, ssn, email, username} = person;
+      this.insert('person', 'person_id', {name, surname, ssn, email, password, username, role_id: role.role_id});
+      return 'success';
+    } catch (error) {
+      throw this.toDomainError('Could not create person.', error);
+    }
+  }
+
+  async updatePerson(person_id, person, resetTokenId) {
+    try {
+      Validators.isPositiveInteger(person_id, 'person_id');
+      this.validatePersonChanges(person);
+      resetTokenId && Validators.isStringNonZeroLength(resetTokenId, 'resetTokenId');
+      const password = person.password && await PasswordHasher.hashPassword(person.password);
+      const changes = {
+        name: person.name,
+        surname: person.surname,
+        ssn: person.ssn,
+        email: person.email,
+        password,
+        username: person.username,
+      };
+      Object.keys(changes).filter(column => changes[column] === undefined).forEach(column => delete changes[column]);
+      const resetToken = resetTokenId && this.outstandingResetTokens(person_id).find(row => row.token_id === resetTokenId);
+      if (resetTokenId && !resetToken) {
+        throw new AuthError('The reset token is used, revoked or expired.');
+      }
+      if (this.isUsernameOrEmailTaken(changes, person_id)) {
+        throw MemoryRepository.uniqueViolation('could not create person.');
+      }
+      if (resetToken) {
+        resetToken.used_at = new Date();
+      }
+      this.tables.person
+          .filter(row => MemoryRepository.sameId(row.person_id, person_id))
+          .forEach(row => Object.assign(row, changes, {updatedAt: new Date()}));
+      return 'success';
+    } catch (error) {
+      throw this.toDomainError('could not create person.', error);
+    }
+  }
+
+  async setPersonPassword(email, password) {
+    try {
+      Validators.isEmailValid(email);
+      Validators.isStringNonZeroLength(password, 'password');
+      Validators.isAlphanumericString(password, 'password');
+      const hash = await PasswordHasher.hashPassword(password);
+      this.tables.person.filter(row => row.email === email).forEach(row => row.password = hash);
+    } catch (error) {
+      throw this.toDomainError('Could not set user password', error);
+    }
+  }
+
+  async login(person) {
+    try {
+      Validators.isStringNonZeroLength(person.username, 'username');
+      Validators.isAlphanumericString(person.username, 'username');
+      Validators.isStringNonZeroLength(person.password, 'password');
+      Validators.isAlphanumericString(person.password, 'password');
+      const stored = this.tables.person.find(row => row.username === person.username);
+      if (!stored) {
+        // Hash anyway, so that unknown usernames take as long as wrong passwords.
+        await PasswordHasher.hashPassword(person.password);
+        return null;
+      }
+      if (!await PasswordHasher.verifyPassword(person.password, stored.password)) {
+        return null;
+      }
+      return dtoFactory.createPersonDto(this.authData(stored));
+    } catch (error) {
+      throw this.toDomainError('could not login.', error);
+    }
+  }
+
+  async findAuthDataByUsername(username) {
+    try {
+      Validators.isStringNonZeroLength(username, 'username');
+      Validators.isAlphanumericString(username, 'username');
+      const stored = this.tables.person.find(row => row.username === username);
+      return stored ? dtoFactory.createPersonDto(this.authData(stored)) : null;
+    } catch (error) {
+      throw this.toDomainError('could not find user.', error);
+    }
+  }
+
+  /**
+   * @param {any} person_id The id of a person.
+   * @return {Array} The reset token rows of the person that are not used,
+   *                 revoked or expired.
+   */
+  outstandingResetTokens(person_id) {
+    const now = new Date();
+    return this.tables.reset_token.filter(row => MemoryRepository.sameId(row.person_id, person_id) &&
+      row.used_at === null && row.revoked_at === null && row.expires_at > now);
+  }
+
+  async createResetToken(person_id, validMinutes) {
+    try {
+      Validators.isPositiveInteger(person_id, 'person_id');
+      Validators.isPositiveInteger(validMinutes, 'validMinutes');
+      if (!this.tables.person.some(row => MemoryRepository.sameId(row.person_id, person_id))) {
+        throw MemoryRepository.missingReference('Could not create reset token. ');
+      }
+      const now = new Date();
+      this.outstandingResetTokens(person_id).forEach(row => row.revoked_at = now);
+      const resetToken = {
+        token_id: crypto.randomUUID(),
+        person_id: +person_id,
+        expires_at: new Date(Date.now() + validMinutes * 60 * 1000),
+        used_at: null,
+        revoked_at: null,
+        createdAt: now,
+      };
+      this.tables.reset_token.push(resetToken);
+      return dtoFactory.createResetTokenDto(resetToken);
+    } catch (error) {
+      throw this.toDomainError('Could not create reset token. ', error);
+    }
+  }
+
+  async isResetTokenOutstanding(token_id) {
+    try {
+      Validators.isStringNonZeroLength(token_id, 'token_id');
+      const resetToken = this.tables.reset_token.find(row => row.token_id === token_id);
+      return Boolean(resetToken) && this.outstandingResetTokens(resetToken.person_id).includes(resetToken);
+    } catch (error) {
+      throw this.toDomainError('Could not check reset token. ', error);
+    }
+  }
+
+  async findOutstandingResetTokens(person_id) {
+    try {
+      Validators.isPositiveInteger(person_id, 'person_id');
+      return this.outstandingResetTokens(person_id)
+          .reverse()
+          .sort((resetToken, other) => other.createdAt - resetToken.createdAt)
+          .map(resetToken => dtoFactory.createResetTokenDto(resetToken));
+    } catch (error) {
+      throw this.toDomainError('Could not find reset tokens. ', error);
+    }
+  }
+
+  async revokeResetTokens(person_id, token_id) {
+    try {
+      Validators.isPositiveInteger(person_id, 'person_id');
+      token_id && Validators.isStringNonZeroLength(token_id, 'token_id');
+      const now = new Date();
+      const revoked = this.outstandingResetTokens(person_id).filter(row => !token_id || row.token_id === token_id);
+      revoked.forEach(row => row.revoked_at = now);
+      return revoked.length;
+    } catch (error) {
+      throw this.toDomainError('Could not revoke reset tokens. ', error);
+    }
+  }
+
+  async getAllRoles() {
+    try {
+      return this.tables.role
+          .map(role => this.roleWithPermissions(role.role_id))
+          .sort((role, other) => role.role_id - other.role_id)
+          .map(role => dtoFactory.createRoleDto(role));
+    } catch (error) {
+      throw this.toDomainError('Could not get roles. ', error);
+    }
+  }
+
+  async setRolePermissions(name, permissions) {
+    try {
+      Validators.isStringNonZeroLength(name, 'name');
+      Validators.isArray(permissions, 'permissions');
+      permissions.forEach(permission => Validators.isOneOf(permission, Permissions.ALL, 'permission'));
+      const role = this.tables.role.find(row => row.name === name) || this.insert('role', 'role_id', {name});
+      this.tables.role_permission = this.tables.role_permission.filter(row => !MemoryRepository.sameId(row.role_id, role.role_id));
+      [...new Set(permissions)].forEach(permission => this.tables.role_permission.push({role_id: role.role_id, permission}));
+      Logger.logMessage('Set permissions of role "' + name + '": ' + permissions.join(', '));
+      return dtoFactory.createRoleDto(this.roleWithPermissions(role.role_id));
+    } catch (error) {
+      throw this.toDomainError('Could not save role. ', error);
+    }
+  }
+
+  async assignRole(person_id, roleName) {
+    try {
+      Validators.isPositiveInteger(person_id, 'person_id');
+      Validators.isStringNonZeroLength(roleName, 'role');
+      const role = this.tables.role.find(row => row.name === roleName);
+      if (!role) {
+        throw new NotFoundError('The role "' + roleName + '" does not exist.');
+      }
+      const person = this.tables.person.find(row => MemoryRepository.sameId(row.person_id, person_id));
+      if (!person) {
+        return null;
+      }
+      person.role_id = role.role_id;
+      Logger.logMessage('Assigned role "' + roleName + '" to person with id: ' + person_id);
+      const {username, email, role_id} = person;
+      return dtoFactory.createPersonDto({username, email, role_id, role: this.roleWithPermissions(role_id)});
+    } catch (error) {
+      throw this.toDomainError('Could not assign role. ', error);
+    }
+  }
+
+  async submitApplication({username, competencies, periods}) {
+    try {
+      Validators.isStringNonZeroLength(username, 'username');
+      Validators.isAlphanumericString(username, 'username');
+      const {person_id} = await this.findPersonByUsername(username);
+      this.validateApplication(competencies, periods);
+      if (!competencies.every(({competence_id}) =>
+        this.tables.competence.some(row => MemoryRepository.sameId(row.competence_id, competence_id)))) {
+        throw MemoryRepository.missingReference('Failed to submit application.');
+      }
+
+      competencies.forEach(({competence_id, years_of_experience}) => {
+        const profile = this.tables.competence_profile.find(row => MemoryRepository.sameId(row.person_id, person_id) &&
+          MemoryRepository.sameId(row.competence_id, competence_id));
+        if (profile) {
+          profile.years_of_experience = years_of_experience;
+        } else {
+          this.insert('competence_profile', 'competence_profile_id', {person_id, competence_id: +competence_id, years_of_experience});
+        }
+      });
+      const now = new Date();
+      const {application_id} = this.insert('application', 'application_id', {
+        person_id,
+        application_status: null,
+        version_number: 0,
+        createdAt: now,
+        updatedAt: now,
+      });
+      competencies.forEach(({competence_id, years_of_experience}) => this.insert('application_competence',
+          'application_competence_id', {application_id, competence_id: +competence_id, years_of_experience}));
+      periods.forEach(({from_date, to_date}) => this.insert('availability', 'availability_id', {
+        person_id,
+        application_id,
+        from_date: new Date(from_date),
+        to_date: new Date(to_date),
+        createdAt: now,
+      }));
+      Logger.logMessage('Application submitted successfully for user: "' + username + '"');
+      return 'success';
+    } catch (error) {
+      throw this.toDomainError('Failed to submit application.', error);
+    }
+  }
+
+  async findAllApplications(filter = {}) {
+    try {
+      const validFilter = this.validateApplicationFilter(filter);
+      const {sort, order, limit, offset} = validFilter;
+      const matching = this.matchingApplications(validFilter);
+
+      const direction = order === 'desc' ? -1 : 1;
+      const sortValue = ({application, person}) => sort === 'name' || sort === 'surname' ? person[sort] : application[sort];
+      matching.sort((match, other) => direction * (MemoryRepository.compare(sortValue(match), sortValue(other)) ||
+        MemoryRepository.compare(match.application.application_id, other.application.application_id)));
+
+      return {
+        total: matching.length,
+        limit,
+        offset,
+        applications: this.applicationsWithApplicants(matching.slice(offset, offset + limit)),
+      };
+    } catch (error) {
+      throw this.toDomainError('could not find all applications.', error);
+    }
+  }
+
+  async findApplicationsAfter(filter, afterId, limit) {
+    try {
+      const validFilter = this.validateApplicationBatch(filter, afterId, limit);
+      const matching = this.matchingApplications(validFilter)
+          .filter(({application}) => application.application_id > +afterId)
+          .sort((match, other) => MemoryRepository.compare(match.application.application_id, other.application.application_id));
+      return this.applicationsWithApplicants(matching.slice(0, validFilter.limit));
+    } catch (error) {
+      throw this.toDomainError('could not find applications.', error);
+    }
+  }
+
+  /**
+   * @param {object} filter A filter returned by validateApplicationFilter.
+   * @return {Array} The applications that match the filter, unsorted, with
+   *                 their applicants, [{application, person}].
+   */
+  matchingApplications({status, competence_id, available_from, available_to, submitted_from, submitted_to, name}) {
+    const words = name ? name.trim().split(/\s+/).map(word => word.toLowerCase()) : [];
+    const contains = (value, word) => typeof value === 'string' && value.toLowerCase().includes(word);
+    return this.tables.application.map(application => ({
+      application,
+      person: this.tables.person.find(row => MemoryRepository.sameId(row.person_id, application.person_id)),
+    })).filter(({application, person}) => {
+      const belongs = row => MemoryRepository.sameId(row.application_id, application.application_id);
+      return person &&
+        (!status || application.application_status === (status === 'unhandled' ? null : status)) &&
+        (!submitted_from || application.createdAt >= new Date(submitted_from)) &&
+        (!submitted_to || application.createdAt < MemoryRepository.dayAfter(submitted_to)) &&
+        (!competence_id || this.tables.application_competence.some(row => belongs(row) &&
+          MemoryRepository.sameId(row.competence_id, competence_id))) &&
+        (!(available_from || available_to) || this.tables.availability.some(row => belongs(row) &&
+          (!available_from || row.to_date >= new Date(available_from)) &&
+          (!available_to || row.from_date <= new Date(available_to)))) &&
+        words.every(word => contains(person.name, word) || contains(person.surname, word));
+    });
+  }
+
+  /**
+   * @param {Array} matching Applications with their applicants, [{application, person}].
+   * @return {Array} The application DTOs, with their content and the name and
+   *                 surname of the applicant.
+   */
+  applicationsWithApplicants(matching) {
+    return dtoFactory.createApplicationArray(matching.map(({application, person}) =>
+      this.applicationWithContent(application, MemoryRepository.pick(person, ['name', 'surname']))));
+  }
+
+  /**
+   * Compares two values like the database sorts them in ascending order,
+   * where null comes last.
+   *
+   * @param {any} value A value.
+   * @param {any} other Another value.
+   * @return {number} Negative if value comes first, positive if other comes first, else 0.
+   */
+  static compare(value, other) {
+    const isNull = any => any === null || any === undefined;
+    if (isNull(value) || isNull(other)) {
+      return isNull(value) - isNull(other);
+    }
+    return value < other ? -1 : (value > other ? 1 : 0);
+  }
+
+  async findApplicationsByPersonId(person_id) {
+    try {
+      Validators.isPositiveInteger(person_id, 'person_id');
+      return dtoFactory.createApplicationArray(this.tables.application
+          .filter(row => MemoryRepository.sameId(row.person_id, person_id))
+          .sort((application, other) => -(MemoryRepository.compare(application.createdAt, other.createdAt) ||
+            MemoryRepository.compare(application.application_id, other.application_id)))
+          .map(application => this.applicationWithContent(application)));
+    } catch (error) {
+      throw this.toDomainError('could not find applications.', error);
+    }
+  }
+
+  async findCompetenceProfilesByPersonId(person_id) {
+    try {
+      Validators.isPositiveInteger(person_id, 'person_id');
+      return this.tables.competence_profile
+          .filter(row => MemoryRepository.sameId(row.person_id, person_id))
+          .sort((profile, other) => profile.competence_id - other.competence_id)
+          .map(profile => ({...profile, competence: this.competenceWithTranslations(profile.competence_id)}))
+          .filter(profile => profile.competence !== null)
+          .map(profile => dtoFactory.createCompetenceProfileDto(profile));
+    } catch (error) {
+      throw this.toDomainError('could not find competence profiles.', error);
+    }
+  }
+
+  async updateApplication({application_id, application_status, version_number, person_id, reason}) {
+    try {
+      Validators.isPositiveInteger(application_id, 'application_id');
+      Validators.applicationStatusIsValid(application_status, 'application_status');
+      Validators.isNumber(version_number, 'version_number');
+      Validators.isPositiveInteger(person_id, 'person_id');
+      reason && Validators.isString(reason, 'reason');
+      const current = this.tables.application.find(row => MemoryRepository.sameId(row.application_id, application_id));
+      if (!current) {
+        throw new NotFoundError('There is no application with id ' + application_id + '.');
+      }
+      if (current.version_number != version_number) {
+        throw new ConflictError('The application has been changed by someone else, its version number is ' + current.version_number + '.');
+      }
+      if (!this.tables.person.some(row => MemoryRepository.sameId(row.person_id, person_id))) {
+        throw MemoryRepository.missingReference('Could not update application. ');
+      }
+      const now = new Date();
+      this.insert('application_status_history', 'history_id', {
+        application_id: current.application_id,
+        person_id: +person_id,
+        old_status: current.application_status,
+        new_status: application_status,
+        reason: reason || null,
+        createdAt: now,
+      });
+      Object.assign(current, {application_status, version_number: +version_number + 1, updatedAt: now});
+      return 'success';
+    } catch (error) {
+      throw this.toDomainError('Could not update application. ', error);
+    }
+  }
+
+  async findApplicationStatusHistory(application_id) {
+    try {
+      Validators.isPositiveInteger(application_id, 'application_id');
+      if (!this.tables.application.some(row => MemoryRepository.sameId(row.application_id, application_id))) {
+        return null;
+      }
+      return this.tables.application_status_history
+          .filter(row => MemoryRepository.sameId(row.application_id, application_id))
+          .sort((change, other) => MemoryRepository.compare(change.createdAt, other.createdAt) || change.history_id - other.history_id)
+          .map(change => {
+            const person = this.tables.person.find(row => MemoryRepository.sameId(row.person_id, change.person_id));
+            return dtoFactory.createApplicationStatusHistoryDto({
+              ...change,
+              person: person && MemoryRepository.pick(person, ['person_id', 'name', 'surname']),
+            });
+          });
+    } catch (error) {
+      throw this.toDomainError('Could not find application history. ', error);
+    }
+  }
+
+  async getAllCompetences() {
+    try {
+      return dtoFactory.createCompetenceArray(this.tables.competence.map(competence =>
+        this.competenceWithTranslations(competence.competence_id)));
+    } catch (error) {
+      throw this.toDomainError('Could not get competences', error);
+    }
+  }
+
+  async findCompetenceById(competence_id) {
+    try {
+      Validators.isPositiveInteger(competence_id, 'competence_id');
+      const competence = this.competenceWithTranslations(competence_id, ['translation_id', 'competence_id', 'language', 'translation']);
+      return competence ? dtoFactory.createCompetenceDto(competence) : null;
+    } catch (error) {
+      throw this.toDomainError('Could not find competence. ', error);
+    }
+  }
+
+  async createCompetence(translations) {
+    try {
+      this.validateCompetenceTranslations(translations);
+      const {competence_id} = this.insert('competence', 'competence_id', {});
+      translations.forEach(({language, translation}) =>
+        this.insert('competence_translation', 'translation_id', {competence_id, language, translation}));
+      Logger.logMessage('Created competence with id: ' + competence_id);
+      return this.findCompetenceById(competence_id);
+    } catch (error) {
+      throw this.toDomainError('Could not create competence. ', error);
+    }
+  }
+
+  async setCompetenceTranslations(competence_id, translations) {
+    try {
+      Validators.isPositiveInteger(competence_id, 'competence_id');
+      this.validateCompetenceTranslations(translations);
+      if (!this.competenceWithTranslations(competence_id)) {
+        return null;
+      }
+      const languages = translations.map(t => t.language);
+      this.tables.competence_translation = this.tables.competence_translation.filter(row =>
+        !MemoryRepository.sameId(row.competence_id, competence_id) || languages.includes(row.language));
+      translations.forEach(({language, translation}) => this.upsertCompetenceTranslation(competence_id, language, translation));
+      return this.findCompetenceById(competence_id);
+    } catch (error) {
+      throw this.toDomainError('Could not update competence. ', error);
+    }
+  }
+
+  async setCompetenceTranslation(competence_id, language, translation) {
+    try {
+      Validators.isPositiveInteger(competence_id, 'competence_id');
+      this.validateCompetenceTranslations([{language, translation}]);
+      if (!this.competenceWithTranslations(competence_id)) {
+        return null;
+      }
+      this.upsertCompetenceTranslation(competence_id, language, translation);
+      return this.findCompetenceById(competence_id);
+    } catch (error) {
+      throw this.toDomainError('Could not update competence translation. ', error);
+    }
+  }
+
+  async deleteCompetenceTranslation(competence_id, language) {
+    try {
+      Validators.isPositiveInteger(competence_id, 'competence_id');
+      Validators.isAlphanumericString(language, 'language');
+      const translations = this.tables.competence_translation.filter(row => MemoryRepository.sameId(row.competence_id, competence_id));
+      const deleted = translations.find(row => row.language === language);
+      if (!deleted) {
+        return null;
+      }
+      if (translations.length === 1) {
+        throw new ConflictError('The last translation of a competence can not be deleted.');
+      }
+      this.tables.competence_translation = this.tables.competence_translation.filter(row => row !== deleted);
+      return 'success';
+    } catch (error) {
+      throw this.toDomainError('Could not delete competence translation. ', error);
+    }
+  }
+
+  async isCompetenceInUse(competence_id) {
+    try {
+      Validators.isPositiveInteger(competence_id, 'competence_id');
+      return this.usesCompetence(competence_id);
+    } catch (error) {
+      throw this.toDomainError('Could not check if competence is in use. ', error);
+    }
+  }
+
+  async deleteCompetence(competence_id) {
+    try {
+      Validators.isPositiveInteger(competence_id, 'competence_id');
+      if (!this.competenceWithTranslations(competence_id)) {
+        return null;
+      }
+      if (this.usesCompetence(competence_id)) {
+        throw new ConflictError('The competence is used by applicants and can not be deleted.');
+      }
+      const other = row => !MemoryRepository.sameId(row.competence_id, competence_id);
+      this.tables.competence_translation = this.tables.competence_translation.filter(other);
+      this.tables.competence = this.tables.competence.filter(other);
+      Logger.logMessage('Deleted competence with id: ' + competence_id);
+      return 'success';
+    } catch (error) {
+      throw this.toDomainError('Could not delete competence. ', error);
+    }
+  }
+
+  /**
+   * @param {number} competence_id The id of a competence.
+   * @return {boolean} true if the competence is in a competence profile or application.
+   */
+  usesCompetence(competence_id) {
+    const uses = row => MemoryRepository.sameId(row.competence_id, competence_id);
+    return this.tables.competence_profile.some(uses) || this.tables.application_competence.some(uses);
+  }
+
+  /**
+   * Adds or replaces the translation of a competence in one language.
+   *
+   * @param {number} competence_id The id of the competence.
+   * @param {string} language The language of the translation.
+   * @param {string} translation The translated name.
+   */
+  upsertCompetenceTranslation(competence_id, language, translation) {
+    const existing = this.tables.competence_translation.find(row =>
+      MemoryRepository.sameId(row.competence_id, competence_id) && row.language === language);
+    if (existing) {
+      existing.translation = translation;
+    } else {
+      this.insert('competence_translation', 'translation_id', {competence_id: +competence_id, language, translation});
+    }
+  }
+}
+
+module.exports = MemoryRepository;
@@ -0,0 +1,137 @@
+'use strict';
+
+/*
+  The schema as created by sequelize.sync() before migrations existed.
+  Tables that already exist are left as they are, so that this migration can
+  be applied to databases created by sync(). Migrations 002 and 003 bring
+  older tables up to date.
+*/
+
+/**
+ * @param {object} Sequelize The Sequelize module.
+ * @param {string} table The referenced table.
+ * @param {string} key The referenced column.
+ * @return {object} A nullable foreign key column, as created by belongsTo.
+ */
+function foreignKey(Sequelize, table, key) {
+  return {
+    type: Sequelize.BIGINT,
+    allowNull: true,
+    references: {model: table, key},
+    onDelete: 'SET NULL',
+    onUpdate: 'CASCADE',
+  };
+}
+
+/**
+ * @param {object} Sequelize The Sequelize module.
+ * @return {object} A BIGINT primary key with auto increment.
+ */
+function id(Sequelize) {
+  return {
+    type: Sequelize.BIGINT,
+    primaryKey: true,
+    autoIncrement: true,
+  };
+}
+
+/**
+ * @param {object} Sequelize The Sequelize module.
+ * @return {object} The tables, in the order they can be created.
+ */
+function tables(Sequelize) {
+  return {
+    role: {
+      role_id: id(Sequelize),
+      name: {type: Sequelize.STRING, allowNull: false, unique: true},
+    },
+    role_permission: {
+      role_id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        references: {model: 'role', key: 'role_id'},
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      permission: {type: Sequelize.STRING, primaryKey: true},
+    },
+    person: {
+      person_id: id(Sequelize),
+      name: {type: Sequelize.STRING, allowNull: false},
+      surname: {type: Sequelize.STRING, allowNull: false},
+      ssn: {type: Sequelize.STRING, allowNull: false},
+      email: {type: Sequelize.STRING, allowNull: false, unique: true},
+      password: {type: Sequelize.STRING, allowNull: false},
+      username: {type: Sequelize.STRING, allowNull: false, unique: true},
+      role_id: foreignKey(Sequelize, 'role', 'role_id'),
+    },
+    competence: {
+      competence_id: id(Sequelize),
+    },
+    competence_profile: {
+      competence_profile_id: id(Sequelize),
+      years_of_experience: {type: Sequelize.INTEGER, allowNull: false},
+      person_id: foreignKey(Sequelize, 'person', 'person_id'),
+      competence_id: foreignKey(Sequelize, 'competence', 'competence_id'),
+    },
+    competence_translation: {
+      translation_id: id(Sequelize),
+      language: {type: Sequelize.STRING, allowNull: false},
+      translation: {type: Sequelize.STRING, allowNull: false},
+      competence_id: foreignKey(Sequelize, 'competence', 'competence_id'),
+    },
+    application: {
+      application_id: id(Sequelize),
+      application_status: {type: Sequelize.STRING, allowNull: true},
+      version_number: {type: Sequelize.BIGINT, allowNull: false, defaultValue: 0},
+      createdAt: {type: Sequelize.DATE, allowNull: false},
+      updatedAt: {type: Sequelize.DATE, allowNull: false},
+      person_id: foreignKey(Sequelize, 'person', 'person_id'),
+    },
+    availability: {
+      availability_id: id(Sequelize),
+      from_date: {type: Sequelize.DATE, allowNull: false},
+      to_date: {type: Sequelize.DATE, allowNull: false},
+      createdAt: {type: Sequelize.DATE, allowNull: false},
+      person_id: foreignKey(Sequelize, 'person', 'person_id'),
+      application_id: foreignKey(Sequelize, 'application', 'application_id'),
+    },
+    application_competence: {
+      application_competence_id: id(Sequelize),
+      years_of_experience: {type: Sequelize.INTEGER, allowNull: false},
+      application_id: foreignKey(Sequelize, 'application', 'application_id'),
+      competence_id: foreignKey(Sequelize, 'competence', 'competence_id'),
+    },
+    application_status_history: {
+      history_id: id(Sequelize),
+      old_status: {type: Sequelize.STRING, allowNull: true},
+      new_status: {type: Sequelize.STRING, allowNull: true},
+      reason: {type: Sequelize.TEXT, allowNull: true},
+      createdAt: {type: Sequelize.DATE, allowNull: false},
+      application_id: foreignKey(Sequelize, 'application', 'application_id'),
+      person_id: foreignKey(Sequelize, 'person', 'person_id'),
+    },
+    reset_token: {
+      token_id: {type: Sequelize.UUID, primaryKey: true},
+      expires_at: {type: Sequelize.DATE, allowNull: false},
+      used_at: {type: Sequelize.DATE, allowNull: true},
+      revoked_at: {type: Sequelize.DATE, allowNull: true},
+      createdAt: {type: Sequelize.DATE, allowNull: false},
+      person_id: foreignKey(Sequelize, 'person', 'person_id'),
+    },
+  };
+}
+
+module.exports = {
+  async up({queryInterface, Sequelize, transaction}) {
+    for (const [table, attributes] of Object.entries(tables(Sequelize))) {
+      await queryInterface.createTable(table, attributes, {transaction});
+    }
+  },
+
+  async down({queryInterface, Sequelize, transaction}) {
+    for (const table of Object.keys(tables(Sequelize)).reverse()) {
+      await queryInterface.dropTable(table, {transaction});
+    }
+  },
+};
@@ -0,0 +1,30 @@
+'use strict';
+
+/*
+  Adds the updatedAt column to an application table created before it
+  existed. The submission date is used as the last change of existing
+  applications. Does nothing if the column already exists.
+*/
+
+module.exports = {
+  async up({queryInterface, Sequelize, transaction}) {
+    const columns = await queryInterface.describeTable('application', {transaction});
+    if (columns.updatedAt) {
+      return;
+    }
+    await queryInterface.addColumn('application', 'updatedAt', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    }, {transaction});
+    await queryInterface.bulkUpdate('application', {
+      updatedAt: Sequelize.col('createdAt'),
+    }, {}, {transaction});
+    await queryInterface.changeColumn('application', 'updatedAt', {
+      type: Sequelize.DATE,
+      allowNull: false,
+    }, {transaction});
+  },
+
+  // The column is part of the schema of migration 001, so it is kept.
+  async down() {},
+};
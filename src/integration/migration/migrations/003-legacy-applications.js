@@ -0,0 +1,63 @@
+'use strict';
+
+/*
+  Moves applications stored the old way, as an application_status and
+  version_number on each availability row, to the application table. Every
+  old availability row becomes an application of its own, keeping its
+  status, version number and submission date, with a snapshot of the
+  person's current competence profile. Does nothing if the availability
+  table has already been migrated, which is always the case for databases
+  created by migration 001.
+*/
+
+module.exports = {
+  async up({queryInterface, Sequelize, transaction}) {
+    const columns = await queryInterface.describeTable('availability', {transaction});
+    if (!columns.application_status) {
+      return;
+    }
+    if (!columns.application_id) {
+      await queryInterface.addColumn('availability', 'application_id', {
+        type: Sequelize.BIGINT,
+        allowNull: true,
+        references: {model: 'application', key: 'application_id'},
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE',
+      }, {transaction});
+    }
+    const legacyRows = await queryInterface.select(null, 'availability', {
+      where: {application_id: null},
+      transaction,
+    });
+    for (const row of legacyRows) {
+      const [application] = await queryInterface.bulkInsert('application', [{
+        person_id: row.person_id,
+        application_status: row.application_status,
+        version_number: row.version_number,
+        createdAt: row.createdAt,
+        updatedAt: row.createdAt,
+      }], {transaction, returning: true});
+      const competenceProfiles = await queryInterface.select(null, 'competence_profile', {
+        where: {person_id: row.person_id},
+        transaction,
+      });
+      if (competenceProfiles.length > 0) {
+        await queryInterface.bulkInsert('application_competence', competenceProfiles.map(profile => ({
+          application_id: application.application_id,
+          competence_id: profile.competence_id,
+          years_of_experience: profile.years_of_experience,
+        })), {transaction});
+      }
+      await queryInterface.bulkUpdate('availability', {
+        application_id: application.application_id,
+      }, {
+        availability_id: row.availability_id,
+      }, {transaction});
+    }
+    await queryInterface.removeColumn('availability', 'application_status', {transaction});
+    await queryInterface.removeColumn('availability', 'version_number', {transaction});
+  },
+
+  // The old layout is not restored, the applications stay in the application table.
+  async down() {},
+};
@@ -0,0 +1,47 @@
+'use strict';
+
+/*
+  Makes the competence profile hold at most one row per person and
+  competence, so that submitting an application can update the years of
+  experience with an upsert. Duplicate rows, which could be inserted before,
+  are deleted first, keeping the newest row of each person and competence.
+*/
+
+const INDEX_NAME = 'competence_profile_person_id_competence_id';
+
+module.exports = {
+  async up({queryInterface, Sequelize, transaction}) {
+    const profiles = await queryInterface.select(null, 'competence_profile', {
+      order: [['competence_profile_id', 'DESC']],
+      transaction,
+    });
+    const kept = new Set();
+    const duplicateIds = [];
+    profiles.forEach(profile => {
+      // The index allows any number of rows without a person or competence.
+      if (profile.person_id === null || profile.competence_id === null) {
+        return;
+      }
+      const key = profile.person_id + '/' + profile.competence_id;
+      if (kept.has(key)) {
+        duplicateIds.push(profile.competence_profile_id);
+      } else {
+        kept.add(key);
+      }
+    });
+    if (duplicateIds.length > 0) {
+      await queryInterface.bulkDelete('competence_profile', {
+        competence_profile_id: {[Sequelize.Op.in]: duplicateIds},
+      }, {transaction});
+    }
+    await queryInterface.addIndex('competence_profile', ['person_id', 'competence_id'], {
+      name: INDEX_NAME,
+      unique: true,
+      transaction,
+    });
+  },
+
+  async down({queryInterface, transaction}) {
+    await queryInterface.removeIndex('competence_profile', INDEX_NAME, {transaction});
+  },
+};
@@ -0,0 +1,240 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Sequelize = require('sequelize');
+const Logger = require('../../util/logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations'); // eslint-disable-line
+const SEEDS_DIR = path.join(__dirname, 'seeds'); // eslint-disable-line
+const STATE_TABLE = 'schema_migration';
+// Any number, the same for all servers, identifying the migration lock.
+const LOCK_ID = 1201017;
+// Settles when the last function passed to withLock in this process is done.
+let locked = Promise.resolve();
+
+/*
+  Migrations are the files in ./migrations, applied in the order of their
+  names, "001-initial-schema.js", "002-...". Each exports
+      async up({queryInterface, Sequelize, transaction})
+      async down({queryInterface, Sequelize, transaction})
+  where up changes the schema and down undoes the change. A migration must
+  never be edited once it has been applied somewhere, a new migration shall
+  be added instead. The names of applied migrations are stored in the
+  schema_migration table.
+
+  Seeds are the files in ./seeds, run in the order of their names. Each
+  exports async run({queryInterface, Sequelize, transaction}), which inserts
+  the data that every database shall have, such as the roles. Seeds are run
+  after every migration and must only insert what is missing.
+
+  Each migration, and all seeds together, run in a transaction holding a
+  PostgreSQL advisory lock, so several servers starting at once do not
+  apply the same migration twice.
+*/
+
+/**
+ * Applies and rolls back versioned database migrations, and runs seeds.
+ */
+class Migrator {
+  /**
+   * Creates a new instance.
+   *
+   * @param {Sequelize} database The database to migrate.
+   * @param {Array} migrations The migrations, [{name, up, down}], by default
+   *                           those in ./migrations.
+   * @param {Array} seeds The seeds, [{name, run}], by default those in ./seeds.
+   */
+  constructor(database, migrations = Migrator.load(MIGRATIONS_DIR), seeds = Migrator.load(SEEDS_DIR)) {
+    this.database = database;
+    this.queryInterface = database.getQueryInterface();
+    this.migrations = migrations;
+    this.seeds = seeds;
+  }
+
+  /**
+   * The name of the table storing which migrations are applied.
+   */
+  static get STATE_TABLE() {
+    return STATE_TABLE;
+  }
+
+  /**
+   * Loads the modules in a directory, sorted by file name.
+   *
+   * @param {string} dir The directory.
+   * @return {Array} The modules, each with its file name, without ".js", as name.
+   */
+  static load(dir) {
+    return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.js'))
+        .sort()
+        .map(file => ({name: path.basename(file, '.js'), ...require(path.join(dir, file))}));
+  }
+
+  /**
+   * Lists all migrations and when they were applied.
+   *
+   * @return {Array} [{name, appliedAt}], in order, where appliedAt is null
+   *                 for migrations that are not applied.
+   * @throws Throws an exception if the state could not be read.
+   */
+  async status() {
+    await this.createStateTable();
+    const applied = await this.appliedMigrations();
+    return this.migrations.map(migration => ({
+      name: migration.name,
+      appliedAt: applied.has(migration.name) ? applied.get(migration.name) : null,
+    }));
+  }
+
+  /**
+   * Applies the migrations that are not yet applied, in order.
+   *
+   * @param {string} target The name of the last migration to apply, or
+   *                        undefined to apply all.
+   * @return {Array} The names of the applied migrations.
+   * @throws Throws an exception if a migration failed. The failed migration
+   *         is rolled back, migrations applied before it are kept.
+   */
+  async up(target) {
+    const last = target === undefined ? this.migrations.length - 1 : this.indexOf(target);
+    await this.createStateTable();
+    const appliedNow = [];
+    for (const migration of this.migrations.slice(0, last + 1)) {
+      const wasApplied = await this.withLock(async transaction => {
+        const applied = await this.appliedMigrations(transaction);
+        if (applied.has(migration.name)) {
+          return false;
+        }
+        await migration.up(this.context(transaction));
+        await this.queryInterface.bulkInsert(STATE_TABLE, [{
+          name: migration.name,
+          applied_at: new Date(),
+        }], {transaction});
+        return true;
+      });
+      if (wasApplied) {
+        Logger.info('Applied migration', {migration: migration.name});
+        appliedNow.push(migration.name);
+      }
+    }
+    return appliedNow;
+  }
+
+  /**
+   * Rolls back applied migrations, the last one first.
+   *
+   * @param {string} target The name of the last migration to keep, "0" to
+   *                        roll back all migrations, or undefined to roll
+   *                        back only the last applied migration.
+   * @return {Array} The names of the rolled back migrations.
+   * @throws Throws an exception if a migration could not be rolled back. That
+   *         migration is still applied, those rolled back before it are not.
+   */
+  async down(target) {
+    const keep = target === undefined || target === '0' ? -1 : this.indexOf(target);
+    await this.createStateTable();
+    const rolledBack = [];
+    for (const migration of this.migrations.slice(keep + 1).reverse()) {
+      const wasRolledBack = await this.withLock(async transaction => {
+        const applied = await this.appliedMigrations(transaction);
+        if (!applied.has(migration.name)) {
+          return false;
+        }
+        await migration.down(this.context(transaction));
+        await this.queryInterface.bulkDelete(STATE_TABLE, {name: migration.name}, {transaction});
+        return true;
+      });
+      if (wasRolledBack) {
+        Logger.info('Rolled back migration', {migration: migration.name});
+        rolledBack.push(migration.name);
+        if (target === undefined) {
+          break;
+        }
+      }
+    }
+    return rolledBack;
+  }
+
+  /**
+   * Runs all seeds, in one transaction.
+   *
+   * @throws Throws an exception if a seed failed, nothing is inserted in that case.
+   */
+  async seed() {
+    await this.withLock(async transaction => {
+      for (const seed of this.seeds) {
+        await seed.run(this.context(transaction));
+      }
+    });
+  }
+
+  /**
+   * @param {string} name The name of a migration.
+   * @return {number} The index of the migration.
+   * @throws Throws an exception if there is no such migration.
+   */
+  indexOf(name) {
+    const index = this.migrations.findIndex(migration => migration.name === name);
+    if (index < 0) {
+      throw new Error('There is no migration named "' + name + '".');
+    }
+    return index;
+  }
+
+  /**
+   * @param {Transaction} transaction The transaction to run in.
+   * @return {object} The argument of up, down and run.
+   */
+  context(transaction) {
+    return {queryInterface: this.queryInterface, Sequelize, transaction};
+  }
+
+  /**
+   * Creates the table storing the applied migrations, if it does not exist.
+   */
+  async createStateTable() {
+    await this.queryInterface.createTable(STATE_TABLE, {
+      name: {
+        type: Sequelize.STRING,
+        primaryKey: true,
+      },
+      applied_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+  }
+
+  /**
+   * @param {Transaction} transaction The transaction to read in.
+   * @return {Map} The applied migrations, mapping names to when they were applied.
+   */
+  async appliedMigrations(transaction) {
+    const rows = await this.queryInterface.select(null, STATE_TABLE, {transaction});
+    return new Map(rows.map(row => [row.name, row.applied_at]));
+  }
+
+  /**
+   * Runs a function in a transaction, which on PostgreSQL first takes the
+   * migration lock. The lock is released when the transaction ends. Within
+   * this process the functions run one at a time, also without the lock.
+   *
+   * @param {function} fn Receives the transaction.
+   * @return {any} What the function returns.
+   */
+  async withLock(fn) {
+    const run = () => this.database.transaction(async transaction => {
+      if (this.database.getDialect() === 'postgres') {
+        await this.database.query('SELECT pg_advisory_xact_lock(' + LOCK_ID + ')', {transaction});
+      }
+      return fn(transaction);
+    });
+    const result = locked.then(run, run);
+    locked = result.catch(() => undefined);
+    return result;
+  }
+}
+
+module.exports = Migrator;
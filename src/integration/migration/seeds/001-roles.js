@@ -0,0 +1,34 @@
+'use strict';
+
+const Permissions = require('../../../util/permissions');
+
+/*
+  Creates the default roles, see Permissions.DEFAULT_ROLES, that do not
+  exist. The default permissions are only granted if no role has any
+  permissions yet, that is when the database is new or was created before
+  permissions existed, so that permissions changed later are kept.
+*/
+
+module.exports = {
+  async run({queryInterface, transaction}) {
+    const existing = await queryInterface.select(null, 'role', {transaction});
+    const existingNames = existing.map(role => role.name);
+    const missing = Object.keys(Permissions.DEFAULT_ROLES).filter(name => !existingNames.includes(name));
+    if (missing.length > 0) {
+      await queryInterface.bulkInsert('role', missing.map(name => ({name})), {transaction});
+    }
+    const permissions = await queryInterface.select(null, 'role_permission', {limit: 1, transaction});
+    if (permissions.length > 0) {
+      return;
+    }
+    const roles = await queryInterface.select(null, 'role', {transaction});
+    const rows = [];
+    roles.forEach(role => (Permissions.DEFAULT_ROLES[role.name] || []).forEach(permission => rows.push({
+      role_id: role.role_id,
+      permission,
+    })));
+    if (rows.length > 0) {
+      await queryInterface.bulkInsert('role_permission', rows, {transaction});
+    }
+  },
+};
@@ -0,0 +1,35 @@
+'use strict';
+
+/*
+  Creates the standard competences, with their names in Swedish and English,
+  if the database has no competences. Competences created, renamed or
+  deleted later by recruiters are kept as they are.
+*/
+
+const STANDARD_COMPETENCES = [
+  {sv: 'biljettförsäljning', en: 'ticket sales'},
+  {sv: 'lotteriförsäljning', en: 'lotteries'},
+  {sv: 'karuselldrift', en: 'roller coaster operation'},
+];
+
+module.exports = {
+  // Also added by MemoryRepository.
+  STANDARD_COMPETENCES,
+
+  async run({queryInterface, Sequelize, transaction}) {
+    const competences = await queryInterface.select(null, 'competence', {limit: 1, transaction});
+    if (competences.length > 0) {
+      return;
+    }
+    for (const translations of STANDARD_COMPETENCES) {
+      const [competence] = await queryInterface.bulkInsert('competence', [{
+        competence_id: Sequelize.literal('DEFAULT'),
+      }], {transaction, returning: true});
+      await queryInterface.bulkInsert('competence_translation', Object.entries(translations).map(([language, translation]) => ({
+        competence_id: competence.competence_id,
+        language,
+        translation,
+      })), {transaction});
+    }
+  },
+};
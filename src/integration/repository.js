@@ -0,0 +1,519 @@
+'use strict';
+
+const Validators = require('../util/validators');
+const {DomainError,ValidationError} = require('../util/errors');
+
+/**
+ * The operations on the stored persons, roles, reset tokens, applications
+ * and competences, which is all the controller may use of the integration
+ * layer. DAO stores the data in a database with sequelize, MemoryRepository
+ * stores it in memory. Which one is used is chosen by REPOSITORY, see
+ * RepositoryFactory.
+ *
+ * Every operation validates its arguments the same way in all
+ * implementations, with the checks below, and throws the errors in
+ * util/errors.js. The methods of this class throw, every implementation
+ * overrides all of them, with the parameters given in their docs.
+ */
+class Repository {
+  /**
+   * Prepares the storage, e.g. applies the database migrations, and adds the
+   * data that every installation shall have, such as the default roles.
+   *
+   * @throws Throws an UnavailableError if the storage could not be reached.
+   */
+  async createTables() {
+    throw this.notImplemented('createTables');
+  }
+
+  /**
+   * @return {boolean} true if the storage could not be reached at the last
+   *                   attempt, and has not answered since.
+   */
+  isDatabaseDown() {
+    throw this.notImplemented('isDatabaseDown');
+  }
+
+  /**
+   * @param {number} timeoutMs How long to wait for the storage, in milliseconds.
+   * @return {boolean} true if the storage answered in time.
+   */
+  async isDatabaseAvailable() {
+    throw this.notImplemented('isDatabaseAvailable');
+  }
+
+  /**
+   * Releases the storage, e.g. closes the database connections.
+   */
+  async close() {
+    throw this.notImplemented('close');
+  }
+
+  /**
+   * @param {number} id The id of the person.
+   * @return {PersonDTO} The person, or null if there is no such person.
+   */
+  async findPersonById() {
+    throw this.notImplemented('findPersonById');
+  }
+
+  /**
+   * @param {string} email The email of the person.
+   * @return {PersonDTO} The person, or null if there is no such person.
+   */
+  async findPersonByEmail() {
+    throw this.notImplemented('findPersonByEmail');
+  }
+
+  /**
+   * @param {string} username The username of the person.
+   * @return {PersonDTO} The person, or null if there is no such person.
+   */
+  async findPersonByUsername() {
+    throw this.notImplemented('findPersonByUsername');
+  }
+
+  /**
+   * @param {object} auth The authentication data, with username or email.
+   * @return {number} The id of the person.
+   * @throws Throws a NotFoundError if there is no such person.
+   */
+  async findPersonIdByAuth() {
+    throw this.notImplemented('findPersonIdByAuth');
+  }
+
+  /**
+   * Registers a person, with the default role and a hashed password.
+   *
+   * @param {object} person {name, surname, ssn, email, password, username}.
+   * @return {string} "success".
+   * @throws Throws a ConflictError if the username or email is taken.
+   */
+  async savePerson() {
+    throw this.notImplemented('savePerson');
+  }
+
+  /**
+   * Changes the specified fields of a person, and uses up the reset token
+   * authorizing the change, if any.
+   *
+   * @param {number} person_id The id of the person.
+   * @param {object} person The fields to change.
+   * @param {string} resetTokenId The id of the reset token, or undefined.
+   * @return {string} "success".
+   * @throws Throws an AuthError if the reset token is not outstanding.
+   */
+  async updatePerson() {
+    throw this.notImplemented('updatePerson');
+  }
+
+  /**
+   * @param {string} email The email of the person.
+   * @param {string} password The new password, which is stored hashed.
+   */
+  async setPersonPassword() {
+    throw this.notImplemented('setPersonPassword');
+  }
+
+  /**
+   * @param {object} person {username, password}.
+   * @return {PersonDTO} The person with role and permissions, or null if the
+   *                     username or password is wrong.
+   */
+  async login() {
+    throw this.notImplemented('login');
+  }
+
+  /**
+   * @param {string} username The username of the person.
+   * @return {PersonDTO} The person with role and permissions, or null if
+   *                     there is no such person.
+   */
+  async findAuthDataByUsername() {
+    throw this.notImplemented('findAuthDataByUsername');
+  }
+
+  /**
+   * Creates a reset token, and revokes the other outstanding reset tokens
+   * of the person.
+   *
+   * @param {number} person_id The id of the person.
+   * @param {number} validMinutes For how many minutes the token is valid.
+   * @return {ResetTokenDTO} The new reset token.
+   */
+  async createResetToken() {
+    throw this.notImplemented('createResetToken');
+  }
+
+  /**
+   * @param {string} token_id The id of the reset token.
+   * @return {boolean} true if the reset token is not used, revoked or expired.
+   */
+  async isResetTokenOutstanding() {
+    throw this.notImplemented('isResetTokenOutstanding');
+  }
+
+  /**
+   * @param {number} person_id The id of the person.
+   * @return {Array} The outstanding reset tokens of the person, newest first.
+   */
+  async findOutstandingResetTokens() {
+    throw this.notImplemented('findOutstandingResetTokens');
+  }
+
+  /**
+   * @param {number} person_id The id of the person.
+   * @param {string} token_id The reset token to revoke, or undefined for all.
+   * @return {number} The number of revoked reset tokens.
+   */
+  async revokeResetTokens() {
+    throw this.notImplemented('revokeResetTokens');
+  }
+
+  /**
+   * @return {Array} All roles, with their permissions.
+   */
+  async getAllRoles() {
+    throw this.notImplemented('getAllRoles');
+  }
+
+  /**
+   * Creates a role, or replaces the permissions of an existing role.
+   *
+   * @param {string} name The name of the role.
+   * @param {Array} permissions The names of the permissions, see util/permissions.js.
+   * @return {RoleDTO} The role, with its permissions.
+   */
+  async setRolePermissions() {
+    throw this.notImplemented('setRolePermissions');
+  }
+
+  /**
+   * @param {number} person_id The id of the person.
+   * @param {string} roleName The name of the role.
+   * @return {PersonDTO} The person's username, role and permissions, or null
+   *                     if there is no such person.
+   * @throws Throws a NotFoundError if there is no such role.
+   */
+  async assignRole() {
+    throw this.notImplemented('assignRole');
+  }
+
+  /**
+   * Stores an application, with its periods and competences, and updates
+   * the competence profile of the applicant.
+   *
+   * @param {object} application {username, competencies, periods}.
+   * @return {string} "success".
+   */
+  async submitApplication() {
+    throw this.notImplemented('submitApplication');
+  }
+
+  /**
+   * @param {object} filter The filter, sort order and page, see validateApplicationFilter.
+   * @return {object} {total, limit, offset, applications}, with the name and
+   *                  surname of each applicant.
+   */
+  async findAllApplications() {
+    throw this.notImplemented('findAllApplications');
+  }
+
+  /**
+   * Finds the applications matching a filter whose ids are greater than the
+   * specified id, in the order of their ids. Unlike pages with an offset,
+   * the batches do not move when applications are submitted or changed
+   * meanwhile, so going through all applications batch by batch, each one
+   * after the last id of the one before, skips or repeats none.
+   *
+   * @param {object} filter The filter, see validateApplicationFilter. The
+   *                        sort order and page are ignored.
+   * @param {number} afterId The id to start after, 0 for the first batch.
+   * @param {number} limit The largest number of applications to find, at most 100.
+   * @return {Array} The applications, with the name and surname of each applicant.
+   */
+  async findApplicationsAfter() {
+    throw this.notImplemented('findApplicationsAfter');
+  }
+
+  /**
+   * @param {number} person_id The id of the person.
+   * @return {Array} The applications of the person, newest first.
+   */
+  async findApplicationsByPersonId() {
+    throw this.notImplemented('findApplicationsByPersonId');
+  }
+
+  /**
+   * @param {number} person_id The id of the person.
+   * @return {Array} The competence profiles of the person, by competence id.
+   */
+  async findCompetenceProfilesByPersonId() {
+    throw this.notImplemented('findCompetenceProfilesByPersonId');
+  }
+
+  /**
+   * Changes the status of an application and records the change in its
+   * history.
+   *
+   * @param {object} change {application_id, application_status, version_number, person_id, reason}.
+   * @return {string} "success".
+   * @throws Throws a NotFoundError if there is no such application, and a
+   *         ConflictError if the version number is not the current one.
+   */
+  async updateApplication() {
+    throw this.notImplemented('updateApplication');
+  }
+
+  /**
+   * @param {number} application_id The id of the application.
+   * @return {Array} The status changes, oldest first, with the recruiter's
+   *                 name, or null if there is no such application.
+   */
+  async findApplicationStatusHistory() {
+    throw this.notImplemented('findApplicationStatusHistory');
+  }
+
+  /**
+   * @return {Array} All competences, with their translations.
+   */
+  async getAllCompetences() {
+    throw this.notImplemented('getAllCompetences');
+  }
+
+  /**
+   * @param {number} competence_id The id of the competence.
+   * @return {CompetenceDTO} The competence, or null if there is no such competence.
+   */
+  async findCompetenceById() {
+    throw this.notImplemented('findCompetenceById');
+  }
+
+  /**
+   * @param {Array} translations The translations, [{language, translation}].
+   * @return {CompetenceDTO} The new competence.
+   */
+  async createCompetence() {
+    throw this.notImplemented('createCompetence');
+  }
+
+  /**
+   * Replaces all translations of a competence.
+   *
+   * @param {number} competence_id The id of the competence.
+   * @param {Array} translations The translations, [{language, translation}].
+   * @return {CompetenceDTO} The competence, or null if there is no such competence.
+   */
+  async setCompetenceTranslations() {
+    throw this.notImplemented('setCompetenceTranslations');
+  }
+
+  /**
+   * @param {number} competence_id The id of the competence.
+   * @param {string} language The language of the translation.
+   * @param {string} translation The translated name.
+   * @return {CompetenceDTO} The competence, or null if there is no such competence.
+   */
+  async setCompetenceTranslation() {
+    throw this.notImplemented('setCompetenceTranslation');
+  }
+
+  /**
+   * @param {number} competence_id The id of the competence.
+   * @param {string} language The language of the translation.
+   * @return {string} "success", or null if there is no such translation.
+   * @throws Throws a ConflictError if it is the last translation.
+   */
+  async deleteCompetenceTranslation() {
+    throw this.notImplemented('deleteCompetenceTranslation');
+  }
+
+  /**
+   * @param {number} competence_id The id of the competence.
+   * @return {boolean} true if the competence is in a competence profile or application.
+   */
+  async isCompetenceInUse() {
+    throw this.notImplemented('isCompetenceInUse');
+  }
+
+  /**
+   * @param {number} competence_id The id of the competence.
+   * @return {string} "success", or null if there is no such competence.
+   * @throws Throws a ConflictError if the competence is in use.
+   */
+  async deleteCompetence() {
+    throw this.notImplemented('deleteCompetence');
+  }
+
+  /**
+   * A date filter such as submitted_to includes the whole of its last day,
+   * so submissions are compared with the start of the day after it.
+   *
+   * @param {string} date A date, "YYYY-MM-DD".
+   * @return {Date} The start of the day after the date, in UTC.
+   */
+  static dayAfter(date) {
+    const day = new Date(date);
+    day.setUTCDate(day.getUTCDate() + 1);
+    return day;
+  }
+
+  /**
+   * @param {string} method The name of a method.
+   * @return {Error} The error thrown by a method the implementation lacks.
+   */
+  notImplemented(method) {
+    return new Error(this.constructor.name + ' does not implement ' + method + '.');
+  }
+
+  /**
+   * Turns an error caught in a repository method into the error to throw.
+   * Domain errors are thrown as they are and failed validations become
+   * ValidationError, with the validator's message. Other errors are thrown
+   * as Error, with the specified message before the original message.
+   *
+   * @param {string} message What the method failed to do.
+   * @param {Error} error The caught error.
+   * @return {Error} The error to throw.
+   */
+  toDomainError(message, error) {
+    if (error instanceof DomainError) {
+      return error;
+    }
+    if (error.name === 'AssertionError') {
+      // assert.strict appends a diff of the compared values to the message.
+      return new ValidationError(error.generatedMessage ? 'Invalid value.' : error.message.split('\n\n')[0]);
+    }
+    return new Error(message + error.message);
+  }
+
+  /**
+   * Checks a person to register.
+   *
+   * @param {object} person {name, surname, ssn, email, password, username}.
+   * @throws {AssertionError} If a field is missing or invalid.
+   */
+  validateNewPerson(person) {
+    Validators.isStringNonZeroLength(person.name, 'name');
+    Validators.isAlphaString(person.name, 'name');
+    Validators.isStringNonZeroLength(person.surname, 'surname');
+    Validators.isAlphaString(person.surname, 'surname');
+    Validators.isStringRepresentingDate(person.ssn, 'ssn');
+    Validators.isStringNonZeroLength(person.password, 'password');
+    Validators.isAlphanumericString(person.password, 'password');
+    Validators.isEmailValid(person.email, 'email');
+    Validators.isStringNonZeroLength(person.username, 'username');
+    Validators.isAlphanumericString(person.username, 'username');
+  }
+
+  /**
+   * Checks the fields of a person that shall be changed.
+   *
+   * @param {object} person The fields to change, all optional.
+   * @throws {AssertionError} If a field is invalid.
+   */
+  validatePersonChanges(person) {
+    person.name && Validators.isStringNonZeroLength(person.name, 'name');
+    person.name && Validators.isAlphaString(person.name, 'name');
+    person.surname && Validators.isStringNonZeroLength(person.surname, 'surname');
+    person.surname && Validators.isAlphaString(person.surname, 'surname');
+    person.ssn && Validators.isStringRepresentingDate(person.ssn, 'ssn');
+    person.password && Validators.isStringNonZeroLength(person.password, 'password');
+    person.password && Validators.isAlphanumericString(person.password, 'password');
+    person.email && Validators.isEmailValid(person.email, 'email');
+    person.username && Validators.isStringNonZeroLength(person.username, 'username');
+    person.username && Validators.isAlphanumericString(person.username, 'username');
+  }
+
+  /**
+   * Checks the competences and periods of an application.
+   *
+   * @param {Array} competencies [{competence_id, years_of_experience}], at most one per competence.
+   * @param {Array} periods [{from_date, to_date}].
+   * @throws {AssertionError} If a competence or period is invalid, or a
+   *                          competence is included more than once.
+   */
+  validateApplication(competencies, periods) {
+    Validators.isArray(competencies, 'competencies');
+    Validators.isArray(periods, 'periods');
+    competencies.forEach(c => {
+      Validators.isNumber(c.competence_id, 'competence_id');
+      Validators.isNumber(c.years_of_experience, 'years_of_experience');
+    });
+    Validators.isUnique(competencies.map(c => +c.competence_id), 'competence_id');
+    periods.forEach(p => {
+      Validators.isStringRepresentingDate(p.from_date, 'from_date');
+      Validators.isStringRepresentingDate(p.to_date, 'to_date');
+      Validators.dateIsNotPastDate(p.from_date, p.to_date, 'from_date', 'to_date');
+    });
+  }
+
+  /**
+   * Checks an application filter, and fills in the defaults.
+   *
+   * @param {Object} filter The filter, sort order and page, all optional:
+   *   status: "accepted", "rejected" or "unhandled".
+   *   competence_id: Only applications submitted with this competence.
+   *   available_from, available_to: Only applications with a period overlapping this date range.
+   *   submitted_from, submitted_to: Only applications submitted within this date range, both days included.
+   *   name: Only applicants whose name or surname contains each word of this string.
+   *   sort: "createdAt", "name", "surname" or "application_status", default "createdAt".
+   *   order: "asc" or "desc", default "asc".
+   *   limit: The maximum number of applications to return, default 25, at most 100.
+   *   offset: The number of matching applications to skip, default 0.
+   * @return {Object} The filter, with sort, order, limit and offset always set,
+   *                  and limit and offset as numbers.
+   * @throws {AssertionError} If a part of the filter is invalid.
+   */
+  validateApplicationFilter({sort = 'createdAt', order = 'asc', limit = 25, offset = 0, ...filter}) {
+    const {status, competence_id, available_from, available_to, submitted_from, submitted_to, name} = filter;
+    status && Validators.isOneOf(status, ['accepted', 'rejected', 'unhandled'], 'status');
+    competence_id && Validators.isPositiveInteger(competence_id, 'competence_id');
+    available_from && Validators.isStringRepresentingDate(available_from, 'available_from');
+    available_to && Validators.isStringRepresentingDate(available_to, 'available_to');
+    submitted_from && Validators.isStringRepresentingDate(submitted_from, 'submitted_from');
+    submitted_to && Validators.isStringRepresentingDate(submitted_to, 'submitted_to');
+    name && Validators.isStringNonZeroLength(name, 'name');
+    Validators.isOneOf(sort, ['createdAt', 'name', 'surname', 'application_status'], 'sort');
+    Validators.isOneOf(order, ['asc', 'desc'], 'order');
+    Validators.isNumberBetween(limit, 1, 100, 'limit');
+    Validators.isNumberBetween(offset, 0, Number.MAX_SAFE_INTEGER, 'offset');
+    return {...filter, sort, order, limit: +limit, offset: +offset};
+  }
+
+  /**
+   * Checks the arguments of findApplicationsAfter.
+   *
+   * @param {object} filter The filter.
+   * @param {number} afterId The id to start after.
+   * @param {number} limit The largest number of applications.
+   * @return {object} The filter, as returned by validateApplicationFilter,
+   *                  with the limit and the default sort order.
+   * @throws {AssertionError} If a filter value, afterId or limit is invalid.
+   */
+  validateApplicationBatch(filter, afterId, limit) {
+    Validators.isNumberBetween(afterId, 0, Number.MAX_SAFE_INTEGER, 'afterId');
+    return this.validateApplicationFilter({...filter, sort: undefined, order: undefined, limit, offset: 0});
+  }
+
+  /**
+   * Checks a list of competence translations.
+   *
+   * @param {Array} translations The translations, [{language, translation}].
+   * @throws {AssertionError} If the list is empty, a translation is invalid
+   *                          or there is more than one translation in a language.
+   */
+  validateCompetenceTranslations(translations) {
+    Validators.isArray(translations, 'translations');
+    Validators.isNumberBetween(translations.length, 1, Number.MAX_SAFE_INTEGER, 'number of translations');
+    translations.forEach(({language, translation}) => {
+      Validators.isStringNonZeroLength(language, 'language');
+      Validators.isAlphanumericString(language, 'language');
+      Validators.isStringNonZeroLength(translation, 'translation');
+    });
+    const languages = translations.map(t => t.language);
+    Validators.isNumberBetween(new Set(languages).size, languages.length, languages.length, 'number of languages');
+  }
+}
+
+module.exports = Repository;
@@ -0,0 +1,39 @@
+'use strict';
+
+const DAO = require('./dao');
+const MemoryRepository = require('./memoryRepository');
+
+/**
+ * Creates the Repository chosen by configuration.
+ */
+class RepositoryFactory {
+  /**
+   * The implementations, by the value of REPOSITORY.
+   */
+  static get REPOSITORIES() {
+    return {
+      sequelize: DAO,
+      memory: MemoryRepository,
+    };
+  }
+
+  /**
+   * Creates the repository chosen by REPOSITORY: "sequelize" (default), which
+   * stores the data in the database, or "memory", which keeps it in memory
+   * and needs no database.
+   *
+   * @return {Repository} A new repository.
+   * @throws Throws an exception if REPOSITORY has another value.
+   */
+  static createRepository() {
+    const name = process.env.REPOSITORY || 'sequelize';
+    const Implementation = RepositoryFactory.REPOSITORIES[name];
+    if (!Implementation) {
+      throw new Error('Unknown REPOSITORY "' + name + '", use one of ' +
+        Object.keys(RepositoryFactory.REPOSITORIES).join(', ') + '.');
+    }
+    return new Implementation();
+  }
+}
+
+module.exports = RepositoryFactory;
@@ -0,0 +1,62 @@
+"use strict";
+const path=require("path");
+const APP_ROOT_DIR = path.join(__dirname, '..'); // eslint-disable-line
+
+if (process.env.NODE_ENV !== "production") {
+    require('dotenv-safe').config({
+    path: path.join(APP_ROOT_DIR, '.env'),
+    example: path.join(APP_ROOT_DIR, '.env.example'),
+    });
+}
+
+const DAO = require('./integration/dao');
+const Migrator = require('./integration/migration/migrator');
+
+const USAGE = `Usage: node src/migrate.js <command> [migration]
+  up [migration]    Applies all pending migrations, or those up to and including [migration]
+  down [migration]  Rolls back the last migration, or all after [migration], "0" for all
+  status            Lists the migrations and when they were applied
+  seed              Inserts the seed data that is missing`;
+
+/**
+ * Runs a migration command.
+ * @param {string} command up, down, status or seed.
+ * @param {string} migration The name of a migration, for up and down.
+ */
+async function run(command, migration){
+  const dao = new DAO();
+  const migrator = new Migrator(dao.database);
+  try {
+    switch (command) {
+      case "up": {
+        const applied = await migrator.up(migration);
+        console.log(applied.length === 0 ? "No pending migrations." : "Applied: " + applied.join(", "));
+        break;
+      }
+      case "down": {
+        const rolledBack = await migrator.down(migration);
+        console.log(rolledBack.length === 0 ? "No migrations to roll back." : "Rolled back: " + rolledBack.join(", "));
+        break;
+      }
+      case "status":
+        (await migrator.status()).forEach(({name, appliedAt}) => {
+          console.log((appliedAt ? new Date(appliedAt).toISOString() : "pending".padEnd(24)) + "  " + name);
+        });
+        break;
+      case "seed":
+        await migrator.seed();
+        console.log("Seeded.");
+        break;
+      default:
+        console.log(USAGE);
+        process.exitCode = 1;
+    }
+  } finally {
+    await dao.database.close();
+  }
+}
+
+run(process.argv[2], process.argv[3]).catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
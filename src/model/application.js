@@ -0,0 +1,63 @@
+'use strict';
+
+const Sequelize = require('sequelize');
+const Person=require('./person');
+
+/**
+ * An Application. One submission from a person, owning its availability
+ * periods and a snapshot of the competences it was submitted with. updatedAt
+ * is the last time the application status changed, or the submission date.
+ */
+class Application extends Sequelize.Model {
+  /**
+   * The name of the Application model.
+   */
+  static get APPLICATION_MODEL_NAME() {
+    return 'application';
+  }
+
+  /**
+   * Defines the Application entity.
+   *
+   * @param {Sequelize} sequelize The sequelize object.
+   * @return {Model} A sequelize model describing the Application entity.
+   */
+  static createModel(sequelize) {
+    Application.init(
+        {
+          application_id:{
+            type:Sequelize.BIGINT,
+            primaryKey:true,
+            autoIncrement:true,
+          },
+          application_status:{
+            type:Sequelize.STRING,
+            allowNull:true
+          },
+          version_number:{
+            type:Sequelize.BIGINT,
+            allowNull:false,
+            defaultValue:0
+          }
+        },
+        {
+          sequelize,
+          modelName: Application.APPLICATION_MODEL_NAME,
+          paranoid: false,
+          freezeTableName:true,
+          createdAt:true,
+          updatedAt:true,
+          deletedAt:false,
+        }
+    );
+    Application.belongsTo(Person,{
+      foreignKey:'person_id',
+    });
+    Person.hasMany(Application,{
+      foreignKey:'person_id',
+    });
+    return Application;
+  }
+}
+
+module.exports = Application;
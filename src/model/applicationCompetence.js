@@ -0,0 +1,67 @@
+'use strict';
+
+const Sequelize = require('sequelize');
+const Application=require('./application');
+const Competence=require('./competence');
+
+/**
+ * An ApplicationCompetence. A competence and years of experience as they were
+ * when the application was submitted, unaffected by later changes to the
+ * person's competence profile.
+ */
+class ApplicationCompetence extends Sequelize.Model {
+  /**
+   * The name of the ApplicationCompetence model.
+   */
+  static get APPLICATION_COMPETENCE_MODEL_NAME() {
+    return 'application_competence';
+  }
+
+  /**
+   * Defines the ApplicationCompetence entity.
+   *
+   * @param {Sequelize} sequelize The sequelize object.
+   * @return {Model} A sequelize model describing the ApplicationCompetence entity.
+   */
+  static createModel(sequelize) {
+    ApplicationCompetence.init(
+        {
+          application_competence_id:{
+            type:Sequelize.BIGINT,
+            primaryKey:true,
+            autoIncrement:true,
+          },
+          years_of_experience: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+          },
+        },
+        {
+          sequelize,
+          modelName: ApplicationCompetence.APPLICATION_COMPETENCE_MODEL_NAME,
+          paranoid: false,
+          freezeTableName:true,
+          createdAt:false,
+          updatedAt:false,
+          deletedAt:false,
+        }
+    );
+    ApplicationCompetence.belongsTo(Application,{
+      foreignKey:'application_id',
+    });
+    Application.hasMany(ApplicationCompetence,{
+      foreignKey:'application_id',
+    });
+
+    ApplicationCompetence.belongsTo(Competence,{
+      foreignKey:'competence_id',
+    });
+    Competence.hasMany(ApplicationCompetence,{
+      foreignKey:'competence_id',
+    });
+
+    return ApplicationCompetence;
+  }
+}
+
+module.exports = ApplicationCompetence;
@@ -0,0 +1,31 @@
+'use strict';
+
+const Validators = require('../util/validators');
+
+/**
+ * A competence of an application from the database.
+ */
+class ApplicationCompetenceDTO {
+  /**
+   * Creates a new instance.
+   *
+   * @param {number} application_competence_id The id of the application competence.
+   * @param {number} application_id The id of the application.
+   * @param {number} competence_id The id of the competence.
+   * @param {number} years_of_experience The years of experience for the competence when the application was submitted.
+   * @param {object} competence The competence object belonging to the application competence.
+   */
+  constructor(application_competence_id, application_id, competence_id, years_of_experience, competence) {
+    application_competence_id&&Validators.isPositiveInteger(application_competence_id, 'application_competence_id');
+    application_id&&Validators.isPositiveInteger(application_id, 'application_id');
+    competence_id&&Validators.isPositiveInteger(competence_id, 'competence_id');
+    competence&&Validators.isObject(competence,'competence');
+    this.application_competence_id = application_competence_id;
+    this.application_id=application_id;
+    this.competence_id=competence_id;
+    this.years_of_experience=years_of_experience;
+    this.competence=competence;
+  }
+}
+
+module.exports = ApplicationCompetenceDTO;
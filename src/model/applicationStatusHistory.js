@@ -0,0 +1,84 @@
+'use strict';
+
+const Sequelize = require('sequelize');
+const Application=require('./application');
+const Person=require('./person');
+
+/**
+ * An ApplicationStatusHistory entry. Records one change of the status of an
+ * application, who made it and why. Entries are append-only, they can not be
+ * updated or deleted.
+ */
+class ApplicationStatusHistory extends Sequelize.Model {
+  /**
+   * The name of the ApplicationStatusHistory model.
+   */
+  static get APPLICATION_STATUS_HISTORY_MODEL_NAME() {
+    return 'application_status_history';
+  }
+
+  /**
+   * Defines the ApplicationStatusHistory entity.
+   *
+   * @param {Sequelize} sequelize The sequelize object.
+   * @return {Model} A sequelize model describing the ApplicationStatusHistory entity.
+   */
+  static createModel(sequelize) {
+    const appendOnly=()=>{
+      throw new Error("Application status history can not be changed.");
+    };
+    ApplicationStatusHistory.init(
+        {
+          history_id:{
+            type:Sequelize.BIGINT,
+            primaryKey:true,
+            autoIncrement:true,
+          },
+          old_status:{
+            type:Sequelize.STRING,
+            allowNull:true
+          },
+          new_status:{
+            type:Sequelize.STRING,
+            allowNull:true
+          },
+          reason:{
+            type:Sequelize.TEXT,
+            allowNull:true
+          }
+        },
+        {
+          sequelize,
+          modelName: ApplicationStatusHistory.APPLICATION_STATUS_HISTORY_MODEL_NAME,
+          paranoid: false,
+          freezeTableName:true,
+          createdAt:true,
+          updatedAt:false,
+          deletedAt:false,
+          hooks:{
+            beforeUpdate:appendOnly,
+            beforeBulkUpdate:appendOnly,
+            beforeDestroy:appendOnly,
+            beforeBulkDestroy:appendOnly,
+          }
+        }
+    );
+    ApplicationStatusHistory.belongsTo(Application,{
+      foreignKey:'application_id',
+    });
+    Application.hasMany(ApplicationStatusHistory,{
+      foreignKey:'application_id',
+    });
+
+    ApplicationStatusHistory.belongsTo(Person,{
+      foreignKey:'person_id',
+    });
+    Person.hasMany(ApplicationStatusHistory,{
+      foreignKey:'person_id',
+    });
+
+    return ApplicationStatusHistory;
+  }
+}
+
+module.exports = ApplicationStatusHistory;
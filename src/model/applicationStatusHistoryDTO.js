@@ -0,0 +1,40 @@
+'use strict';
+
+const Validators = require('../util/validators');
+
+/**
+ * A change of the status of an application from the database.
+ */
+class ApplicationStatusHistoryDTO {
+  /**
+   * Creates a new instance.
+   *
+   * @param {number} history_id The id of the history entry.
+   * @param {number} application_id The id of the application.
+   * @param {number} person_id The id of the recruiter who changed the status.
+   * @param {string} old_status The status before the change.
+   * @param {string} new_status The status after the change.
+   * @param {string} reason Why the status was changed, if given.
+   * @param {string} createdAt When the status was changed.
+   * @param {object} person The recruiter who changed the status.
+   */
+  constructor(history_id, application_id, person_id, old_status, new_status, reason, createdAt, person) {
+    history_id&&Validators.isPositiveInteger(history_id, 'history_id');
+    application_id&&Validators.isPositiveInteger(application_id, 'application_id');
+    person_id&&Validators.isPositiveInteger(person_id, 'person_id');
+    old_status&&Validators.applicationStatusIsValid(old_status,'old_status');
+    new_status&&Validators.applicationStatusIsValid(new_status,'new_status');
+    reason&&Validators.isString(reason,'reason');
+    person&&Validators.isObject(person,'person');
+    this.history_id = history_id;
+    this.application_id=application_id;
+    this.person_id=person_id;
+    this.old_status=old_status;
+    this.new_status=new_status;
+    this.reason=reason;
+    this.createdAt=createdAt;
+    this.person=person;
+  }
+}
+
+module.exports = ApplicationStatusHistoryDTO;
@@ -2,9 +2,11 @@
 
 const Sequelize = require('sequelize');
 const Person=require('./person');
+const Application=require('./application');
 
 /**
- * An Availability.
+ * An Availability. A period of time during which a person is available, as
+ * part of an application.
  */
 class Availability extends Sequelize.Model {
   /**
@@ -36,14 +38,6 @@ class Availability extends Sequelize.Model {
             type:Sequelize.DATE,
             allowNull:false,
           },
-          application_status:{
-            type:Sequelize.STRING,
-            allowNull:true
-          },
-          version_number:{
-            type:Sequelize.BIGINT,
-            allowNull:false
-          }
         },
         {
           sequelize,
@@ -61,6 +55,12 @@ class Availability extends Sequelize.Model {
     Person.hasMany(Availability,{
       foreignKey:'person_id',
     });
+    Availability.belongsTo(Application,{
+      foreignKey:'application_id',
+    });
+    Application.hasMany(Availability,{
+      foreignKey:'application_id',
+    });
     return Availability;
   }
 }
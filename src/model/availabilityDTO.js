@@ -0,0 +1,28 @@
+'use strict';
+
+const Validators = require('../util/validators');
+
+/**
+ * An availability period from the database.
+ */
+class AvailabilityDTO {
+  /**
+   * Creates a new instance.
+   *
+   * @param {number} availability_id The id of the availability.
+   * @param {number} application_id The id of the application the availability belongs to.
+   * @param {string} from_date The starting point for the availability.
+   * @param {string} to_date The end point for the availability.
+   */
+  constructor(availability_id, application_id, from_date, to_date) {
+    availability_id&&Validators.isPositiveInteger(availability_id, 'availability_id');
+    application_id&&Validators.isPositiveInteger(application_id, 'application_id');
+    from_date&&to_date&&Validators.dateIsNotPastDate(from_date,to_date,"from_date","to_date");
+    this.availability_id = availability_id;
+    this.application_id=application_id;
+    this.from_date=from_date;
+    this.to_date=to_date;
+  }
+}
+
+module.exports = AvailabilityDTO;
@@ -11,12 +11,15 @@ class CompetenceDTO {
    *
    * @param {number} competence_id The id of the competence.
    * @param {Array} competence_translations The translations belonging to this competence.
+   * @param {string} name The name of this competence in the language chosen for the client.
    */
-  constructor(competence_id,competence_translations) {
+  constructor(competence_id,competence_translations,name) {
     competence_id&&Validators.isPositiveInteger(competence_id, 'competence_id');
     competence_translations&&Validators.isArray(competence_translations,'competence_translations');
+    name&&Validators.isString(name,'name');
     this.competence_id = competence_id;
     this.competence_translations=competence_translations;
+    this.name=name;
   }
 }
 
@@ -30,7 +30,7 @@ class CompetenceProfile extends Sequelize.Model {
             autoIncrement:true,
           },
           years_of_experience: {
-            type: Sequelize.NUMBER,
+            type: Sequelize.INTEGER,
             allowNull: false,
           },
         },
@@ -42,10 +42,11 @@ class CompetenceProfile extends Sequelize.Model {
           createdAt:false,
           updatedAt:false,
           deletedAt:false,
-          /*indexes:[{
+          // Created by migration 004, lets submitApplication upsert profiles.
+          indexes:[{
               unique: true,
               fields: ['person_id', 'competence_id']
-          }]*/
+          }]
         }
     );
     CompetenceProfile.belongsTo(Person,{
@@ -5,6 +5,12 @@ const CompetenceProfileDTO=require('./competenceProfileDTO');
 const CompetenceDTO = require('./competenceDTO');
 const ApplicationDTO=require('./applicationDTO');
 const CompetenceTranslationDTO=require('./competenceTranslationDTO');
+const AvailabilityDTO=require('./availabilityDTO');
+const ApplicationCompetenceDTO=require('./applicationCompetenceDTO');
+const ApplicationStatusHistoryDTO=require('./applicationStatusHistoryDTO');
+const ResetTokenDTO=require('./resetTokenDTO');
+const RoleDTO=require('./roleDTO');
+const LanguageNegotiator=require('../util/languageNegotiator');
 
 /**
  * This class is responsible for creating DTOs
@@ -26,7 +32,22 @@ class DtoFactory{
             personModel.password,
             personModel.role_id,
             personModel.username,
-            personModel.competence_profiles&&personModel.competence_profiles.map(competenceProfileModel=>this.createCompetenceProfileDto(competenceProfileModel))
+            personModel.competence_profiles&&personModel.competence_profiles.map(competenceProfileModel=>this.createCompetenceProfileDto(competenceProfileModel)),
+            personModel.role&&personModel.role.name,
+            personModel.role&&personModel.role.role_permissions&&personModel.role.role_permissions.map(rolePermissionModel=>rolePermissionModel.permission)
+        );
+    }
+
+    /**
+     * Creates a role DTO
+     * @param  {object} roleModel The model representing the role from the database.
+     * @return {object} The role DTO.
+     */
+    createRoleDto(roleModel) {
+        return new RoleDTO(
+            roleModel.role_id,
+            roleModel.name,
+            roleModel.role_permissions&&roleModel.role_permissions.map(rolePermissionModel=>rolePermissionModel.permission)
         );
     }
 
@@ -37,13 +58,75 @@ class DtoFactory{
      */
     createApplicationDto(applicationModel){
         return new ApplicationDTO(
-            applicationModel.availability_id,
-            applicationModel.from_date,
-            applicationModel.to_date,
+            applicationModel.application_id,
             applicationModel.createdAt,
+            applicationModel.updatedAt,
             applicationModel.application_status,
             applicationModel.version_number,
-            this.createPersonDto(applicationModel.person)
+            applicationModel.person&&this.createPersonDto(applicationModel.person),
+            applicationModel.availabilities&&applicationModel.availabilities.map(availabilityModel=>this.createAvailabilityDto(availabilityModel)),
+            applicationModel.application_competences&&applicationModel.application_competences.map(applicationCompetenceModel=>this.createApplicationCompetenceDto(applicationCompetenceModel))
+        );
+    }
+
+    /**
+     * Creates an availability DTO
+     * @param {object} availabilityModel The model representing an availability period.
+     * @return {object} The availability DTO.
+     */
+    createAvailabilityDto(availabilityModel){
+        return new AvailabilityDTO(
+            availabilityModel.availability_id,
+            availabilityModel.application_id,
+            availabilityModel.from_date,
+            availabilityModel.to_date
+        );
+    }
+
+    /**
+     * Creates an application competence DTO
+     * @param {object} applicationCompetenceModel The model representing a competence of an application.
+     * @return {object} The application competence DTO.
+     */
+    createApplicationCompetenceDto(applicationCompetenceModel){
+        return new ApplicationCompetenceDTO(
+            applicationCompetenceModel.application_competence_id,
+            applicationCompetenceModel.application_id,
+            applicationCompetenceModel.competence_id,
+            applicationCompetenceModel.years_of_experience,
+            applicationCompetenceModel.competence&&this.createCompetenceDto(applicationCompetenceModel.competence)
+        );
+    }
+
+    /**
+     * Creates an application status history DTO
+     * @param {object} historyModel The model representing a change of an application status.
+     * @return {object} The application status history DTO.
+     */
+    createApplicationStatusHistoryDto(historyModel){
+        return new ApplicationStatusHistoryDTO(
+            historyModel.history_id,
+            historyModel.application_id,
+            historyModel.person_id,
+            historyModel.old_status,
+            historyModel.new_status,
+            historyModel.reason,
+            historyModel.createdAt,
+            historyModel.person&&this.createPersonDto(historyModel.person)
+        );
+    }
+
+    /**
+     * Creates a reset token DTO
+     * @param {object} resetTokenModel The model representing a password reset token.
+     * @return {object} The reset token DTO.
+     */
+    createResetTokenDto(resetTokenModel){
+        return new ResetTokenDTO(
+            resetTokenModel.token_id,
+            resetTokenModel.person_id,
+            resetTokenModel.createdAt,
+            resetTokenModel.expires_at
         );
     }
 
@@ -83,6 +166,22 @@ class DtoFactory{
         );
     }
 
+    /**
+     * Creates a competence DTO with the name in the client's language.
+     * @param {object} competenceDto The competence DTO with all its translations.
+     * @param {object} language The client's language, {languages, includeTranslations}.
+     * @return {object} The competence DTO with a name, and with the translations
+     *                  only if includeTranslations is true.
+     */
+    createLocalizedCompetenceDto(competenceDto,language){
+        const translation=LanguageNegotiator.chooseTranslation(competenceDto.competence_translations,language.languages);
+        return new CompetenceDTO(
+            competenceDto.competence_id,
+            language.includeTranslations?competenceDto.competence_translations:undefined,
+            translation&&translation.translation
+        );
+    }
+
     /**
      * Creates a competence translation DTO
      * @param {object} competenceTranslationModel The model representing the competence translation from the database.
@@ -18,8 +18,10 @@ class PersonDTO {
    * @param {number} role_id The role id of the person
    * @param {string} username The username of the person.
    * @param {Array} competence_profiles The competence profiles belonging to the person.
+   * @param {string} role The name of the role of the person.
+   * @param {Array} permissions The names of the permissions the role of the person grants.
    */
-  constructor(person_id, name, surname, ssn, email, password, role_id, username,competence_profiles) {
+  constructor(person_id, name, surname, ssn, email, password, role_id, username,competence_profiles, role, permissions) {
     person_id&&Validators.isPositiveInteger(person_id, 'person_id');
     name&&Validators.isStringNonZeroLength(name, 'name');
     name&&Validators.isAlphanumericString(name, 'name');
@@ -32,6 +34,8 @@ class PersonDTO {
     username&&Validators.isStringNonZeroLength(username, 'username');
     username&&Validators.isAlphanumericString(username, 'username');
     competence_profiles&&Validators.isArray(competence_profiles,'competence_profiles');
+    role&&Validators.isStringNonZeroLength(role, 'role');
+    permissions&&Validators.isArray(permissions,'permissions');
     this.person_id = person_id;
     this.name=name;
     this.surname=surname;
@@ -41,6 +45,8 @@ class PersonDTO {
     this.role_id=role_id;
     this.username = username;
     this.competence_profiles=competence_profiles
+    this.role=role;
+    this.permissions=permissions;
   }
 }
 
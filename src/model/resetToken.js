@@ -0,0 +1,66 @@
+'use strict';
+
+const Sequelize = require('sequelize');
+const Person=require('./person');
+
+/**
+ * A ResetToken. The server-side record of a password reset link, which makes
+ * the link single-use. A reset token is outstanding until it is used, revoked
+ * or expired.
+ */
+class ResetToken extends Sequelize.Model {
+  /**
+   * The name of the ResetToken model.
+   */
+  static get RESET_TOKEN_MODEL_NAME() {
+    return 'reset_token';
+  }
+
+  /**
+   * Defines the ResetToken entity.
+   *
+   * @param {Sequelize} sequelize The sequelize object.
+   * @return {Model} A sequelize model describing the ResetToken entity.
+   */
+  static createModel(sequelize) {
+    ResetToken.init(
+        {
+          token_id:{
+            type:Sequelize.UUID,
+            primaryKey:true,
+            defaultValue:Sequelize.UUIDV4,
+          },
+          expires_at:{
+            type:Sequelize.DATE,
+            allowNull:false,
+          },
+          used_at:{
+            type:Sequelize.DATE,
+            allowNull:true,
+          },
+          revoked_at:{
+            type:Sequelize.DATE,
+            allowNull:true,
+          },
+        },
+        {
+          sequelize,
+          modelName: ResetToken.RESET_TOKEN_MODEL_NAME,
+          paranoid: false,
+          freezeTableName:true,
+          createdAt:true,
+          updatedAt:false,
+          deletedAt:false,
+        }
+    );
+    ResetToken.belongsTo(Person,{
+      foreignKey:'person_id',
+    });
+    Person.hasMany(ResetToken,{
+      foreignKey:'person_id',
+    });
+    return ResetToken;
+  }
+}
+
+module.exports = ResetToken;
@@ -0,0 +1,28 @@
+'use strict';
+
+const Validators = require('../util/validators');
+
+/**
+ * A password reset token from the database. Does not include the signed
+ * token itself, which is only sent by email.
+ */
+class ResetTokenDTO {
+  /**
+   * Creates a new instance.
+   *
+   * @param {string} token_id The unique id of the token.
+   * @param {number} person_id The id of the person the token resets the password of.
+   * @param {string} createdAt When the token was created.
+   * @param {string} expires_at When the token expires.
+   */
+  constructor(token_id, person_id, createdAt, expires_at) {
+    token_id&&Validators.isStringNonZeroLength(token_id, 'token_id');
+    person_id&&Validators.isPositiveInteger(person_id, 'person_id');
+    this.token_id = token_id;
+    this.person_id=person_id;
+    this.createdAt=createdAt;
+    this.expires_at=expires_at;
+  }
+}
+
+module.exports = ResetTokenDTO;
@@ -30,6 +30,7 @@ class Role extends Sequelize.Model {
           name:{
             type:Sequelize.STRING,
             allowNull:false,
+            unique:true,
           },
         },
         {
@@ -0,0 +1,26 @@
+'use strict';
+
+const Validators = require('../util/validators');
+
+/**
+ * A role from the database, with the permissions it grants.
+ */
+class RoleDTO {
+  /**
+   * Creates a new instance.
+   *
+   * @param {number} role_id The id of the role.
+   * @param {string} name The unique name of the role.
+   * @param {Array} permissions The names of the permissions the role grants.
+   */
+  constructor(role_id, name, permissions) {
+    role_id&&Validators.isPositiveInteger(role_id, 'role_id');
+    name&&Validators.isStringNonZeroLength(name, 'name');
+    permissions&&Validators.isArray(permissions, 'permissions');
+    this.role_id = role_id;
+    this.name=name;
+    this.permissions=permissions;
+  }
+}
+
+module.exports = RoleDTO;
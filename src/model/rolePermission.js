@@ -0,0 +1,56 @@
+'use strict';
+
+const Sequelize = require('sequelize');
+const Role=require('./role');
+
+/**
+ * A RolePermission. Grants a named permission, e.g. "applications:read",
+ * to everyone with a role.
+ */
+class RolePermission extends Sequelize.Model {
+  /**
+   * The name of the RolePermission model.
+   */
+  static get ROLE_PERMISSION_MODEL_NAME() {
+    return 'role_permission';
+  }
+
+  /**
+   * Defines the RolePermission entity.
+   *
+   * @param {Sequelize} sequelize The sequelize object.
+   * @return {Model} A sequelize model describing the RolePermission entity.
+   */
+  static createModel(sequelize) {
+    RolePermission.init(
+        {
+          role_id:{
+            type:Sequelize.BIGINT,
+            primaryKey:true,
+          },
+          permission:{
+            type:Sequelize.STRING,
+            primaryKey:true,
+          },
+        },
+        {
+          sequelize,
+          modelName: RolePermission.ROLE_PERMISSION_MODEL_NAME,
+          paranoid: false,
+          freezeTableName:true,
+          createdAt:false,
+          updatedAt:false,
+          deletedAt:false,
+        }
+    );
+    RolePermission.belongsTo(Role,{
+      foreignKey:'role_id',
+    });
+    Role.hasMany(RolePermission,{
+      foreignKey:'role_id',
+    });
+    return RolePermission;
+  }
+}
+
+module.exports = RolePermission;
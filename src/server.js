@@ -9,17 +9,31 @@ if (process.env.NODE_ENV !== "production") {
     });
 }
 
+// Refuses to start if the password reset emails would not be delivered.
+require("./integration/mail/mailer").configuredTransport();
+
 const bodyparser=require("body-parser");
 const express=require("express");
 const cors=require("cors");
 const app=express();
 
+// Heroku's router is a proxy, the client's IP address is in X-Forwarded-For.
+app.set("trust proxy", 1);
+
+const RequestContext = require('./api/requestContext');
+app.use(RequestContext.assignRequestId);
+app.use(RequestContext.logAccess);
+
 app.use(bodyparser.json());
 
+// After the body parser, whose callbacks would lose the log context.
+app.use(RequestContext.runWithRequestContext);
+
 const cookieParser = require('cookie-parser');
 app.use(cookieParser());
 
-app.use(cors());
+// Lets the React client read the request id, to include it in error reports.
+app.use(cors({exposedHeaders: ["X-Request-Id"]}));
 
 app.get("/",(req,res)=>{
     return res.send("Welcome");
@@ -29,9 +43,51 @@ const reqHandlerLoader = require('./api');
 reqHandlerLoader.loadHandlers(app);
 reqHandlerLoader.loadErrorHandlers(app);
 
+const Logger = require('./util/logger');
 const port=process.env.PORT||process.env.SERVER_PORT;
 const server=app.listen(port,()=>{
-    console.log(`Server is up at port: ${port}`);
+    Logger.info(`Server is up at port: ${port}`);
 });
 
+// How long requests in progress may take to finish when shutting down.
+const SHUTDOWN_TIMEOUT_MS=parseInt(process.env.SHUTDOWN_TIMEOUT_MS,10)||10000;
+
+/**
+ * Shuts down gracefully: /health/ready starts answering 503, no new
+ * connections are accepted, requests in progress are allowed to finish and
+ * the database connections are closed before the process exits.
+ * @param {string} signal The signal that asked for the shutdown.
+ */
+function shutdown(signal){
+    if(reqHandlerLoader.shuttingDown){
+        return;
+    }
+    Logger.info("Shutting down", {signal});
+    reqHandlerLoader.beginShutdown();
+    const forceTimer=setTimeout(()=>{
+        Logger.warn("Requests still in progress after " + SHUTDOWN_TIMEOUT_MS + " ms, closing their connections");
+        server.closeAllConnections();
+    },SHUTDOWN_TIMEOUT_MS);
+    forceTimer.unref();
+    // Keep-alive connections become idle when their last response is sent.
+    const idleTimer=setInterval(()=>server.closeIdleConnections(),100);
+    server.close(async ()=>{
+        clearInterval(idleTimer);
+        clearTimeout(forceTimer);
+        try {
+            await reqHandlerLoader.close();
+            Logger.info("Shut down");
+            await Logger.close();
+            process.exit(0);
+        } catch (error) {
+            Logger.logError(error);
+            await Logger.close();
+            process.exit(1);
+        }
+    });
+    server.closeIdleConnections();
+}
+process.on("SIGTERM",()=>shutdown("SIGTERM"));
+process.on("SIGINT",()=>shutdown("SIGINT"));
+
 module.exports=server;
@@ -0,0 +1,60 @@
+'use strict';
+
+/**
+ * Retries operations with exponential backoff.
+ */
+class Backoff {
+  /**
+   * The delays between attempts, DB_RETRY_INITIAL_MS (default 1000) doubled
+   * after every failed attempt, up to DB_RETRY_MAX_MS (default 30000).
+   *
+   * @return {object} {initialMs, maxMs}
+   */
+  static get DATABASE_DELAYS() {
+    return {
+      initialMs: parseInt(process.env.DB_RETRY_INITIAL_MS, 10) || 1000,
+      maxMs: parseInt(process.env.DB_RETRY_MAX_MS, 10) || 30000,
+    };
+  }
+
+  /**
+   * @param {number} attempt The number of failed attempts so far, 1 or more.
+   * @param {object} delays {initialMs, maxMs}
+   * @return {number} How long to wait before the next attempt, in milliseconds.
+   */
+  static delay(attempt, {initialMs, maxMs}) {
+    return Math.min(maxMs, initialMs * Math.pow(2, attempt - 1));
+  }
+
+  /**
+   * Calls an async function until it succeeds, waiting longer and longer
+   * between the attempts.
+   *
+   * @param {function} fn The function to call.
+   * @param {object} options {
+   *    delays: {initialMs, maxMs}, default DATABASE_DELAYS,
+   *    shouldRetry: Receives the error of a failed attempt, and returns false
+   *                 if there shall be no more attempts, default always true,
+   *    onRetry: Called with the error, the attempt and the delay before
+   *             waiting for the next attempt
+   * }
+   * @return {any} What the function returned when it succeeded.
+   * @throws Throws the error of the last attempt, if shouldRetry returned false.
+   */
+  static async retry(fn, {delays = Backoff.DATABASE_DELAYS, shouldRetry = () => true, onRetry = () => {}} = {}) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await fn();
+      } catch (error) {
+        if (!shouldRetry(error)) {
+          throw error;
+        }
+        const delay = Backoff.delay(attempt, delays);
+        onRetry(error, attempt, delay);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+}
+
+module.exports = Backoff;
@@ -0,0 +1,117 @@
+'use strict';
+
+/**
+ * An error that the client can be told about. Each kind of domain error has
+ * the HTTP status and the machine-readable code it is answered with, see
+ * api/error/errorResponseSender.js. Any other error is answered with 500.
+ */
+class DomainError extends Error {
+  /**
+   * Creates a new instance.
+   *
+   * @param {string} message Describes the error, sent to the client.
+   * @param {number} status The HTTP status of the response.
+   * @param {string} code A machine-readable code, e.g. "not_found".
+   */
+  constructor(message, status, code) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * The input is invalid. Answered with 400.
+ */
+class ValidationError extends DomainError {
+  /**
+   * Creates a new instance.
+   *
+   * @param {string} message Describes the error.
+   * @param {Array} errors The invalid fields, [{field, message}], if known.
+   */
+  constructor(message, errors) {
+    super(message, 400, 'validation_failed');
+    this.errors = errors;
+  }
+}
+
+/**
+ * The user is not logged in, the credentials are wrong or a token can not be
+ * used. Answered with 401.
+ */
+class AuthError extends DomainError {
+  /**
+   * Creates a new instance.
+   *
+   * @param {string} message Describes the error.
+   */
+  constructor(message) {
+    super(message, 401, 'unauthorized');
+  }
+}
+
+/**
+ * The requested entity does not exist. Answered with 404.
+ */
+class NotFoundError extends DomainError {
+  /**
+   * Creates a new instance.
+   *
+   * @param {string} message Describes the error.
+   */
+  constructor(message) {
+    super(message, 404, 'not_found');
+  }
+}
+
+/**
+ * The request conflicts with the current state, for example an outdated
+ * version number or a unique value that is taken. Answered with 409.
+ */
+class ConflictError extends DomainError {
+  /**
+   * Creates a new instance.
+   *
+   * @param {string} message Describes the error.
+   */
+  constructor(message) {
+    super(message, 409, 'conflict');
+  }
+}
+
+/**
+ * A service the server depends on, such as the database, can not be
+ * reached. Answered with 503, and a Retry-After header if it is known when
+ * to try again.
+ */
+class UnavailableError extends DomainError {
+  /**
+   * Creates a new instance.
+   *
+   * @param {string} message Describes the error.
+   * @param {number} retryAfter After how many seconds the client may try again, if known.
+   */
+  constructor(message, retryAfter) {
+    super(message, 503, 'unavailable');
+    this.retryAfter = retryAfter;
+  }
+
+  /**
+   * After how many seconds clients are told to try again when the database
+   * is down.
+   */
+  static get RETRY_AFTER_SECONDS() {
+    return 5;
+  }
+}
+
+module.exports = {
+  DomainError: DomainError,
+  ValidationError: ValidationError,
+  AuthError: AuthError,
+  NotFoundError: NotFoundError,
+  ConflictError: ConflictError,
+  UnavailableError: UnavailableError,
+};
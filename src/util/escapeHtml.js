@@ -0,0 +1,18 @@
+'use strict';
+
+/**
+ * Escapes a value for use in HTML, such as the body of an email.
+ *
+ * @param {any} value The value to escape.
+ * @return {string} The escaped value.
+ */
+function escapeHtml(value) {
+  return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+}
+
+module.exports = escapeHtml;
@@ -0,0 +1,93 @@
+'use strict';
+
+/**
+ * Chooses the language to answer in, from the lang parameter, the
+ * Accept-Language header and the fallback languages, and picks the matching
+ * translation of a competence name.
+ */
+class LanguageNegotiator {
+  /**
+   * The languages to fall back to, in order, when none of the languages asked
+   * for by the client is available. Configured with LANGUAGE_FALLBACK as a
+   * comma-separated list, default "sv,en".
+   * @return {Array} The fallback languages.
+   */
+  static get FALLBACK_LANGUAGES() {
+    return LanguageNegotiator.parseLanguageList(process.env.LANGUAGE_FALLBACK || 'sv,en');
+  }
+
+  /**
+   * Parses a comma-separated list of languages.
+   * @param  {string} list The list, e.g. "sv,en".
+   * @return {Array} The languages in lower case, in the same order.
+   */
+  static parseLanguageList(list) {
+    return list.split(',').map(language => language.trim().toLowerCase()).filter(language => language !== '');
+  }
+
+  /**
+   * Parses an Accept-Language header.
+   * @param  {string} header The header, e.g. "sv-SE,sv;q=0.9,en;q=0.8".
+   * @return {Array} The languages in lower case, most preferred first.
+   *                 Languages with q=0 and the wildcard "*" are left out.
+   */
+  static parseAcceptLanguage(header) {
+    if (typeof header !== 'string') {
+      return [];
+    }
+    return header.split(',')
+        .map((part, index) => {
+          const [language, ...params] = part.trim().split(';');
+          const qParam = params.map(p => p.trim()).find(p => p.startsWith('q='));
+          const q = qParam ? parseFloat(qParam.substring(2)) : 1;
+          return {language: language.trim().toLowerCase(), q: isNaN(q) ? 0 : q, index};
+        })
+        .filter(({language, q}) => language !== '' && language !== '*' && q > 0)
+        .sort((a, b) => b.q - a.q || a.index - b.index)
+        .map(({language}) => language);
+  }
+
+  /**
+   * Creates the list of languages to try, in order: the explicitly requested
+   * language, the languages of the Accept-Language header and the fallback
+   * languages. A regional language, e.g. "sv-se", is followed by its primary
+   * language, "sv".
+   * @param  {string} requestedLanguage The language asked for explicitly, if any.
+   * @param  {string} acceptLanguage The Accept-Language header, if any.
+   * @return {Array} The languages to try, without duplicates.
+   */
+  static preferredLanguages(requestedLanguage, acceptLanguage) {
+    const languages = [
+      ...(typeof requestedLanguage === 'string' ? LanguageNegotiator.parseLanguageList(requestedLanguage) : []),
+      ...LanguageNegotiator.parseAcceptLanguage(acceptLanguage),
+      ...LanguageNegotiator.FALLBACK_LANGUAGES,
+    ];
+    const withPrimary = [];
+    languages.forEach(language => {
+      withPrimary.push(language, language.split('-')[0]);
+    });
+    return [...new Set(withPrimary)];
+  }
+
+  /**
+   * Chooses the translation in the most preferred language. If there is no
+   * translation in any of the preferred languages, the first translation is chosen.
+   * @param  {Array} translations The translations, [{language, translation}].
+   * @param  {Array} languages The preferred languages, as created by preferredLanguages.
+   * @return {object} The chosen translation, or undefined if there are no translations.
+   */
+  static chooseTranslation(translations, languages) {
+    if (!translations || translations.length === 0) {
+      return undefined;
+    }
+    for (const language of languages) {
+      const match = translations.find(t => t.language.toLowerCase() === language);
+      if (match) {
+        return match;
+      }
+    }
+    return translations[0];
+  }
+}
+
+module.exports = LanguageNegotiator;
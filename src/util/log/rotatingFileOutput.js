@@ -0,0 +1,90 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {Buffer} = require('buffer');
+
+/**
+ * Appends log entries to a file, one per line, through a write stream so that
+ * logging does not block requests. When the file would grow past
+ * maxBytes it is renamed to "<file>.1", an existing "<file>.1" to "<file>.2"
+ * and so on, and the oldest file is dropped so that at most maxFiles old
+ * files are kept.
+ */
+class RotatingFileOutput {
+  /**
+   * Creates a new instance. The directory of the file is created if it does
+   * not exist.
+   *
+   * @param {string} file The path of the log file.
+   * @param {number} maxBytes The size at which the file is rotated.
+   * @param {number} maxFiles The number of rotated files to keep.
+   */
+  constructor(file, maxBytes, maxFiles) {
+    this.file = file;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    fs.mkdirSync(path.dirname(file), {recursive: true});
+    this.size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+    this.stream = this.open();
+  }
+
+  /**
+   * Opens the file for appending. It is opened at once, so that the entries
+   * written before a rotation end up in the rotated file.
+   *
+   * @return {WriteStream} A stream appending to the file.
+   */
+  open() {
+    const stream = fs.createWriteStream(this.file, {fd: fs.openSync(this.file, 'a')});
+    // The logger can not log its own failures.
+    stream.on('error', error => process.stderr.write('Could not write ' + this.file + ': ' + error.message + '\n'));
+    return stream;
+  }
+
+  /**
+   * Writes a log entry, after rotating the file if it is full.
+   *
+   * @param {string} line The log entry, without line break.
+   */
+  write(line) {
+    const entry = line + '\n';
+    const bytes = Buffer.byteLength(entry);
+    if (this.size > 0 && this.size + bytes > this.maxBytes) {
+      this.rotate();
+    }
+    this.stream.write(entry);
+    this.size += bytes;
+  }
+
+  /**
+   * Shifts the old files one step and starts a new, empty, file. Entries not
+   * yet written by the old stream still go to the renamed file.
+   */
+  rotate() {
+    this.stream.end();
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      if (fs.existsSync(this.file + '.' + i)) {
+        fs.renameSync(this.file + '.' + i, this.file + '.' + (i + 1));
+      }
+    }
+    if (this.maxFiles > 0) {
+      fs.renameSync(this.file, this.file + '.1');
+    } else {
+      fs.unlinkSync(this.file);
+    }
+    this.size = 0;
+    this.stream = this.open();
+  }
+
+  /**
+   * Writes the entries that are still buffered and closes the file.
+   *
+   * @return {Promise} Resolved when the file is closed.
+   */
+  close() {
+    return new Promise(resolve => this.stream.end(resolve));
+  }
+}
+
+module.exports = RotatingFileOutput;
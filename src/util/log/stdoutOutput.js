@@ -0,0 +1,18 @@
+'use strict';
+
+/**
+ * Writes log entries to stdout, one per line. This is the default output,
+ * on Heroku stdout is collected by the log drain.
+ */
+class StdoutOutput {
+  /**
+   * Writes a log entry.
+   *
+   * @param {string} line The log entry, without line break.
+   */
+  write(line) {
+    process.stdout.write(line + '\n');
+  }
+}
+
+module.exports = StdoutOutput;
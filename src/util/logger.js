@@ -1,22 +1,251 @@
 'use strict';
 
+const path = require('path');
+const {AsyncLocalStorage} = require('async_hooks');
+const StdoutOutput = require('./log/stdoutOutput');
+const RotatingFileOutput = require('./log/rotatingFileOutput');
+
+const LEVELS = {debug: 10, info: 20, warn: 30, error: 40};
+
+const REDACTED = '[REDACTED]';
+const SENSITIVE_FIELDS = ['password', 'ssn', 'token', 'refreshtoken', 'accesstoken', 'authorization', 'cookie', 'secret'];
+const MAX_DEPTH = 8;
+
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * Writes structured log entries as JSON lines, for example:
+ * {"time":"...","level":"info","msg":"New user created","requestId":"...","username":"..."}
+ *
+ * Entries below LOG_LEVEL (debug, info, warn or error, default info) are
+ * skipped. LOG_OUTPUT selects where entries are written: "stdout" (default)
+ * or "file", which writes to LOG_FILE (default logs/app.log) and rotates it
+ * at LOG_FILE_MAX_BYTES (default 10 MB), keeping LOG_FILE_MAX_FILES old
+ * files (default 5). Entries written while handling a request include the
+ * fields of the request's context, such as requestId, see runWithContext.
+ * Sensitive fields, such as password and ssn, are replaced by "[REDACTED]".
+ */
 class Logger {
   /**
-   * Logs the received message
-   * @param  {[type]} msg The message to log
+   * Logs a message at debug level.
+   * @param  {string} msg The message to log
+   * @param  {object} fields Additional fields to include in the entry
+   */
+  static debug(msg, fields) {
+    Logger.log('debug', msg, fields);
+  }
+
+  /**
+   * Logs a message at info level.
+   * @param  {string} msg The message to log
+   * @param  {object} fields Additional fields to include in the entry
+   */
+  static info(msg, fields) {
+    Logger.log('info', msg, fields);
+  }
+
+  /**
+   * Logs a message at warn level.
+   * @param  {string} msg The message to log
+   * @param  {object} fields Additional fields to include in the entry
+   */
+  static warn(msg, fields) {
+    Logger.log('warn', msg, fields);
+  }
+
+  /**
+   * Logs a message at error level.
+   * @param  {string} msg The message to log
+   * @param  {object} fields Additional fields to include in the entry
+   */
+  static error(msg, fields) {
+    Logger.log('error', msg, fields);
+  }
+
+  /**
+   * Logs the received message, at info level.
+   * @param  {string} msg The message to log
+   * @param  {object} fields Additional fields to include in the entry
+   */
+  static logMessage(msg, fields) {
+    Logger.info(msg, fields);
+  }
+
+  /**
+   * Logs the received error, at error level, with its stack trace.
+   * @param  {Error} err The error to log
+   * @param  {object} fields Additional fields to include in the entry
+   */
+  static logError(err, fields) {
+    const message = err instanceof Error ? err.message : String(err);
+    Logger.error(message, {...fields, err: Logger.serializeError(err)});
+  }
+
+  /**
+   * Writes a log entry, if the level is enabled.
+   * @param  {string} level The level, debug, info, warn or error.
+   * @param  {string} msg The message to log
+   * @param  {object} fields Additional fields to include in the entry
+   */
+  static log(level, msg, fields) {
+    if (LEVELS[level] < Logger.minimumLevel()) {
+      return;
+    }
+    const entry = {
+      time: new Date().toISOString(),
+      level: level,
+      msg: String(msg),
+      ...Logger.redact(contextStorage.getStore()),
+      ...Logger.redact(fields),
+    };
+    try {
+      Logger.output().write(JSON.stringify(entry));
+    } catch (error) {
+      process.stderr.write('Could not write log entry: ' + error.message + '\n');
+    }
+  }
+
+  /**
+   * Runs a function with a log context. All entries logged by the function,
+   * also asynchronously, include the fields of the context.
+   * @param  {object} context The fields to include, e.g. {requestId}.
+   * @param  {function} fn The function to run.
+   * @return {any} What the function returns.
+   */
+  static runWithContext(context, fn) {
+    return contextStorage.run({...context}, fn);
+  }
+
+  /**
+   * Adds fields to the current log context, e.g. the user once the request
+   * has been authenticated. Does nothing outside runWithContext.
+   * @param  {object} fields The fields to add.
+   */
+  static addToContext(fields) {
+    const context = contextStorage.getStore();
+    if (context) {
+      Object.assign(context, fields);
+    }
+  }
+
+  /**
+   * @return {object} The fields of the current log context, or undefined
+   *                  outside runWithContext.
+   */
+  static context() {
+    return contextStorage.getStore();
+  }
+
+  /**
+   * Replaces the output that log entries are written to.
+   * @param  {object} output An object with a write(line) method, and an
+   *                         optional async close() method, or null to use
+   *                         the output configured by LOG_OUTPUT.
+   */
+  static use(output) {
+    Logger.configuredOutput = output;
+  }
+
+  /**
+   * Writes out the log entries the output has buffered, before the process
+   * exits.
+   */
+  static async close() {
+    const output = Logger.configuredOutput;
+    if (output && output.close) {
+      await output.close();
+    }
+  }
+
+  /**
+   * @return {object} The output log entries are written to, created from
+   *                  LOG_OUTPUT the first time it is needed.
+   */
+  static output() {
+    if (!Logger.configuredOutput) {
+      if (process.env.LOG_OUTPUT === 'file') {
+        Logger.configuredOutput = new RotatingFileOutput(
+            process.env.LOG_FILE || path.join(__dirname, '..', '..', 'logs', 'app.log'), // eslint-disable-line
+            parseInt(process.env.LOG_FILE_MAX_BYTES, 10) || 10 * 1024 * 1024,
+            process.env.LOG_FILE_MAX_FILES === undefined ? 5 : parseInt(process.env.LOG_FILE_MAX_FILES, 10)
+        );
+      } else {
+        Logger.configuredOutput = new StdoutOutput();
+      }
+    }
+    return Logger.configuredOutput;
+  }
+
+  /**
+   * @return {number} The lowest level that is logged, from LOG_LEVEL.
+   */
+  static minimumLevel() {
+    return LEVELS[(process.env.LOG_LEVEL || '').toLowerCase()] || LEVELS.info;
+  }
+
+  /**
+   * Copies an object, replacing the values of sensitive fields, at any depth,
+   * with "[REDACTED]".
+   * @param  {any} value The value to copy.
+   * @param  {number} depth How deep into the original value the copy is.
+   * @param  {WeakSet} seen The objects already being copied, to stop at cycles.
+   * @return {any} The copy.
+   */
+  static redact(value, depth = 0, seen = new WeakSet()) {
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+    if (value instanceof Error) {
+      return Logger.serializeError(value);
+    }
+    if (depth >= MAX_DEPTH || seen.has(value)) {
+      return '[...]';
+    }
+    seen.add(value);
+    let copy;
+    if (Array.isArray(value)) {
+      copy = value.map(item => Logger.redact(item, depth + 1, seen));
+    } else {
+      copy = {};
+      Object.keys(value).forEach(key => {
+        copy[key] = Logger.isSensitive(key) ? REDACTED : Logger.redact(value[key], depth + 1, seen);
+      });
+    }
+    seen.delete(value);
+    return copy;
+  }
+
+  /**
+   * Checks if a field holds sensitive data that must not be logged.
+   * @param  {string} key The name of the field.
+   * @return {boolean} true if the field is sensitive.
    */
-  static logMessage(msg) {
-    console.log("\t[LOG] " + msg);
+  static isSensitive(key) {
+    const name = key.toLowerCase().replace(/[^a-z]/g, '');
+    return SENSITIVE_FIELDS.includes(name) || name.endsWith('password') || name.endsWith('secret');
   }
 
   /**
-   * Logs the received error
-   * @param  {[type]} err The error to log
+   * Converts an error to a plain object that can be logged.
+   * @param  {Error} err The error.
+   * @return {object} The error's name, message, code and stack trace.
    */
-  static logError(err) {
-    console.error(err);
+  static serializeError(err) {
+    if (!(err instanceof Error)) {
+      return {message: String(err)};
+    }
+    return {
+      name: err.name,
+      message: err.message,
+      code: err.code,
+      stack: err.stack,
+    };
   }
 }
 
+Logger.configuredOutput = null;
 
 module.exports = Logger;
@@ -0,0 +1,74 @@
+'use strict';
+
+const crypto = require('crypto');
+const {Buffer} = require('buffer');
+const {promisify} = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ALGORITHM = 'scrypt';
+const COST = 16384;
+const BLOCK_SIZE = 8;
+const PARALLELIZATION = 1;
+const SALT_LENGTH = 16;
+const KEY_LENGTH = 64;
+
+class PasswordHasher {
+  /**
+   * Hashes a password with a random salt. The returned string contains the
+   * algorithm, its parameters, the salt and the derived key, so that it can be
+   * verified later even if the parameters are changed.
+   * @param  {string} password The plaintext password.
+   * @return {string} The encoded hash, "scrypt$N$r$p$salt$key".
+   */
+  static async hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const key = await scrypt(password, salt, KEY_LENGTH, {N: COST, r: BLOCK_SIZE, p: PARALLELIZATION});
+    return [ALGORITHM, COST, BLOCK_SIZE, PARALLELIZATION, salt.toString('base64'), key.toString('base64')].join('$');
+  }
+
+  /**
+   * Checks if a stored password is a hash created by hashPassword.
+   * @param  {string} stored The stored password.
+   * @return {boolean} true if the stored password is hashed, false if it is plaintext.
+   */
+  static isHashed(stored) {
+    return typeof stored === 'string' && stored.split('$').length === 6 && stored.startsWith(ALGORITHM + '$');
+  }
+
+  /**
+   * Checks a password against a stored password in constant time. Plaintext
+   * passwords stored before hashing was introduced are also accepted, so that
+   * they can be upgraded when the user logs in.
+   * @param  {string} password The plaintext password to check.
+   * @param  {string} stored The stored hash, or a legacy plaintext password.
+   * @return {boolean} true if the password matches.
+   */
+  static async verifyPassword(password, stored) {
+    if (!PasswordHasher.isHashed(stored)) {
+      return PasswordHasher.constantTimeEquals(password, stored);
+    }
+    const [, cost, blockSize, parallelization, salt, key] = stored.split('$');
+    const expected = Buffer.from(key, 'base64');
+    const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+      N: parseInt(cost, 10),
+      r: parseInt(blockSize, 10),
+      p: parseInt(parallelization, 10),
+    });
+    return crypto.timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * Compares two strings without leaking where they differ, or their lengths,
+   * through the time it takes.
+   * @param  {string} a The first string.
+   * @param  {string} b The second string.
+   * @return {boolean} true if the strings are equal.
+   */
+  static constantTimeEquals(a, b) {
+    const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(digest(a), digest(b)) && typeof a === typeof b;
+  }
+}
+
+module.exports = PasswordHasher;
@@ -0,0 +1,92 @@
+'use strict';
+
+/**
+ * The named permissions that routes require, and the roles that are created
+ * with their permissions when the database is first set up. Which permissions
+ * a role has is stored in the database, so roles can be added or changed
+ * without changing any route.
+ */
+class Permissions {
+  /**
+   * Permission to list and read applications and their history.
+   */
+  static get APPLICATIONS_READ() {
+    return 'applications:read';
+  }
+
+  /**
+   * Permission to accept or reject applications.
+   */
+  static get APPLICATIONS_DECIDE() {
+    return 'applications:decide';
+  }
+
+  /**
+   * Permission to create, change and delete competences.
+   */
+  static get COMPETENCES_MANAGE() {
+    return 'competences:manage';
+  }
+
+  /**
+   * Permission to read the data of any person.
+   */
+  static get PERSONS_READ() {
+    return 'persons:read';
+  }
+
+  /**
+   * Permission to list and revoke the reset tokens of any person.
+   */
+  static get RESET_TOKENS_MANAGE() {
+    return 'reset_tokens:manage';
+  }
+
+  /**
+   * Permission to define roles and assign them to persons.
+   */
+  static get ROLES_ASSIGN() {
+    return 'roles:assign';
+  }
+
+  /**
+   * @return {Array} All permissions.
+   */
+  static get ALL() {
+    return [
+      Permissions.APPLICATIONS_READ,
+      Permissions.APPLICATIONS_DECIDE,
+      Permissions.COMPETENCES_MANAGE,
+      Permissions.PERSONS_READ,
+      Permissions.RESET_TOKENS_MANAGE,
+      Permissions.ROLES_ASSIGN,
+    ];
+  }
+
+  /**
+   * The name of the role given to persons when they register.
+   */
+  static get DEFAULT_ROLE() {
+    return 'applicant';
+  }
+
+  /**
+   * @return {object} The roles created with the database, role name mapped
+   *                  to its permissions.
+   */
+  static get DEFAULT_ROLES() {
+    return {
+      recruiter: [
+        Permissions.APPLICATIONS_READ,
+        Permissions.APPLICATIONS_DECIDE,
+        Permissions.COMPETENCES_MANAGE,
+        Permissions.PERSONS_READ,
+        Permissions.RESET_TOKENS_MANAGE,
+      ],
+      applicant: [],
+      admin: Permissions.ALL,
+    };
+  }
+}
+
+module.exports = Permissions;
@@ -0,0 +1,215 @@
+'use strict';
+
+const validator = require('validator');
+
+/*
+  Schemas are plain objects using a subset of JSON Schema, so that they can
+  also be published as API documentation:
+    type: "string", "integer", "number", "boolean", "array" or "object"
+    nullable: true if null is allowed
+    enum: The allowed values
+    minLength, maxLength: The allowed length of a string
+    format: "email", "date", "alpha", "alphanumeric" or "uuid", for strings
+    minimum, maximum: The allowed range of a number
+    items, minItems, maxItems: The schema of the items and allowed length of an array
+    properties, required: The schemas of the properties of an object, and
+                          which of them must be present
+    description: Documentation, not checked
+  and one keyword that is not part of JSON Schema:
+    check: A function that receives the valid object or value and returns an
+           error, {field, message}, with field relative to the value, or
+           undefined. Used for checks involving several fields.
+*/
+
+const FORMATS = {
+  email: {
+    test: value => /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9-]+(?:\.[a-zA-Z0-9-]+)*$/.test(value),
+    message: 'needs to be a valid email address.',
+  },
+  date: {
+    test: value => validator.isISO8601(value, {strict: true}),
+    message: 'must be a valid date.',
+  },
+  alpha: {
+    test: value => validator.isAlpha(value),
+    message: 'needs to only contain letters.',
+  },
+  alphanumeric: {
+    test: value => validator.isAlphanumeric(value),
+    message: 'needs to only contain letters and numbers.',
+  },
+  uuid: {
+    test: value => validator.isUUID(value),
+    message: 'needs to be a UUID.',
+  },
+};
+
+class SchemaValidator {
+  /**
+   * Checks a value against a schema.
+   * @param  {object} schema The schema.
+   * @param  {any} value The value to check.
+   * @param  {object} options {
+   *    fromString: true if the value comes from a URL, where all values are
+   *                strings, so that "12" is an integer and "true" a boolean
+   * }
+   * @return {Array} The errors, [{field, message}], empty if the value is valid.
+   */
+  static validate(schema, value, options = {}) {
+    const errors = [];
+    SchemaValidator.check(schema, value, '', options, errors);
+    return errors;
+  }
+
+  /**
+   * Checks a value against a schema, and adds any errors to a list.
+   * @param  {object} schema The schema.
+   * @param  {any} value The value to check.
+   * @param  {string} field The path of the value, e.g. "periods[0].from_date".
+   * @param  {object} options See validate.
+   * @param  {Array} errors The list to add errors to.
+   */
+  static check(schema, value, field, options, errors) {
+    const fail = (message) => errors.push({field: field, message: (field || 'value') + ' ' + message});
+    if (value === null) {
+      if (!schema.nullable) {
+        fail('can not be null.');
+      }
+      return;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      fail('needs to be one of ' + schema.enum.filter(allowed => allowed !== null).join(', ') + '.');
+      return;
+    }
+    const errorCount = errors.length;
+    switch (schema.type) {
+      case 'string':
+        SchemaValidator.checkString(schema, value, fail);
+        break;
+      case 'integer':
+      case 'number':
+        SchemaValidator.checkNumber(schema, value, fail);
+        break;
+      case 'boolean':
+        if (typeof value !== 'boolean' && !(options.fromString && (value === 'true' || value === 'false'))) {
+          fail('needs to be true or false.');
+        }
+        break;
+      case 'array':
+        SchemaValidator.checkArray(schema, value, field, options, errors, fail);
+        break;
+      case 'object':
+        SchemaValidator.checkObject(schema, value, field, options, errors, fail);
+        break;
+    }
+    if (schema.check && errors.length === errorCount) {
+      const error = schema.check(value);
+      if (error) {
+        const separator = field && error.field && !error.field.startsWith('[') ? '.' : '';
+        const errorField = field + separator + (error.field || '');
+        errors.push({field: errorField, message: error.message});
+      }
+    }
+  }
+
+  /**
+   * Checks a string.
+   * @param  {object} schema The schema.
+   * @param  {any} value The value to check.
+   * @param  {function} fail Adds an error about the value.
+   */
+  static checkString(schema, value, fail) {
+    if (typeof value !== 'string') {
+      fail('needs to be a string.');
+    } else if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'needs to have non-zero length.' : 'needs to be at least ' + schema.minLength + ' characters.');
+    } else if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail('needs to be at most ' + schema.maxLength + ' characters.');
+    } else if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+      fail(FORMATS[schema.format].message);
+    }
+  }
+
+  /**
+   * Checks a number or integer. Strings of digits are accepted as numbers,
+   * as they always have been by Validators.isNumber.
+   * @param  {object} schema The schema.
+   * @param  {any} value The value to check.
+   * @param  {function} fail Adds an error about the value.
+   */
+  static checkNumber(schema, value, fail) {
+    const isNumeric = typeof value === 'number' ||
+        (typeof value === 'string' && (schema.type === 'integer' ? /^-?\d+$/ : /^-?\d+(\.\d+)?$/).test(value));
+    const number = Number(value);
+    if (!isNumeric || !isFinite(number)) {
+      fail('needs to be a number.');
+    } else if (schema.type === 'integer' && !Number.isInteger(number)) {
+      fail('needs to be an integer.');
+    } else if ((schema.minimum !== undefined && number < schema.minimum) || (schema.maximum !== undefined && number > schema.maximum)) {
+      if (schema.maximum === undefined) {
+        fail(schema.minimum === 1 && schema.type === 'integer' ? 'needs to be a positive integer.' : 'needs to be at least ' + schema.minimum + '.');
+      } else {
+        fail('needs to be a number between ' + schema.minimum + ' and ' + schema.maximum + '.');
+      }
+    }
+  }
+
+  /**
+   * Checks an array and its items.
+   * @param  {object} schema The schema.
+   * @param  {any} value The value to check.
+   * @param  {string} field The path of the value.
+   * @param  {object} options See validate.
+   * @param  {Array} errors The list to add errors to.
+   * @param  {function} fail Adds an error about the value.
+   */
+  static checkArray(schema, value, field, options, errors, fail) {
+    if (!Array.isArray(value)) {
+      fail('needs to be an array.');
+      return;
+    }
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('needs to have at least ' + schema.minItems + (schema.minItems === 1 ? ' item.' : ' items.'));
+      return;
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail('needs to have at most ' + schema.maxItems + ' items.');
+      return;
+    }
+    if (schema.items) {
+      value.forEach((item, index) => SchemaValidator.check(schema.items, item, field + '[' + index + ']', options, errors));
+    }
+  }
+
+  /**
+   * Checks an object and its properties. Properties that are not in the
+   * schema are allowed.
+   * @param  {object} schema The schema.
+   * @param  {any} value The value to check.
+   * @param  {string} field The path of the value.
+   * @param  {object} options See validate.
+   * @param  {Array} errors The list to add errors to.
+   * @param  {function} fail Adds an error about the value.
+   */
+  static checkObject(schema, value, field, options, errors, fail) {
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      fail('needs to be an object.');
+      return;
+    }
+    const required = schema.required || [];
+    Object.entries(schema.properties || {}).forEach(([name, propertySchema]) => {
+      const propertyField = field ? field + '.' + name : name;
+      const propertyValue = value[name];
+      const isMissing = propertyValue === undefined || (options.fromString && propertyValue === '');
+      if (isMissing) {
+        if (required.includes(name)) {
+          errors.push({field: propertyField, message: propertyField + ' is required.'});
+        }
+        return;
+      }
+      SchemaValidator.check(propertySchema, propertyValue, propertyField, options, errors);
+    });
+  }
+}
+
+module.exports = SchemaValidator;
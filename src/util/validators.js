@@ -32,7 +32,7 @@ class Validators {
    */
   static isEmailValid(emailInput) {
     let emailForm = /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9-]+(?:\.[a-zA-Z0-9-]+)*$/;
-    assert(emailForm.test(emailInput));
+    assert(emailForm.test(emailInput), 'email needs to be a valid email address.');
   }
 
   /**
@@ -56,6 +56,17 @@ class Validators {
     assert(!validator.isEmpty(value), `${varName} needs to have non-zero length.`);
   }
 
+  /**
+   * Checks if the value is one of the allowed values
+   * @param {any} value The value to check
+   * @param {Array} allowedValues The allowed values
+   * @param {string} varName The name of the variable that holds the value
+   * @throws {AssertionError} If validation fails.
+   */
+  static isOneOf(value, allowedValues, varName) {
+    assert(allowedValues.includes(value), `${varName} needs to be one of ${allowedValues.join(', ')}.`);
+  }
+
   /**
    * Checks if the value is an alphabetic string
    * @param {any} value The value to check
@@ -128,6 +139,17 @@ class Validators {
     assert(Array.isArray(value),`${varName} needs to be an array.`);
   }
 
+  /**
+   * Checks that no value occurs more than once in the specified array.
+   *
+   * @param {Array} values The values to check.
+   * @param {string} varName The name of the variable holding the values.
+   * @throws {AssertionError} If validation fails.
+   */
+  static isUnique(values, varName) {
+    assert(new Set(values).size === values.length, `${varName} needs to be unique.`);
+  }
+
   /**
    * Checks if a second date is before a first date.
    * @param  {string} firstDate The first date